@@ -1,69 +1,437 @@
 const express = require('express');
-const puppeteer = require('puppeteer-core');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
+const { DEFAULT_BACKEND, backendNames, getBackend } = require('./lib/backends');
+const { createSupervisor } = require('./lib/supervisor');
+const { publish, subscribe } = require('./lib/events');
+const { SCOPES, hasScope, generateSecret, secretsMatch, getRequestSecret, isLoopbackRequest, createKeyStore, createStreamTokens } = require('./lib/auth');
+const { createTokenStore } = require('./lib/token-store');
+const { readJsonFile, writeFileAtomic, migrateFile } = require('./lib/data-file');
+const { DEFAULT_ACCOUNTS_URL, createAuthorizations, exchangeCodeForToken } = require('./lib/oauth');
+const { createTokenRefresher } = require('./lib/token-refresher');
+const { createHomeAssistantMqtt } = require('./lib/ha-mqtt');
+const { createHomeAssistantActions, buildDefaultProfile, validateProfile } = require('./lib/home-assistant');
+const { createWebhooks, validateWebhook } = require('./lib/webhooks');
+const { ConfigError, loadHouseConfig, planChanges, watchConfigFile } = require('./lib/house-config');
+const { listAudioDevices, findAudioDevice, matchesAudioDestination, getActiveAudioDevice } = require('./lib/audio-devices');
+const { createSpotifyApi } = require('./lib/spotify-api');
+const { createGroupStore, validateGroupPlayers } = require('./lib/groups');
+const { createScheduler, validateSchedule } = require('./lib/scheduler');
+const { measureProcessTree } = require('./lib/processes');
+const { createMemoryStats } = require('./lib/memory-stats');
+const { createMetrics } = require('./lib/metrics');
+const { LEVELS, logger } = require('./lib/logger');
+const { createPlayerLogs, matchesLevel } = require('./lib/player-logs');
+const { createSimulation } = require('./lib/simulation');
+
+const log = logger.child({ component: 'server' });
 
 // Check Node.js version (fetch API requires Node.js 18+)
 const nodeVersion = process.versions.node.split('.')[0];
 if (parseInt(nodeVersion) < 18) {
-  console.error('Error: Node.js 18 or higher is required (for native fetch API support)');
+  log.error('Node.js 18 or higher is required (for native fetch API support)');
   process.exit(1);
 }
 
-// Check Chrome executable path is configured
-if (!process.env.CHROME_EXECUTABLE_PATH) {
-  console.error('Error: CHROME_EXECUTABLE_PATH environment variable is not set');
-  console.error('Please set CHROME_EXECUTABLE_PATH in your .env file to the path of your Chrome/Chromium executable');
+// Check the default backend is one we know about
+if (!getBackend(DEFAULT_BACKEND)) {
+  log.error(`Unknown PLAYER_BACKEND: ${DEFAULT_BACKEND}, set PLAYER_BACKEND in your .env file to one of: ${backendNames.join(', ')}`);
   process.exit(1);
 }
 
-// Check if Chrome executable exists
-if (!fs.existsSync(process.env.CHROME_EXECUTABLE_PATH)) {
-  console.error(`Error: Chrome executable not found at: ${process.env.CHROME_EXECUTABLE_PATH}`);
-  console.error('Please verify the CHROME_EXECUTABLE_PATH in your .env file');
-  process.exit(1);
+// Chrome is only required when it is the default backend
+if (DEFAULT_BACKEND === 'chrome') {
+  // Check Chrome executable path is configured
+  if (!process.env.CHROME_EXECUTABLE_PATH) {
+    log.error('CHROME_EXECUTABLE_PATH is not set, set it in your .env file to the path of your Chrome/Chromium executable');
+    process.exit(1);
+  }
+
+  // Check if Chrome executable exists
+  if (!fs.existsSync(process.env.CHROME_EXECUTABLE_PATH)) {
+    log.error(`Chrome executable not found at: ${process.env.CHROME_EXECUTABLE_PATH}, verify CHROME_EXECUTABLE_PATH in your .env file`);
+    process.exit(1);
+  }
 }
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const SERVER_URL = `http://localhost:${PORT}`;
+
+// Simulation mode: Spotify's accounts service, Web API and Web Playback SDK, and Home Assistant,
+// are replaced by the local mocks in lib/simulation.js, so everything runs without network
+const SIMULATION = process.env.SIMULATION === 'true';
+
+// Where Spotify and Home Assistant are reached, URLs that are set explicitly win over simulation mode
+const SPOTIFY_ACCOUNTS_URL = process.env.SPOTIFY_ACCOUNTS_URL || (SIMULATION ? `${SERVER_URL}/simulation/accounts` : DEFAULT_ACCOUNTS_URL);
+const SPOTIFY_API_URL = process.env.SPOTIFY_API_URL || (SIMULATION ? `${SERVER_URL}/simulation/v1` : undefined);
+const SPOTIFY_SDK_URL = process.env.SPOTIFY_SDK_URL || (SIMULATION ? '/simulation/spotify-player.js' : null);
+const HA_URL = process.env.HA_URL || (SIMULATION ? `${SERVER_URL}/simulation/ha` : undefined);
+const HA_TOKEN = process.env.HA_TOKEN || (SIMULATION ? 'simulation' : undefined);
 
 // Middleware
 app.use(express.json());
 app.use(express.static('public'));
+app.use('/api', authenticate);
+if (SIMULATION) {
+  app.use('/simulation', createSimulation({ tokenTtl: parseInt(process.env.SIMULATION_TOKEN_TTL || '3600', 10) }).router);
+}
+
+// Directory for persistent data (tokens, players, API keys, webhooks)
+const DATA_DIR = process.env.DATA_DIR || __dirname;
+fs.mkdirSync(DATA_DIR, { recursive: true });
 
 // Store for account data
-const TOKENS_FILE = path.join(__dirname, 'tokens.json');
+const TOKENS_FILE = path.join(DATA_DIR, 'tokens.json');
+
+// Earlier versions kept tokens.json in the app directory (mounted at /app/tokens.json in Docker),
+// copy it into DATA_DIR on the first start rather than starting with no accounts
+const LEGACY_TOKENS_FILE = path.join(__dirname, 'tokens.json');
+try {
+  const migration = migrateFile(LEGACY_TOKENS_FILE, TOKENS_FILE);
+  if (migration === 'migrated') {
+    log.warn(`Migrated ${LEGACY_TOKENS_FILE} to ${TOKENS_FILE}. Remove the old file (or its volume mount), it is no longer used.`);
+  } else if (migration === 'ignored') {
+    log.warn(`Ignoring ${LEGACY_TOKENS_FILE}, accounts are loaded from ${TOKENS_FILE}. Remove the old file (or its volume mount) once you have checked nothing is missing.`);
+  }
+} catch (error) {
+  log.error(`Error migrating ${LEGACY_TOKENS_FILE} to ${TOKENS_FILE}, move it there by hand`, { error: error.message });
+  process.exit(1);
+}
+
+const tokenStore = createTokenStore(TOKENS_FILE, { encryptionKey: process.env.TOKEN_STORE_KEY });
 let accounts = {};
 
-// Load existing tokens if available
-if (fs.existsSync(TOKENS_FILE)) {
-  try {
-    accounts = JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8'));
-  } catch (error) {
-    console.error('Error loading tokens:', error);
-    accounts = {};
-  }
+// Load existing tokens, refusing to start rather than losing accounts
+try {
+  accounts = tokenStore.load();
+} catch (error) {
+  log.error('Error loading tokens', { error: error.message });
+  process.exit(1);
+}
+
+if (!process.env.TOKEN_STORE_KEY) {
+  log.warn('TOKEN_STORE_KEY is not set, client secrets and tokens are stored unencrypted');
 }
 
 // Save tokens to file
 function saveTokens() {
-  fs.writeFileSync(TOKENS_FILE, JSON.stringify(accounts, null, 2));
+  tokenStore.save(accounts);
+}
+
+// Store for player launch parameters, so players can be restored on restart
+const PLAYERS_FILE = path.join(DATA_DIR, 'players.json');
+let playerConfigs = {};
+
+// Load existing player configs if available, refusing to start rather than overwriting them on the next save
+try {
+  playerConfigs = readJsonFile(PLAYERS_FILE);
+} catch (error) {
+  log.error('Error loading players', { error: error.message });
+  process.exit(1);
+}
+
+// Save player configs to file
+function savePlayers() {
+  writeFileAtomic(PLAYERS_FILE, JSON.stringify(playerConfigs, null, 2));
 }
 
-// Store for browser instances
+// Store for running player instances (browser or process, depending on backend)
 const playerInstances = new Map();
 
+// Players that should be running but failed to restore on startup
+const failedPlayers = new Map();
+
+// Latest log entries of each player, served by GET /api/players/:name/logs
+const playerLogs = createPlayerLogs({ size: parseInt(process.env.PLAYER_LOG_SIZE || '500', 10) });
+logger.addSink((entry) => {
+  if (entry.player) {
+    playerLogs.append(entry.player, entry);
+  }
+});
+
+// Store for API keys (only hashes are kept)
+// Refuse to start rather than running without the API keys that enable authentication
+const apiKeys = openStore('API keys', () => createKeyStore(path.join(DATA_DIR, 'api-keys.json')));
+
+// Tokens for opening event streams without putting an API key in the URL (POST /api/events/token)
+const streamTokens = createStreamTokens({ ttl: parseInt(process.env.STREAM_TOKEN_TTL || '60000', 10) });
+
+// Authentication is enforced once ADMIN_API_KEY is set or an API key has been created
+// Until then admin routes only answer requests from this machine (see requireScope)
+function isAuthEnabled() {
+  return Boolean(process.env.ADMIN_API_KEY) || apiKeys.count() > 0;
+}
+
+// Identify the caller from its API key or player credential (sets req.auth)
+function authenticate(req, res, next) {
+  const secret = getRequestSecret(req);
+  req.auth = null;
+
+  // EventSource can't send headers, so the event stream and player log tails also accept a
+  // short-lived token from POST /api/events/token as ?access_token=
+  const isStream = req.path === '/events' || /^\/players\/[^/]+\/logs$/.test(req.path);
+  if (!secret && isStream && req.query.access_token) {
+    req.auth = streamTokens.verify(req.query.access_token);
+    if (!req.auth && isAuthEnabled()) {
+      return res.status(401).json({ error: 'Invalid or expired stream token' });
+    }
+    return next();
+  }
+
+  if (!secret) {
+    return next();
+  }
+
+  if (process.env.ADMIN_API_KEY && secretsMatch(secret, process.env.ADMIN_API_KEY)) {
+    req.auth = { scope: 'admin', key: 'ADMIN_API_KEY' };
+    return next();
+  }
+
+  const key = apiKeys.verify(secret);
+  if (key) {
+    req.auth = { scope: key.scope, key: key.id };
+    return next();
+  }
+
+  // Player pages and hooks authenticate with their own per-instance credential
+  for (const [name, instance] of playerInstances) {
+    if (secretsMatch(secret, instance.credential)) {
+      req.auth = { player: name, accountName: instance.accountName };
+      return next();
+    }
+  }
+
+  for (const [name, launching] of launchingPlayers) {
+    if (secretsMatch(secret, launching.credential)) {
+      req.auth = { player: name, accountName: launching.accountName };
+      return next();
+    }
+  }
+
+  // Without authentication, a request with an unknown key is treated like one without a key
+  if (!isAuthEnabled()) {
+    return next();
+  }
+
+  res.status(401).json({ error: 'Invalid API key' });
+}
+
+// Middleware requiring an API key with at least the given scope
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!isAuthEnabled()) {
+      // Otherwise anyone on the network could read access tokens, or create the first admin key
+      if (scope === 'admin' && !isLoopbackRequest(req)) {
+        return res.status(403).json({ error: 'Set ADMIN_API_KEY, or create an API key from the server itself, to use this route over the network' });
+      }
+      return next();
+    }
+
+    if (!req.auth) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!req.auth.scope || !hasScope(req.auth.scope, scope)) {
+      return res.status(403).json({ error: `This action requires the '${scope}' scope` });
+    }
+
+    next();
+  };
+}
+
+// Middleware allowing the player named in the route (its own credential) or an API key with the given scope
+function requirePlayerOrScope(scope) {
+  const checkScope = requireScope(scope);
+  return (req, res, next) => {
+    if (req.auth && req.auth.player === req.params.name) {
+      return next();
+    }
+    checkScope(req, res, next);
+  };
+}
+
+// Middleware allowing players running on the account named in the route, or an API key with the given scope
+function requireAccountPlayerOrScope(scope) {
+  const checkScope = requireScope(scope);
+  return (req, res, next) => {
+    if (req.auth && req.auth.player && req.auth.accountName === req.params.name) {
+      return next();
+    }
+    checkScope(req, res, next);
+  };
+}
+
+// How long after playback starts to check which audio device a player ended up on
+const AUDIO_DEVICE_CHECK_DELAY = 3000;
+
+// Transport control actions supported by POST /api/players/:name/control
+const TRANSPORT_ACTIONS = ['play', 'pause', 'toggle', 'next', 'previous', 'seek', 'volume'];
+
+// Supervisor that restarts crashed or broken players
+const supervisor = createSupervisor({
+  playerInstances,
+  relaunch: relaunchPlayer,
+  onCrash: (name, instance) => {
+    // Don't leave the amplifier on for a player that is no longer playing
+    if (instance.isPlaying) {
+      haActions.playbackStopped(name, getHaProfile(instance));
+    }
+    instance.isPlaying = false;
+  },
+  maxRestarts: parseInt(process.env.SUPERVISOR_MAX_RESTARTS || '5', 10),
+  restartDelay: parseInt(process.env.SUPERVISOR_RESTART_DELAY || '5000', 10),
+  degradedTimeout: parseInt(process.env.SUPERVISOR_DEGRADED_TIMEOUT || '30000', 10)
+});
+
+// Prometheus metrics, served by GET /metrics
+const metrics = createMetrics({ getPlayerStates });
+metrics.start();
+
+// Set once players have been restored (or reconciled with the config file) after startup, reported by GET /readyz
+let startupComplete = false;
+
+// Background token refresh, renewing tokens before they expire
+const tokenRefresher = createTokenRefresher({
+  getAccount: (name) => accounts[name],
+  updateAccount: (name, changes) => {
+    // A refresh may finish after the account was deleted
+    if (!accounts[name]) {
+      return;
+    }
+    accounts[name] = { ...accounts[name], ...changes };
+    saveTokens();
+  },
+  onRefreshed: (name, account) => {
+    publish('account.token_refreshed', { account: name, expiresAt: new Date(account.expiresAt).toISOString() });
+    // Running pages only received the token once at launch, push the new one
+    for (const [playerName, instance] of playerInstances) {
+      if (instance.accountName === name && instance.handle && instance.handle.updateAccessToken) {
+        instance.handle.updateAccessToken(account.token)
+          .catch((error) => log.error('Error pushing token to player', { player: playerName, account: name, error: error.message }));
+      }
+    }
+  },
+  onFailed: (name, reason) => {
+    publish('account.deauthorized', { account: name, reason });
+    stopAccountPlayers(name, `Account deauthorized: ${reason}`);
+  },
+  onError: (name) => metrics.recordTokenRefreshFailure(name),
+  leadTime: parseInt(process.env.TOKEN_REFRESH_LEAD_TIME || '300000', 10),
+  accountsUrl: SPOTIFY_ACCOUNTS_URL
+});
+
+// Pending OAuth authorizations (signed, single-use state values and PKCE verifiers)
+const authorizations = createAuthorizations({
+  stateSecret: process.env.OAUTH_STATE_SECRET,
+  stateTtl: parseInt(process.env.OAUTH_STATE_TTL || '600000', 10),
+  accountsUrl: SPOTIFY_ACCOUNTS_URL
+});
+
+// Home Assistant actions run when playback starts and stops
+const haActions = createHomeAssistantActions({
+  haUrl: HA_URL,
+  haToken: HA_TOKEN,
+  turnOffDelay: parseInt(process.env.HA_TURN_OFF_DELAY || '30000', 10),
+  retries: parseInt(process.env.HA_RETRIES || '3', 10),
+  retryDelay: parseInt(process.env.HA_RETRY_DELAY || '1000', 10),
+  onCall: metrics.recordHaCall
+});
+
+// Outbound webhook subscriptions
+const webhooks = openStore('webhooks', () => createWebhooks(path.join(DATA_DIR, 'webhooks.json'), {
+  retries: parseInt(process.env.WEBHOOK_RETRIES || '5', 10),
+  retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY || '2000', 10),
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT || '10000', 10)
+}));
+webhooks.start();
+
+// Spotify Web API client, used with each account's token (SPOTIFY_API_URL can point it at a mock)
+const spotifyApi = createSpotifyApi({
+  baseUrl: SPOTIFY_API_URL,
+  getAccessToken,
+  refreshAccessToken: async (accountName) => {
+    try {
+      return (await tokenRefresher.refresh(accountName)).token;
+    } catch (error) {
+      throw statusError(409, `Spotify rejected the access token of account ${accountName} and it could not be refreshed: ${error.message}`);
+    }
+  }
+});
+
+// Room groups that are started, stopped and volume-controlled together
+const groups = openStore('groups', () => createGroupStore(path.join(DATA_DIR, 'groups.json')));
+
+// Scheduled playback and sleep timers
+const scheduler = openStore('schedules', () => createScheduler(path.join(DATA_DIR, 'schedules.json'), { runJob: runSchedule }));
+
+// Volume ramps in progress by player, so a manual volume change can cancel them
+const volumeRamps = new Map();
+
+// Time between volume steps of a ramp or fade
+const VOLUME_RAMP_INTERVAL = 2000;
+
+// How long a launch waits for the player page to connect to Spotify (players that report readiness)
+const PLAYER_READY_TIMEOUT = parseInt(process.env.PLAYER_READY_TIMEOUT || '30000', 10);
+
+// Most players that may run at once, across all backends (0 for no limit)
+const MAX_PLAYERS = parseInt(process.env.MAX_PLAYERS || '0', 10);
+// Players being launched: { credential, accountName, events, cancelled }, counted against MAX_PLAYERS until they are running
+// A player page can report (e.g. that it is ready) before its launch finishes, those health events are replayed once it runs
+const launchingPlayers = new Map();
+
+// Memory used by Chrome players, per browser mode (see CHROME_SHARED_BROWSER)
+const memoryStats = createMemoryStats(path.join(DATA_DIR, 'memory.json'));
+
+// How long to wait for a player to show up as a Spotify Connect device (e.g. a spotifyd player that was just launched)
+const DEVICE_LOOKUP_TIMEOUT = 15000;
+
+// Item types GET /api/accounts/:name/search can look for
+const SEARCH_TYPES = ['album', 'artist', 'playlist', 'track', 'show', 'episode', 'audiobook'];
+
+// Contexts another account can play (a user's Liked Songs collection can't be)
+const SHAREABLE_CONTEXT = /^spotify:(album|playlist|artist|show):/;
+
+// Schedule fields that can be set through the API
+const SCHEDULE_FIELDS = ['name', 'player', 'action', 'cron', 'at', 'in', 'timezone', 'contextUri', 'volume', 'rampSeconds', 'rampFrom', 'fadeSeconds', 'enabled'];
+
+// Account fields that can be changed through the API, and the ones that tokens are issued for
+const ACCOUNT_FIELDS = ['clientId', 'clientSecret', 'redirectUri', 'haSourceId'];
+const ACCOUNT_CREDENTIAL_FIELDS = ['clientId', 'clientSecret'];
+
+// Subscription fields that can be set through the API
+const WEBHOOK_FIELDS = ['name', 'url', 'method', 'headers', 'body', 'secret', 'events', 'players', 'enabled'];
+
+// Declarative config file (optional, enabled by CONFIG_FILE)
+const CONFIG_FILE = process.env.CONFIG_FILE ? path.resolve(process.env.CONFIG_FILE) : null;
+// Outcome of the last reconciliation, reported by GET /api/config
+let configStatus = { file: CONFIG_FILE, reconciledAt: null, valid: null, errors: [], changes: [] };
+// Reconciliations run one at a time
+let reconciling = Promise.resolve();
+
+// Home Assistant MQTT discovery (optional, enabled by MQTT_URL)
+const haMqtt = process.env.MQTT_URL ? createHomeAssistantMqtt({
+  url: process.env.MQTT_URL,
+  username: process.env.MQTT_USERNAME,
+  password: process.env.MQTT_PASSWORD,
+  discoveryPrefix: process.env.MQTT_DISCOVERY_PREFIX || 'homeassistant',
+  baseTopic: process.env.MQTT_BASE_TOPIC || 'spotify-house-player',
+  getPlayers: () => playerInstances,
+  control: controlPlayer
+}) : null;
+
 /**
  * Add a new account endpoint
  * POST /api/accounts
  * Body: { name: string, clientId: string, clientSecret: string, redirectUri: string, haSourceId: string }
+ * Accounts without a clientSecret authenticate using the PKCE flow.
  */
-app.post('/api/accounts', async (req, res) => {
+app.post('/api/accounts', requireScope('admin'), async (req, res) => {
   const { name, clientId, clientSecret, redirectUri, haSourceId } = req.body;
 
-  if (!name || !clientId || !clientSecret) {
-    return res.status(400).json({ error: 'Name, clientId, and clientSecret are required' });
+  if (!name || !clientId) {
+    return res.status(400).json({ error: 'Name and clientId are required' });
   }
 
   if (accounts[name]) {
@@ -74,7 +442,7 @@ app.post('/api/accounts', async (req, res) => {
   accounts[name] = {
     name,
     clientId,
-    clientSecret,
+    clientSecret: clientSecret || null,
     redirectUri: redirectUri || 'http://localhost:3000/callback',
     authenticated: false,
     token: null,
@@ -85,12 +453,38 @@ app.post('/api/accounts', async (req, res) => {
   saveTokens();
 
   // Generate authorization URL
-  const authUrl = generateAuthUrl(clientId, redirectUri || 'http://localhost:3000/callback', name);
+  const { authUrl, expiresAt } = authorizations.create(accounts[name]);
 
   res.json({
     message: 'Account added successfully',
     name,
+    pkce: !clientSecret,
+    authUrl,
+    authUrlExpiresAt: expiresAt,
+    instructions: 'Visit the authUrl to authenticate with Spotify'
+  });
+});
+
+/**
+ * Issue a fresh authorization URL for an account (e.g. after its refresh token was revoked)
+ * POST /api/accounts/:name/reauthorize
+ */
+app.post('/api/accounts/:name/reauthorize', requireScope('admin'), (req, res) => {
+  const { name } = req.params;
+  const account = accounts[name];
+
+  if (!account) {
+    return res.status(404).json({ error: 'Account not found' });
+  }
+
+  // Invalidates any authorization URL issued earlier for this account
+  const { authUrl, expiresAt } = authorizations.create(account);
+
+  res.json({
+    message: 'Authorization URL issued',
+    name,
     authUrl,
+    authUrlExpiresAt: expiresAt,
     instructions: 'Visit the authUrl to authenticate with Spotify'
   });
 });
@@ -99,20 +493,22 @@ app.post('/api/accounts', async (req, res) => {
  * List all accounts
  * GET /api/accounts
  */
-app.get('/api/accounts', (req, res) => {
+app.get('/api/accounts', requireScope('read'), (req, res) => {
   const accountList = Object.keys(accounts).map(name => ({
     name,
     authenticated: accounts[name].authenticated,
+    authError: accounts[name].authError || null,
+    expiresAt: accounts[name].expiresAt ? new Date(accounts[name].expiresAt) : null,
     hasPlayer: playerInstances.has(name)
   }));
   res.json({ accounts: accountList });
 });
 
 /**
- * Get specific account
+ * Get specific account, with its Spotify user profile and the players that use it (no secrets or tokens)
  * GET /api/accounts/:name
  */
-app.get('/api/accounts/:name', (req, res) => {
+app.get('/api/accounts/:name', requireScope('read'), async (req, res) => {
   const { name } = req.params;
   const account = accounts[name];
 
@@ -123,543 +519,2743 @@ app.get('/api/accounts/:name', (req, res) => {
   res.json({
     name: account.name,
     authenticated: account.authenticated,
+    authError: account.authError || null,
+    expiresAt: account.expiresAt ? new Date(account.expiresAt) : null,
+    hasRefreshToken: Boolean(account.refreshToken),
+    clientId: account.clientId,
+    pkce: !account.clientSecret,
+    redirectUri: account.redirectUri,
+    haSourceId: account.haSourceId || null,
+    profile: await getAccountProfile(name),
+    players: getAccountPlayers(name).map(player => ({
+      name: player,
+      status: playerInstances.has(player) ? 'running' : failedPlayers.has(player) ? 'failed' : 'stopped',
+      health: playerInstances.has(player) ? playerInstances.get(player).health : null
+    })),
     hasPlayer: playerInstances.has(name)
   });
 });
 
 /**
- * Get access token for an account (refreshes if expired)
- * GET /api/accounts/:name/token
+ * Update an account
+ * PATCH /api/accounts/:name
+ * Body: any of { clientId: string, clientSecret: string, redirectUri: string, haSourceId: string }
+ * Changing clientId or clientSecret (null for PKCE) drops the account's tokens and stops its players
+ * until it is authenticated again with the returned authUrl.
  */
-app.get('/api/accounts/:name/token', async (req, res) => {
+app.patch('/api/accounts/:name', requireScope('admin'), (req, res) => {
   const { name } = req.params;
-  const account = accounts[name];
 
-  if (!account) {
+  if (!accounts[name]) {
     return res.status(404).json({ error: 'Account not found' });
   }
 
-  if (!account.authenticated || !account.token) {
-    return res.status(400).json({ error: 'Account not authenticated' });
-  }
+  const fields = pickAccountFields(req.body);
+  const error = validateAccountFields(fields);
 
-  // Check if token is expired or about to expire (within 5 minutes)
-  const now = Date.now();
-  const bufferTime = 5 * 60 * 1000; // 5 minutes in milliseconds
-  
-  if (account.expiresAt && (now + bufferTime) >= account.expiresAt) {
-    // Token is expired or about to expire, refresh it
-    if (!account.refreshToken) {
-      return res.status(400).json({ error: 'No refresh token available' });
-    }
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-    try {
-      const tokenData = await refreshAccessToken(
-        account.refreshToken,
-        account.clientId,
-        account.clientSecret
-      );
-
-      // Update account with new token
-      const accessToken = tokenData && typeof tokenData.access_token === 'string' ? tokenData.access_token : null;
-      const expiresIn = tokenData && typeof tokenData.expires_in === 'number' ? tokenData.expires_in : 3600;
-      const newRefreshToken = tokenData && typeof tokenData.refresh_token === 'string' ? tokenData.refresh_token : null;
-      
-      accounts[name] = {
-        ...accounts[name],
-        token: accessToken,
-        expiresAt: Date.now() + (expiresIn * 1000),
-        ...(newRefreshToken && { refreshToken: newRefreshToken })
-      };
+  const updated = Object.keys(fields).filter(field => (accounts[name][field] || null) !== fields[field]);
+  const reauthorize = updated.some(field => ACCOUNT_CREDENTIAL_FIELDS.includes(field));
 
-      saveTokens();
+  accounts[name] = { ...accounts[name], ...fields };
+  if (reauthorize) {
+    resetAccountCredentials(name, 'Client credentials changed through the API');
+  }
+  saveTokens();
 
-      return res.json({ token: accessToken });
-    } catch (error) {
-      console.error('Error refreshing token:', error);
-      return res.status(500).json({ error: 'Failed to refresh token', details: error.message });
-    }
+  if (updated.length > 0) {
+    publish('account.updated', { account: name, fields: updated, reauthorize });
   }
 
-  // Token is still valid, return it
-  res.json({ token: account.token });
+  // An authorization URL issued earlier was for the old client or redirect URI
+  const needsAuthUrl = !accounts[name].authenticated && updated.some(field => field !== 'haSourceId');
+  const authorization = needsAuthUrl ? authorizations.create(accounts[name]) : null;
+
+  res.json({
+    message: 'Account updated successfully',
+    name,
+    updated,
+    reauthorize,
+    pkce: !accounts[name].clientSecret,
+    ...(authorization && {
+      authUrl: authorization.authUrl,
+      authUrlExpiresAt: authorization.expiresAt,
+      instructions: 'Visit the authUrl to authenticate with Spotify'
+    })
+  });
 });
 
 /**
- * Callback endpoint for OAuth
- * GET /callback?code=...&state=...
+ * Delete an account, stopping and removing the players that use it, and deleting its tokens
+ * DELETE /api/accounts/:name
  */
-app.get('/callback', async (req, res) => {
-  const { code, state } = req.query;
-  const accountName = state;
+app.delete('/api/accounts/:name', requireScope('admin'), async (req, res) => {
+  const { name } = req.params;
 
-  if (!code || !accountName || !accounts[accountName]) {
-    return res.status(400).send('Invalid callback parameters');
+  if (!accounts[name]) {
+    return res.status(404).json({ error: 'Account not found' });
   }
 
-  try {
-    // Exchange code for token
-    const tokenData = await exchangeCodeForToken(
-      code,
-      accounts[accountName].clientId,
-      accounts[accountName].clientSecret,
-      accounts[accountName].redirectUri
-    );
-
-    // Store tokens - safely update by creating a new object to prevent prototype pollution
-    const accessToken = tokenData && typeof tokenData.access_token === 'string' ? tokenData.access_token : null;
-    const refreshToken = tokenData && typeof tokenData.refresh_token === 'string' ? tokenData.refresh_token : null;
-    const expiresIn = tokenData && typeof tokenData.expires_in === 'number' ? tokenData.expires_in : 3600;
-    
-    // Update account with validated values
-    accounts[accountName] = {
-      ...accounts[accountName],
-      token: accessToken,
-      refreshToken: refreshToken,
-      authenticated: true,
-      expiresAt: Date.now() + (expiresIn * 1000)
-    };
-
-    saveTokens();
-
-    // Escape account name to prevent XSS
-    const escapedAccountName = escapeHtml(accountName);
+  // A launch in progress would otherwise finish with a player on a deleted account
+  for (const [player, launching] of launchingPlayers) {
+    if (launching.accountName === name) {
+      return res.status(409).json({ error: `Player ${player} is being launched on this account, try again once it has started` });
+    }
+  }
 
-    res.send(`
-      <html>
-        <head>
-          <meta charset="UTF-8">
-        </head>
-        <body>
-          <h1>Authentication Successful!</h1>
-          <p>Account "${escapedAccountName}" has been authenticated.</p>
-          <p>You can close this window and launch the player instance.</p>
-        </body>
-      </html>
-    `);
+  try {
+    const removedPlayers = await removeAccount(name);
+    res.json({ message: 'Account deleted successfully', name, removedPlayers });
   } catch (error) {
-    console.error('Error exchanging code for token:', error);
-    res.status(500).send('Failed to authenticate');
+    log.error('Error deleting account', { account: name, error });
+    res.status(500).json({ error: 'Failed to delete account', details: error.message });
   }
 });
 
 /**
- * Launch player instance for an account
- * POST /api/players/:name/launch
- * Body: { accountName: string, displayName: string, audioDestination: string, haEntityId: string }
+ * Get access token for an account (refreshes if expired)
+ * GET /api/accounts/:name/token
  */
-app.post('/api/players/:name/launch', async (req, res) => {
+app.get('/api/accounts/:name/token', requireAccountPlayerOrScope('admin'), async (req, res) => {
   const { name } = req.params;
-  const { accountName, displayName, audioDestination, haEntityId } = req.body;
-
-  // Use accountName from request body to access the account
-  const account = accounts[accountName];
+  const account = accounts[name];
 
   if (!account) {
     return res.status(404).json({ error: 'Account not found' });
   }
 
   if (!account.authenticated || !account.token) {
-    return res.status(400).json({ error: 'Account not authenticated. Please authenticate first.' });
+    return res.status(400).json({ error: 'Account not authenticated' });
   }
 
-  if (playerInstances.has(name)) {
-    return res.status(409).json({ error: 'Player instance already running for this account' });
+  if (!account.refreshToken && account.expiresAt && Date.now() >= account.expiresAt) {
+    return res.status(400).json({ error: 'No refresh token available' });
   }
 
   try {
-    // Launch headless browser with player
-    const browser = await launchPlayerInstance(name, accountName, account.token, displayName, audioDestination);
-    playerInstances.set(name, {
-      browser,
-      accountName,
-      audioDestination: audioDestination || 'default',
-      displayName: displayName || name,
-      launchedAt: new Date(),
-      haEntityId: haEntityId || null
-    });
-
-    res.json({
-      message: 'Player instance launched successfully',
-      name,
-      displayName: displayName || name,
-      audioDestination: audioDestination || 'default',
-      haEntityId: haEntityId || null
-    });
+    // Refreshes if the token is about to expire, sharing any refresh already in flight
+    const freshAccount = await tokenRefresher.ensureFresh(name);
+    res.json({ token: freshAccount.token });
   } catch (error) {
-    console.error('Error launching player:', error);
-    res.status(500).json({ error: 'Failed to launch player instance', details: error.message });
+    // Deleted while its token was being refreshed
+    if (error.code === 'account_not_found') {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    log.error('Error refreshing token', { account: name, error });
+    res.status(500).json({ error: 'Failed to refresh token', details: error.message });
   }
 });
 
 /**
- * Stop player instance for an account
- * DELETE /api/players/:name
+ * Search Spotify's catalog as an account
+ * GET /api/accounts/:name/search?q=...&type=track,album&limit=20&offset=0
  */
-app.delete('/api/players/:name', async (req, res) => {
+app.get('/api/accounts/:name/search', requireScope('read'), async (req, res) => {
   const { name } = req.params;
+  const { q, type = 'track', limit, offset } = req.query;
 
-  if (!playerInstances.has(name)) {
-    return res.status(404).json({ error: 'No player instance running for this account' });
+  if (!accounts[name]) {
+    return res.status(404).json({ error: 'Account not found' });
   }
 
-  try {
-    const instance = playerInstances.get(name);
-    await instance.browser.close();
-    playerInstances.delete(name);
+  if (!q || typeof q !== 'string') {
+    return res.status(400).json({ error: 'q is required' });
+  }
 
-    res.json({ message: 'Player instance stopped successfully', name });
-  } catch (error) {
-    console.error('Error stopping player:', error);
-    res.status(500).json({ error: 'Failed to stop player instance', details: error.message });
+  const types = String(type).split(',');
+  const unknownType = types.find(searchType => !SEARCH_TYPES.includes(searchType));
+
+  if (unknownType) {
+    return res.status(400).json({ error: `Invalid type: ${unknownType}. Must be one of: ${SEARCH_TYPES.join(', ')}` });
   }
-});
 
-/**
- * List all running player instances
- * GET /api/players
- */
-app.get('/api/players', (req, res) => {
-  const players = Array.from(playerInstances.entries()).map(([name, instance]) => ({
-    name,
-    displayName: instance.displayName || name,
-    audioDestination: instance.audioDestination,
-    launchedAt: instance.launchedAt
-  }));
-  res.json({ players });
+  const pageError = validatePage(limit, offset);
+
+  if (pageError) {
+    return res.status(400).json({ error: pageError });
+  }
+
+  try {
+    res.json(await spotifyApi.request(name, 'GET', '/search', { query: { q, type: types.join(','), limit, offset } }));
+  } catch (error) {
+    sendSpotifyError(res, 'Failed to search', error);
+  }
 });
 
 /**
- * Notify that playback has started on a player
- * POST /api/players/:name/playback-started
+ * List an account's playlists
+ * GET /api/accounts/:name/playlists?limit=20&offset=0
  */
-app.post('/api/players/:name/playback-started', async (req, res) => {
+app.get('/api/accounts/:name/playlists', requireScope('read'), async (req, res) => {
   const { name } = req.params;
+  const { limit, offset } = req.query;
 
-  const playerInstance = playerInstances.get(name);
-
-  if (!playerInstance) {
-    return res.status(404).json({ error: 'Player instance not found' });
-  }
-
-  // Use accountName from player instance
-  const account = accounts[playerInstance.accountName];
-
-  if (!account) {
+  if (!accounts[name]) {
     return res.status(404).json({ error: 'Account not found' });
   }
 
-  console.log(`Playback started on player: ${name}`);
-
-  // Call Home Assistant webhook
-  const haEntityId = playerInstance.haEntityId;
-  const haSourceId = account.haSourceId;
+  const pageError = validatePage(limit, offset);
 
-  if (haEntityId) {
-    await callHomeAssistantWebhook(haEntityId, haSourceId);
+  if (pageError) {
+    return res.status(400).json({ error: pageError });
   }
 
-  res.json({ message: 'Playback start notification received' });
+  try {
+    res.json(await spotifyApi.request(name, 'GET', '/me/playlists', { query: { limit, offset } }));
+  } catch (error) {
+    sendSpotifyError(res, 'Failed to list playlists', error);
+  }
 });
 
 /**
- * Notify that playback has stopped on a player
- * POST /api/players/:name/playback-stopped
+ * List the tracks of a playlist as an account
+ * GET /api/accounts/:name/playlists/:id/tracks?limit=20&offset=0
+ */
+app.get('/api/accounts/:name/playlists/:id/tracks', requireScope('read'), async (req, res) => {
+  const { name, id } = req.params;
+  const { limit, offset } = req.query;
+
+  if (!accounts[name]) {
+    return res.status(404).json({ error: 'Account not found' });
+  }
+
+  const pageError = validatePage(limit, offset);
+
+  if (pageError) {
+    return res.status(400).json({ error: pageError });
+  }
+
+  try {
+    res.json(await spotifyApi.request(name, 'GET', `/playlists/${encodeURIComponent(id)}/tracks`, { query: { limit, offset } }));
+  } catch (error) {
+    sendSpotifyError(res, 'Failed to list playlist tracks', error);
+  }
+});
+
+/**
+ * Create an API key
+ * POST /api/keys
+ * Body: { name: string, scope: 'read' | 'control' | 'admin' }
+ */
+app.post('/api/keys', requireScope('admin'), (req, res) => {
+  const { name, scope } = req.body;
+
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  if (!SCOPES.includes(scope)) {
+    return res.status(400).json({ error: `Invalid scope. Must be one of: ${SCOPES.join(', ')}` });
+  }
+
+  const key = apiKeys.create(name, scope);
+
+  res.json({
+    message: 'API key created successfully',
+    ...key,
+    instructions: 'Store this key now, it cannot be retrieved again'
+  });
+});
+
+/**
+ * List API keys (without the keys themselves)
+ * GET /api/keys
+ */
+app.get('/api/keys', requireScope('admin'), (req, res) => {
+  res.json({ keys: apiKeys.list() });
+});
+
+/**
+ * Revoke an API key
+ * DELETE /api/keys/:id
+ */
+app.delete('/api/keys/:id', requireScope('admin'), (req, res) => {
+  const { id } = req.params;
+
+  if (!apiKeys.remove(id)) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  res.json({ message: 'API key revoked successfully', id });
+});
+
+/**
+ * Create a webhook subscription
+ * POST /api/webhooks
+ * Body: { name, url, method, headers, body, secret, events: string[], players: string[], enabled }
+ */
+app.post('/api/webhooks', requireScope('admin'), (req, res) => {
+  const fields = pickWebhookFields(req.body);
+  const error = validateWebhook(fields);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const webhook = webhooks.create(fields);
+  res.json({ message: 'Webhook created successfully', ...webhook });
+});
+
+/**
+ * List webhook subscriptions (without their signing secrets)
+ * GET /api/webhooks
+ */
+app.get('/api/webhooks', requireScope('admin'), (req, res) => {
+  res.json({ webhooks: webhooks.list() });
+});
+
+/**
+ * Get a webhook subscription
+ * GET /api/webhooks/:id
+ */
+app.get('/api/webhooks/:id', requireScope('admin'), (req, res) => {
+  const webhook = webhooks.get(req.params.id);
+
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  res.json(webhook);
+});
+
+/**
+ * Update a webhook subscription
+ * PATCH /api/webhooks/:id
+ * Body: any of the fields accepted by POST /api/webhooks
+ */
+app.patch('/api/webhooks/:id', requireScope('admin'), (req, res) => {
+  const fields = pickWebhookFields(req.body);
+  const error = validateWebhook(fields, { partial: true });
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const webhook = webhooks.update(req.params.id, fields);
+
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  res.json({ message: 'Webhook updated successfully', ...webhook });
+});
+
+/**
+ * Delete a webhook subscription
+ * DELETE /api/webhooks/:id
+ */
+app.delete('/api/webhooks/:id', requireScope('admin'), (req, res) => {
+  const { id } = req.params;
+
+  if (!webhooks.remove(id)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  res.json({ message: 'Webhook deleted successfully', id });
+});
+
+/**
+ * Recent deliveries of a webhook subscription, newest first
+ * GET /api/webhooks/:id/deliveries
+ */
+app.get('/api/webhooks/:id/deliveries', requireScope('admin'), (req, res) => {
+  const deliveries = webhooks.getDeliveries(req.params.id);
+
+  if (!deliveries) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  res.json({ id: req.params.id, deliveries });
+});
+
+/**
+ * Send a test event to a webhook subscription and wait for the delivery (one attempt, no retries)
+ * POST /api/webhooks/:id/test
+ */
+app.post('/api/webhooks/:id/test', requireScope('admin'), async (req, res) => {
+  const delivery = await webhooks.test(req.params.id);
+
+  if (!delivery) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  res.json({ message: `Test delivery ${delivery.status}`, delivery });
+});
+
+/**
+ * Get the outcome of the last config file reconciliation
+ * GET /api/config
+ */
+app.get('/api/config', requireScope('admin'), (req, res) => {
+  if (!CONFIG_FILE) {
+    return res.status(404).json({ error: 'No config file configured. Set CONFIG_FILE to use one.' });
+  }
+
+  res.json(configStatus);
+});
+
+/**
+ * Dry run: validate the config file and list the changes reconciling it would make
+ * GET /api/config/plan
+ */
+app.get('/api/config/plan', requireScope('admin'), (req, res) => {
+  if (!CONFIG_FILE) {
+    return res.status(404).json({ error: 'No config file configured. Set CONFIG_FILE to use one.' });
+  }
+
+  try {
+    const { changes } = planConfig();
+    res.json({ file: CONFIG_FILE, valid: true, changes });
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      log.error('Error planning config changes', { error });
+      return res.status(500).json({ error: 'Failed to plan config changes', details: error.message });
+    }
+    res.status(400).json({ file: CONFIG_FILE, valid: false, error: 'Config file is invalid', errors: error.errors });
+  }
+});
+
+/**
+ * Reconcile accounts and players with the config file now
+ * POST /api/config/reconcile
+ */
+app.post('/api/config/reconcile', requireScope('admin'), async (req, res) => {
+  if (!CONFIG_FILE) {
+    return res.status(404).json({ error: 'No config file configured. Set CONFIG_FILE to use one.' });
+  }
+
+  const status = await reconcileConfig();
+
+  if (!status.valid) {
+    return res.status(400).json({ error: 'Config file is invalid', ...status });
+  }
+
+  res.json(status);
+});
+
+/**
+ * Callback endpoint for OAuth
+ * GET /callback?code=...&state=...
+ */
+app.get('/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+
+  // Verify the state before anything else: it must be one we issued, unused and not expired
+  let authorization;
+  try {
+    authorization = authorizations.consume(state);
+  } catch (stateError) {
+    log.warn('Rejected OAuth callback', { error: stateError.message });
+    return res.status(400).send('Invalid or expired authorization state. Please request a new authorization URL.');
+  }
+
+  const { accountName, codeVerifier } = authorization;
+
+  if (error) {
+    return res.status(400).send(`Authorization was not granted: ${escapeHtml(String(error))}`);
+  }
+
+  if (!code || !accounts[accountName]) {
+    return res.status(400).send('Invalid callback parameters');
+  }
+
+  try {
+    // Exchange code for token
+    const tokenData = await exchangeCodeForToken(code, accounts[accountName], codeVerifier, SPOTIFY_ACCOUNTS_URL);
+
+    // Store tokens - safely update by creating a new object to prevent prototype pollution
+    const accessToken = tokenData && typeof tokenData.access_token === 'string' ? tokenData.access_token : null;
+    const refreshToken = tokenData && typeof tokenData.refresh_token === 'string' ? tokenData.refresh_token : null;
+    const expiresIn = tokenData && typeof tokenData.expires_in === 'number' ? tokenData.expires_in : 3600;
+    
+    // Update account with validated values
+    accounts[accountName] = {
+      ...accounts[accountName],
+      token: accessToken,
+      refreshToken: refreshToken,
+      authenticated: true,
+      authError: null,
+      expiresAt: Date.now() + (expiresIn * 1000),
+      // May be a different Spotify user than before, looked up again when needed
+      profile: null
+    };
+
+    saveTokens();
+    tokenRefresher.schedule(accountName);
+    publish('account.authenticated', { account: accountName });
+
+    // Bring back players that were stopped while the account was deauthorized
+    restorePlayers();
+
+    // Escape account name to prevent XSS
+    const escapedAccountName = escapeHtml(accountName);
+
+    res.send(`
+      <html>
+        <head>
+          <meta charset="UTF-8">
+        </head>
+        <body>
+          <h1>Authentication Successful!</h1>
+          <p>Account "${escapedAccountName}" has been authenticated.</p>
+          <p>You can close this window and launch the player instance.</p>
+        </body>
+      </html>
+    `);
+  } catch (error) {
+    log.error('Error exchanging code for token', { account: accountName, error });
+    res.status(500).send('Failed to authenticate');
+  }
+});
+
+/**
+ * Launch player instance for an account
+ * Waits for the player page to connect to Spotify (up to PLAYER_READY_TIMEOUT) and responds with its deviceId;
+ * a player that fails to connect is stopped again and the SDK's error is returned.
+ * POST /api/players/:name/launch
+ * Body: { accountName: string, displayName: string, audioDestination: string, haEntityId: string, haActions: object, backend: string }
+ */
+app.post('/api/players/:name/launch', requireScope('control'), async (req, res) => {
+  const { name } = req.params;
+  const { accountName, displayName, audioDestination, haEntityId, haActions: haProfile } = req.body;
+  const backendName = req.body.backend || DEFAULT_BACKEND;
+
+  const backend = getBackend(backendName);
+
+  if (!backend) {
+    return res.status(400).json({ error: `Unknown backend. Must be one of: ${backendNames.join(', ')}` });
+  }
+
+  const profileError = haProfile ? validateProfile(haProfile) : null;
+
+  if (profileError) {
+    return res.status(400).json({ error: profileError });
+  }
+
+  // Use accountName from request body to access the account
+  const account = accounts[accountName];
+
+  if (!account) {
+    return res.status(404).json({ error: 'Account not found' });
+  }
+
+  if (!account.authenticated || !account.token) {
+    return res.status(400).json({ error: 'Account not authenticated. Please authenticate first.' });
+  }
+
+  const existing = playerInstances.get(name);
+
+  // The supervisor gave up on it (reported as failed), launching it again starts it over
+  if (existing && existing.gaveUp) {
+    await stopPlayer(name).catch((error) => log.warn('Error stopping failed player before relaunch', { player: name, error: error.message }));
+  } else if (existing) {
+    return res.status(409).json({ error: 'Player instance already running for this account' });
+  }
+
+  if (launchingPlayers.has(name)) {
+    return res.status(409).json({ error: 'Player instance is already being launched' });
+  }
+
+  const config = {
+    accountName,
+    displayName: displayName || null,
+    audioDestination: audioDestination || null,
+    haEntityId: haEntityId || null,
+    haActions: haProfile || null,
+    backend: backend.name,
+    desiredState: 'running'
+  };
+
+  try {
+    const deviceId = await startPlayer(name, config, { waitForReady: true });
+
+    // Remember the launch parameters so the player is restored on restart
+    playerConfigs[name] = config;
+    savePlayers();
+
+    res.json({
+      message: 'Player instance launched successfully',
+      name,
+      backend: backend.name,
+      displayName: displayName || name,
+      audioDestination: audioDestination || 'default',
+      haEntityId: haEntityId || null,
+      deviceId
+    });
+  } catch (error) {
+    if (error.availableDevices) {
+      return res.status(400).json({ error: error.message, availableDevices: error.availableDevices });
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    log.error('Error launching player', { player: name, account: accountName, error });
+    res.status(500).json({ error: 'Failed to launch player instance', details: error.message });
+  }
+});
+
+/**
+ * Stop player instance for an account
+ * DELETE /api/players/:name
+ */
+app.delete('/api/players/:name', requireScope('control'), async (req, res) => {
+  const { name } = req.params;
+
+  if (!playerInstances.has(name) && !launchingPlayers.has(name) && !failedPlayers.has(name)) {
+    return res.status(404).json({ error: 'No player instance running for this account' });
+  }
+
+  try {
+    await stopPlayer(name);
+
+    // Keep the player stopped across restarts
+    if (playerConfigs[name]) {
+      playerConfigs[name] = { ...playerConfigs[name], desiredState: 'stopped' };
+      savePlayers();
+    }
+
+    res.json({ message: 'Player instance stopped successfully', name });
+  } catch (error) {
+    log.error('Error stopping player', { player: name, error });
+    res.status(500).json({ error: 'Failed to stop player instance', details: error.message });
+  }
+});
+
+/**
+ * List all running player instances, plus players that failed to restore on startup
+ * GET /api/players
+ */
+app.get('/api/players', requireScope('read'), (req, res) => {
+  const players = Array.from(playerInstances.entries()).map(([name, instance]) => ({
+    name,
+    status: instance.gaveUp ? 'failed' : 'running',
+    health: instance.health,
+    displayName: instance.displayName || name,
+    accountName: instance.accountName,
+    backend: instance.backend,
+    audioDestination: instance.audioDestination,
+    activeAudioDevice: instance.activeAudioDevice || null,
+    deviceId: instance.deviceId || null,
+    haEntityId: instance.haEntityId,
+    launchedAt: instance.launchedAt,
+    isPlaying: instance.isPlaying,
+    restartCount: instance.restartCount,
+    lastRestartAt: instance.lastRestartAt || null,
+    lastError: instance.lastError
+  }));
+
+  for (const [name, failure] of failedPlayers) {
+    const config = playerConfigs[name] || {};
+    players.push({
+      name,
+      status: 'failed',
+      displayName: config.displayName || name,
+      accountName: config.accountName,
+      backend: config.backend,
+      audioDestination: config.audioDestination || 'default',
+      haEntityId: config.haEntityId || null,
+      error: failure.error,
+      failedAt: failure.failedAt
+    });
+  }
+
+  res.json({ players });
+});
+
+/**
+ * Control playback on a running player
+ * POST /api/players/:name/control
+ * Body: { action: 'play' | 'pause' | 'toggle' | 'next' | 'previous' | 'seek' | 'volume', positionMs: number, volume: number }
  */
-app.post('/api/players/:name/playback-stopped', async (req, res) => {
+app.post('/api/players/:name/control', requireScope('control'), async (req, res) => {
   const { name } = req.params;
+  const { action, positionMs, volume } = req.body;
+
+  if (!TRANSPORT_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `Invalid action. Must be one of: ${TRANSPORT_ACTIONS.join(', ')}` });
+  }
+
+  if (action === 'seek' && (!Number.isInteger(positionMs) || positionMs < 0)) {
+    return res.status(400).json({ error: 'positionMs must be a non-negative integer' });
+  }
+
+  if (action === 'volume' && (typeof volume !== 'number' || volume < 0 || volume > 100)) {
+    return res.status(400).json({ error: 'volume must be a number between 0 and 100' });
+  }
+
+  const instance = playerInstances.get(name);
+  const error = getControllableError(instance);
+
+  if (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  // A manual volume change takes over from a scheduled ramp
+  if (action === 'volume') {
+    cancelVolumeRamp(name);
+  }
+
+  try {
+    await instance.handle.control(action, action === 'seek' ? positionMs : volume);
+    res.json({ message: 'Playback control applied', name, action });
+  } catch (error) {
+    log.error('Error controlling player', { player: name, action, error });
+    res.status(500).json({ error: 'Failed to control player', details: error.message });
+  }
+});
+
+/**
+ * Get current volume and playback position of a running player
+ * GET /api/players/:name/control
+ */
+app.get('/api/players/:name/control', requireScope('read'), async (req, res) => {
+  const { name } = req.params;
+
+  const instance = playerInstances.get(name);
+  const error = getControllableError(instance);
+
+  if (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  try {
+    const status = await instance.handle.getPlaybackStatus();
+    res.json({ name, ...status });
+  } catch (error) {
+    log.error('Error reading player status', { player: name, error });
+    res.status(500).json({ error: 'Failed to read player status', details: error.message });
+  }
+});
+
+/**
+ * Report a Web Playback SDK event from a player page (used by player.html)
+ * POST /api/players/:name/health
+ * Body: { event: string, message: string, deviceId: string }
+ */
+app.post('/api/players/:name/health', requirePlayerOrScope('admin'), (req, res) => {
+  const { name } = req.params;
+  const { event, message, deviceId } = req.body;
+
+  if (!event || typeof event !== 'string') {
+    return res.status(400).json({ error: 'event is required' });
+  }
+
+  // The page may be ready before its launch has finished
+  if (!playerInstances.has(name) && launchingPlayers.has(name)) {
+    launchingPlayers.get(name).events.push({ event, message, deviceId });
+    return res.json({ message: 'Health event received', health: 'starting' });
+  }
+
+  if (!reportPlayerHealth(name, event, message, deviceId)) {
+    return res.status(404).json({ error: 'Player instance not found' });
+  }
+
+  res.json({ message: 'Health event received', health: playerInstances.get(name).health });
+});
+
+/**
+ * Report the current playback state of a player (used by player.html and the spotifyd hook)
+ * POST /api/players/:name/state
+ * Body: { deviceId: string, track: { uri, name, artists, album, artworkUrl, durationMs }, paused: boolean, positionMs: number }
+ * An empty body (no track) means there is no active playback.
+ */
+app.post('/api/players/:name/state', requirePlayerOrScope('admin'), (req, res) => {
+  const { name } = req.params;
+
+  const instance = playerInstances.get(name);
+
+  if (!instance) {
+    return res.status(404).json({ error: 'Player instance not found' });
+  }
+
+  if (typeof req.body.deviceId === 'string') {
+    instance.deviceId = req.body.deviceId;
+  }
+
+  const previous = instance.playback;
+  const playback = normalizePlaybackState(req.body);
+  instance.playback = playback;
+
+  publish('playback.state', { player: name, playback });
+
+  const previousUri = previous ? previous.track.uri : null;
+  const currentUri = playback ? playback.track.uri : null;
+  if (currentUri && currentUri !== previousUri) {
+    publish('playback.track_changed', { player: name, track: playback.track });
+  }
+
+  res.json({ message: 'State received' });
+});
+
+/**
+ * Get the now-playing state of a player
+ * GET /api/players/:name/state
+ */
+app.get('/api/players/:name/state', requireScope('read'), (req, res) => {
+  const { name } = req.params;
+
+  const instance = playerInstances.get(name);
+
+  if (!instance) {
+    return res.status(404).json({ error: 'Player instance not found' });
+  }
+
+  const playback = instance.playback;
+
+  res.json({
+    name,
+    deviceId: instance.deviceId || null,
+    health: instance.health,
+    isPlaying: instance.isPlaying,
+    playback: playback ? { ...playback, positionMs: estimatePosition(playback) } : null
+  });
+});
+
+/**
+ * Issue a short-lived token for opening event streams (?access_token=), with the caller's access
+ * POST /api/events/token
+ */
+app.post('/api/events/token', requireScope('read'), (req, res) => {
+  const { token, expiresAt } = streamTokens.issue(req.auth);
+  res.json({ token, expiresAt: new Date(expiresAt).toISOString() });
+});
+
+/**
+ * Stream player lifecycle and playback events as server-sent events
+ * GET /api/events?player=<name>&access_token=<stream token>
+ */
+app.get('/api/events', requireScope('read'), (req, res) => {
+  const { player } = req.query;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const unsubscribe = subscribe((event) => {
+    if (player && event.player !== player) {
+      return;
+    }
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 30000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+/**
+ * Read a player's latest log entries (server entries about it, and what its page or process logged)
+ * GET /api/players/:name/logs?level=warn&since=<id>&limit=100
+ * With follow=true the entries are followed by new ones as server-sent events
+ */
+app.get('/api/players/:name/logs', requireScope('read'), (req, res) => {
+  const { name } = req.params;
+  const { level, since, limit, follow } = req.query;
+
+  if (!playerInstances.has(name) && !launchingPlayers.has(name) && !playerConfigs[name] && !failedPlayers.has(name) && !playerLogs.has(name)) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+
+  if (level !== undefined && !LEVELS[level]) {
+    return res.status(400).json({ error: `Invalid level. Must be one of: ${Object.keys(LEVELS).join(', ')}` });
+  }
+
+  const sinceId = since === undefined ? 0 : Number(since);
+  if (!Number.isInteger(sinceId) || sinceId < 0) {
+    return res.status(400).json({ error: 'since must be a non-negative integer' });
+  }
+
+  const maxEntries = limit === undefined ? playerLogs.size : Number(limit);
+  if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+    return res.status(400).json({ error: 'limit must be a positive integer' });
+  }
+
+  const entries = playerLogs.list(name, { level, since: sinceId, limit: maxEntries });
+
+  if (follow !== 'true') {
+    return res.json({ name, entries });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  // The id lets an EventSource resume after the last entry it saw (?since=)
+  const send = (entry) => res.write(`event: log\nid: ${entry.id}\ndata: ${JSON.stringify(entry)}\n\n`);
+  entries.forEach(send);
+
+  const unsubscribe = playerLogs.subscribe((player, entry) => {
+    if (player === name && matchesLevel(entry, level)) {
+      send(entry);
+    }
+  });
+
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 30000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+/**
+ * Notify that playback has started on a player
+ * POST /api/players/:name/playback-started
+ */
+app.post('/api/players/:name/playback-started', requirePlayerOrScope('admin'), (req, res) => {
+  const { name } = req.params;
+
+  const playerInstance = playerInstances.get(name);
+
+  if (!playerInstance) {
+    return res.status(404).json({ error: 'Player instance not found' });
+  }
+
+  // Use accountName from player instance
+  const account = accounts[playerInstance.accountName];
+
+  if (!account) {
+    return res.status(404).json({ error: 'Account not found' });
+  }
+
+  // Backends may report the same start more than once (e.g. spotifyd play events)
+  if (!markPlaybackStarted(name, playerInstance)) {
+    return res.json({ message: 'Playback already started' });
+  }
+
+  res.json({ message: 'Playback start notification received' });
+});
+
+/**
+ * Notify that playback has stopped on a player
+ * POST /api/players/:name/playback-stopped
+ */
+app.post('/api/players/:name/playback-stopped', requirePlayerOrScope('admin'), (req, res) => {
+  const { name } = req.params;
+
+  const playerInstance = playerInstances.get(name);
+
+  if (!playerInstance) {
+    return res.status(404).json({ error: 'Player instance not found' });
+  }
+
+  // Use accountName from player instance
+  const account = accounts[playerInstance.accountName];
+
+  if (!account) {
+    return res.status(404).json({ error: 'Account not found' });
+  }
+
+  if (!markPlaybackStopped(name, playerInstance)) {
+    return res.json({ message: 'Playback already stopped' });
+  }
+
+  res.json({ message: 'Playback stop notification received' });
+});
+
+/**
+ * List the audio output devices players can use
+ * GET /api/audio-devices
+ */
+app.get('/api/audio-devices', requireScope('read'), async (req, res) => {
+  try {
+    res.json(await listAudioDevices());
+  } catch (error) {
+    log.error('Error listing audio devices', { error });
+    res.status(500).json({ error: 'Failed to list audio devices', details: error.message });
+  }
+});
+
+/**
+ * Check which audio output device a player is actually playing to
+ * GET /api/players/:name/audio-device
+ */
+app.get('/api/players/:name/audio-device', requireScope('read'), async (req, res) => {
+  const { name } = req.params;
+  const instance = playerInstances.get(name);
+
+  if (!instance) {
+    return res.status(404).json({ error: 'Player instance not found' });
+  }
+
+  res.json({ name, audioDestination: instance.audioDestination, activeAudioDevice: await checkAudioDevice(name) });
+});
+
+/**
+ * Memory used by running players, and how sharing one browser between Chrome players compares with a browser per player
+ * GET /api/memory
+ */
+app.get('/api/memory', requireScope('read'), (req, res) => {
+  res.json(measurePlayerMemory());
+});
+
+/**
+ * Get a player's Home Assistant action profile and the last outcome of its start and stop actions
+ * GET /api/players/:name/ha-actions
+ */
+app.get('/api/players/:name/ha-actions', requireScope('read'), (req, res) => {
+  const { name } = req.params;
+
+  const instance = playerInstances.get(name);
+  const config = instance || playerConfigs[name];
+
+  if (!config) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+
+  res.json({
+    name,
+    custom: Boolean(config.haActions),
+    profile: getHaProfile({ accountName: config.accountName, haEntityId: config.haEntityId, haActions: config.haActions }),
+    lastOutcome: haActions.getOutcomes(name)
+  });
+});
+
+/**
+ * Replace a player's Home Assistant action profile
+ * PUT /api/players/:name/ha-actions
+ * Body: { entityId: string, onStart: [{ service, data }], onStop: [{ service, data }], turnOffDelay: number, retries: number }
+ */
+app.put('/api/players/:name/ha-actions', requireScope('control'), (req, res) => {
+  const { name } = req.params;
+
+  if (!playerConfigs[name]) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+
+  const profileError = validateProfile(req.body);
+
+  if (profileError) {
+    return res.status(400).json({ error: profileError });
+  }
+
+  setHaProfile(name, req.body);
+  res.json({ message: 'Home Assistant actions updated', name });
+});
+
+/**
+ * Remove a player's custom Home Assistant action profile, restoring the default turn on/off profile
+ * DELETE /api/players/:name/ha-actions
+ */
+app.delete('/api/players/:name/ha-actions', requireScope('control'), (req, res) => {
+  const { name } = req.params;
+
+  if (!playerConfigs[name]) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+
+  setHaProfile(name, null);
+  res.json({ message: 'Home Assistant actions reset to default', name });
+});
+
+// Helper function to keep only the subscription fields the API accepts
+function pickWebhookFields(body) {
+  const fields = {};
+  for (const field of WEBHOOK_FIELDS) {
+    if (body && body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Move playback from one player to another
+ * POST /api/players/:name/transfer-to/:target
+ * Players on the same account use Spotify Connect transfer; across accounts the current track and
+ * context are started on the target's account and the source is paused.
+ */
+app.post('/api/players/:name/transfer-to/:target', requireScope('control'), async (req, res) => {
+  const { name, target } = req.params;
+
+  if (name === target) {
+    return res.status(400).json({ error: 'Cannot transfer playback to the same player' });
+  }
+
+  if (!playerInstances.has(name) || !playerInstances.has(target)) {
+    return res.status(404).json({ error: `Player instance not found: ${playerInstances.has(name) ? target : name}` });
+  }
+
+  try {
+    const result = await transferPlayback(name, target);
+    res.json({ message: 'Playback transferred', ...result });
+  } catch (error) {
+    sendSpotifyError(res, 'Failed to transfer playback', error);
+  }
+});
+
+/**
+ * Start playback on a player
+ * POST /api/players/:name/play
+ * Body: { contextUri: string, uris: string[], offset: number | string, positionMs: number } (all optional, without a context playback resumes)
+ */
+app.post('/api/players/:name/play', requireScope('control'), async (req, res) => {
+  const { name } = req.params;
+  const instance = playerInstances.get(name);
+
+  if (!instance) {
+    return res.status(404).json({ error: 'Player instance not found' });
+  }
+
+  const playError = validatePlayRequest(req.body || {});
+
+  if (playError) {
+    return res.status(400).json({ error: playError });
+  }
+
+  try {
+    const deviceId = await getDeviceId(name, { timeout: DEVICE_LOOKUP_TIMEOUT });
+    await spotifyApi.request(instance.accountName, 'PUT', '/me/player/play', { query: { device_id: deviceId }, body: buildPlayBody(req.body || {}) });
+    markPlaybackStarted(name, instance);
+    res.json({ message: 'Playback started', name, deviceId });
+  } catch (error) {
+    sendSpotifyError(res, 'Failed to start playback', error);
+  }
+});
+
+/**
+ * Add a track or episode to a player's queue
+ * POST /api/players/:name/queue
+ * Body: { uri: string }
+ */
+app.post('/api/players/:name/queue', requireScope('control'), async (req, res) => {
+  const { name } = req.params;
+  const { uri } = req.body || {};
+  const instance = playerInstances.get(name);
+
+  if (!instance) {
+    return res.status(404).json({ error: 'Player instance not found' });
+  }
+
+  if (!isSpotifyUri(uri)) {
+    return res.status(400).json({ error: 'uri must be a Spotify track or episode URI' });
+  }
+
+  try {
+    const deviceId = await getDeviceId(name, { timeout: DEVICE_LOOKUP_TIMEOUT });
+    await spotifyApi.request(instance.accountName, 'POST', '/me/player/queue', { query: { uri, device_id: deviceId } });
+    res.json({ message: 'Added to queue', name, uri });
+  } catch (error) {
+    sendSpotifyError(res, 'Failed to add to queue', error);
+  }
+});
+
+/**
+ * List room groups and the state of their players
+ * GET /api/groups
+ */
+app.get('/api/groups', requireScope('read'), (req, res) => {
+  res.json({ groups: groups.list().map(describeGroup) });
+});
+
+/**
+ * Get a room group and the state of its players
+ * GET /api/groups/:name
+ */
+app.get('/api/groups/:name', requireScope('read'), (req, res) => {
+  const group = groups.get(req.params.name);
+
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+
+  res.json(describeGroup(group));
+});
+
+/**
+ * Create or replace a room group
+ * PUT /api/groups/:name
+ * Body: { players: string[] }
+ */
+app.put('/api/groups/:name', requireScope('control'), (req, res) => {
+  const { players } = req.body;
+  const validationError = validateGroupPlayers(players);
+
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const unknown = players.find(player => !playerConfigs[player] && !playerInstances.has(player));
+
+  if (unknown) {
+    return res.status(400).json({ error: `Unknown player: ${unknown}` });
+  }
+
+  res.json(describeGroup(groups.set(req.params.name, players)));
+});
+
+/**
+ * Delete a room group (its players keep running)
+ * DELETE /api/groups/:name
+ */
+app.delete('/api/groups/:name', requireScope('control'), (req, res) => {
+  if (!groups.remove(req.params.name)) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+
+  res.json({ message: 'Group deleted', name: req.params.name });
+});
+
+/**
+ * Start playback in every room of a group, launching players that aren't running
+ * POST /api/groups/:name/start
+ * Body: { contextUri: string, uris: string[], volume: number } (all optional, without a context playback resumes)
+ */
+app.post('/api/groups/:name/start', requireScope('control'), async (req, res) => {
+  const group = groups.get(req.params.name);
+  const { contextUri, uris, volume } = req.body || {};
+
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+
+  const playError = validatePlayRequest(req.body || {});
+
+  if (playError) {
+    return res.status(400).json({ error: playError });
+  }
+
+  if (volume !== undefined && (typeof volume !== 'number' || volume < 0 || volume > 100)) {
+    return res.status(400).json({ error: 'volume must be a number between 0 and 100' });
+  }
+
+  const results = await startGroup(group, { play: buildPlayBody({ contextUri, uris }), volume });
+  res.json({ name: group.name, results });
+});
+
+/**
+ * Pause playback in every room of a group
+ * POST /api/groups/:name/stop
+ */
+app.post('/api/groups/:name/stop', requireScope('control'), async (req, res) => {
+  const group = groups.get(req.params.name);
+
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+
+  const results = await stopGroup(group);
+  res.json({ name: group.name, results });
+});
+
+/**
+ * Set the volume of every room in a group
+ * POST /api/groups/:name/volume
+ * Body: { volume: number } (0-100)
+ */
+app.post('/api/groups/:name/volume', requireScope('control'), async (req, res) => {
+  const group = groups.get(req.params.name);
+  const { volume } = req.body || {};
+
+  if (!group) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+
+  if (typeof volume !== 'number' || volume < 0 || volume > 100) {
+    return res.status(400).json({ error: 'volume must be a number between 0 and 100' });
+  }
+
+  const results = await forEachMember(group, (name) => {
+    cancelVolumeRamp(name);
+    return setPlayerVolume(name, volume).then(() => ({ status: 'ok' }));
+  });
+  res.json({ name: group.name, volume, results });
+});
+
+/**
+ * Create a scheduled playback job or sleep timer
+ * POST /api/schedules
+ * Body: { name, player, action: 'play' | 'pause', cron | at | in, timezone, enabled,
+ *         contextUri, volume, rampSeconds, rampFrom (play), fadeSeconds (pause) }
+ */
+app.post('/api/schedules', requireScope('control'), (req, res) => {
+  const fields = pickScheduleFields(req.body);
+  const error = validateSchedule(fields);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (!playerConfigs[fields.player] && !playerInstances.has(fields.player)) {
+    return res.status(400).json({ error: `Unknown player: ${fields.player}` });
+  }
+
+  const schedule = scheduler.create(fields);
+  res.json({ message: 'Schedule created successfully', ...schedule });
+});
+
+/**
+ * List scheduled jobs with their next and last run
+ * GET /api/schedules
+ */
+app.get('/api/schedules', requireScope('read'), (req, res) => {
+  res.json({ schedules: scheduler.list() });
+});
+
+/**
+ * Get a scheduled job
+ * GET /api/schedules/:id
+ */
+app.get('/api/schedules/:id', requireScope('read'), (req, res) => {
+  const schedule = scheduler.get(req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  res.json(schedule);
+});
+
+/**
+ * Update a scheduled job (a new cron, at or in replaces its time)
+ * PATCH /api/schedules/:id
+ * Body: any of the fields accepted by POST /api/schedules
+ */
+app.patch('/api/schedules/:id', requireScope('control'), (req, res) => {
+  const current = scheduler.get(req.params.id);
+
+  if (!current) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  const fields = pickScheduleFields(req.body);
+  const error = validateSchedule(fields, { partial: true, current });
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (fields.player !== undefined && !playerConfigs[fields.player] && !playerInstances.has(fields.player)) {
+    return res.status(400).json({ error: `Unknown player: ${fields.player}` });
+  }
+
+  const schedule = scheduler.update(req.params.id, fields);
+  res.json({ message: 'Schedule updated successfully', ...schedule });
+});
+
+/**
+ * Delete a scheduled job
+ * DELETE /api/schedules/:id
+ */
+app.delete('/api/schedules/:id', requireScope('control'), (req, res) => {
+  const { id } = req.params;
+
+  if (!scheduler.remove(id)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  res.json({ message: 'Schedule deleted successfully', id });
+});
+
+/**
+ * Run a scheduled job now and wait for it to finish (a volume ramp carries on in the background)
+ * POST /api/schedules/:id/run
+ */
+app.post('/api/schedules/:id/run', requireScope('control'), async (req, res) => {
+  if (!scheduler.get(req.params.id)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  const outcome = await scheduler.run(req.params.id);
+  res.json({ message: `Schedule run ${outcome.status}`, outcome, schedule: scheduler.get(req.params.id) });
+});
+
+// Helper function to check a player can take transport controls (returns null if it can)
+function getControllableError(instance) {
+  if (!instance) {
+    return { status: 404, message: 'Player instance not found' };
+  }
+
+  if (!instance.handle || instance.health !== 'ready') {
+    return { status: 409, message: `Player is not ready (health: ${instance.health})` };
+  }
+
+  if (!instance.handle.control) {
+    return { status: 501, message: `Transport control is not supported by the ${instance.backend} backend` };
+  }
+
+  return null;
+}
+
+// Helper function to apply a transport control action outside of an HTTP request (e.g. from MQTT)
+async function controlPlayer(name, action, value) {
+  const instance = playerInstances.get(name);
+  const error = getControllableError(instance);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  await instance.handle.control(action, value);
+}
+
+// Helper function to validate a reported playback state (returns null when nothing is playing)
+function normalizePlaybackState(body) {
+  const track = body && body.track;
+
+  if (!track || typeof track.uri !== 'string') {
+    return null;
+  }
+
+  const artists = Array.isArray(track.artists) ? track.artists.filter(artist => typeof artist === 'string') : [];
+  const durationMs = Number.isFinite(track.durationMs) ? track.durationMs : null;
+
+  return {
+    track: {
+      uri: track.uri,
+      name: typeof track.name === 'string' ? track.name : null,
+      artists,
+      album: typeof track.album === 'string' ? track.album : null,
+      artworkUrl: typeof track.artworkUrl === 'string' ? track.artworkUrl : null,
+      durationMs
+    },
+    paused: body.paused === true,
+    positionMs: Number.isFinite(body.positionMs) ? body.positionMs : 0,
+    updatedAt: new Date()
+  };
+}
+
+// Helper function to estimate the current position of a track from the last reported state
+function estimatePosition(playback) {
+  if (playback.paused) {
+    return playback.positionMs;
+  }
+
+  const position = playback.positionMs + (Date.now() - playback.updatedAt.getTime());
+  return playback.track.durationMs ? Math.min(position, playback.track.durationMs) : position;
+}
+
+// Helper function to escape HTML entities to prevent XSS
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return text.replace(/[&<>"']/g, (m) => map[m]);
+}
+
+// Helper function to store a player's Home Assistant action profile, applying it to the running instance
+function setHaProfile(name, profile) {
+  playerConfigs[name] = { ...playerConfigs[name], haActions: profile };
+  savePlayers();
+
+  const instance = playerInstances.get(name);
+  if (instance) {
+    instance.haActions = profile;
+  }
+}
+
+// Helper function to get a player's Home Assistant action profile (null when it has none)
+function getHaProfile(instance) {
+  if (instance.haActions) {
+    return { ...instance.haActions, entityId: instance.haActions.entityId || instance.haEntityId };
+  }
+
+  if (instance.haEntityId) {
+    const account = accounts[instance.accountName];
+    return buildDefaultProfile(instance.haEntityId, account ? account.haSourceId : null);
+  }
+
+  return null;
+}
+
+// Helper function to make sure an audioDestination is a device on this host (throws with the available devices if not)
+async function checkAudioDestination(audioDestination) {
+  if (!audioDestination || audioDestination === 'default') {
+    return;
+  }
+
+  const { devices, systems } = await listAudioDevices();
+
+  // Nothing to check against (e.g. not Linux), leave it to the backend
+  if (!systems.some(system => system.available)) {
+    log.warn(`Could not list audio devices to check "${audioDestination}"`, { error: systems.map(system => system.error).join(', ') });
+    return;
+  }
+
+  if (!findAudioDevice(devices, audioDestination)) {
+    const error = new Error(`Unknown audio device "${audioDestination}". Use "default" or one of the devices from GET /api/audio-devices`);
+    error.availableDevices = devices.map(device => device.id);
+    throw error;
+  }
+}
+
+// Helper function to find the audio device a running player actually plays to, and warn when it isn't the one it asked for
+async function checkAudioDevice(name) {
+  const instance = playerInstances.get(name);
+  const pid = instance && instance.handle && instance.handle.pid;
+
+  if (!pid) {
+    return instance ? instance.activeAudioDevice || null : null;
+  }
+
+  let device;
+  try {
+    device = await getActiveAudioDevice(pid);
+  } catch (error) {
+    log.error('Error checking audio device', { player: name, error: error.message });
+    return instance.activeAudioDevice || null;
+  }
+
+  // Nothing open (e.g. paused and the stream was released), keep the last known device
+  if (!device) {
+    return instance.activeAudioDevice || null;
+  }
+
+  const previous = instance.activeAudioDevice;
+  const matches = matchesAudioDestination(device, instance.audioDestination);
+  instance.activeAudioDevice = { ...device, matches, checkedAt: new Date() };
+
+  if (!previous || previous.id !== device.id) {
+    if (!matches) {
+      log.warn(`Playing to ${device.id} (${device.name}) instead of ${instance.audioDestination}`, { player: name });
+    }
+    publish('player.audio_device', { player: name, device: device.id, deviceName: device.name, requested: instance.audioDestination, matches });
+  }
+
+  return instance.activeAudioDevice;
+}
+
+// Helper function to measure the memory of every running player's process tree, recording it for the Chrome browser mode
+function measurePlayerMemory() {
+  // Players in a shared browser share its process, so measure each process once
+  const byPid = new Map();
+  for (const [name, instance] of playerInstances) {
+    if (!instance.handle || !instance.handle.pid) {
+      continue;
+    }
+    if (!byPid.has(instance.handle.pid)) {
+      byPid.set(instance.handle.pid, { pid: instance.handle.pid, backend: instance.backend, players: [] });
+    }
+    byPid.get(instance.handle.pid).players.push(name);
+  }
+
+  const processes = [];
+  for (const entry of byPid.values()) {
+    const usage = measureProcessTree(entry.pid);
+    if (usage) {
+      processes.push({ ...entry, ...usage });
+    }
+  }
+
+  const mode = getBackend('chrome').sharedBrowser ? 'shared' : 'per-player';
+  const browsers = processes.filter(entry => entry.backend === 'chrome');
+  const players = browsers.reduce((count, entry) => count + entry.players.length, 0);
+  let chrome = { mode, players: 0 };
+
+  if (players > 0) {
+    const totalBytes = browsers.reduce((total, entry) => total + entry.pssBytes, 0);
+    const measurement = { measuredAt: new Date().toISOString(), players, browsers: browsers.length, totalBytes, perPlayerBytes: Math.round(totalBytes / players) };
+    memoryStats.record(mode, measurement);
+    chrome = { mode, ...measurement };
+  }
+
+  return {
+    maxPlayers: MAX_PLAYERS || null,
+    runningPlayers: playerInstances.size,
+    processes,
+    chrome,
+    comparison: memoryStats.compare()
+  };
+}
+
+// Helper function to record that a player started playing and run its Home Assistant start actions (returns false if it already was)
+function markPlaybackStarted(name, instance) {
+  if (instance.isPlaying) {
+    return false;
+  }
+
+  instance.isPlaying = true;
+  log.info('Playback started', { player: name });
+  publish('playback.started', { player: name });
+
+  // Run the Home Assistant start actions in the background (or cancel a pending turn-off)
+  haActions.playbackStarted(name, getHaProfile(instance));
+
+  // Give the backend a moment to open its output stream, then see where the audio went
+  setTimeout(() => checkAudioDevice(name), AUDIO_DEVICE_CHECK_DELAY);
+  return true;
+}
+
+// Helper function to record that a player stopped playing and schedule its Home Assistant stop actions (returns false if it wasn't playing)
+function markPlaybackStopped(name, instance) {
+  if (!instance.isPlaying) {
+    return false;
+  }
+
+  instance.isPlaying = false;
+  log.info('Playback stopped', { player: name });
+  publish('playback.stopped', { player: name });
+
+  // Turn off Home Assistant media player once the grace period has passed
+  haActions.playbackStopped(name, getHaProfile(instance));
+  return true;
+}
+
+// Helper function to create an error that is sent with the given HTTP status
+function statusError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Helper function to create a store from a file in DATA_DIR, refusing to start when the file can't be read
+// (starting empty would overwrite it on the next save)
+function openStore(description, create) {
+  try {
+    return create();
+  } catch (error) {
+    log.error(`Error loading ${description}`, { error: error.message });
+    process.exit(1);
+  }
+}
+
+// Helper function to send an error from an operation that uses the Spotify Web API
+function sendSpotifyError(res, message, error) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  // Still rate limited after retrying, pass the wait on to the caller
+  if (error.status === 429) {
+    res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+    return res.status(429).json({ error: 'Rate limited by Spotify, try again later', details: error.message });
+  }
+
+  // Errors from Spotify itself (e.g. PREMIUM_REQUIRED) are upstream failures, not ours
+  log.error(message, { error: error.message });
+  res.status(error.status ? 502 : 500).json({ error: message, details: error.message, reason: error.reason || undefined });
+}
+
+// Helper function to get an account's access token for Web API calls
+async function getAccessToken(accountName) {
+  try {
+    return (await getLaunchAccount(accountName)).token;
+  } catch (error) {
+    throw statusError(409, error.message);
+  }
+}
+
+// Helper function to find a running player's Spotify Connect device ID
+// Chrome players report it when the SDK is ready, other players are looked up by device name (waiting up to timeout for them to appear)
+async function getDeviceId(name, { timeout = 0 } = {}) {
+  const instance = playerInstances.get(name);
+
+  if (!instance) {
+    throw statusError(404, `Player instance not found: ${name}`);
+  }
+
+  const deadline = Date.now() + timeout;
+
+  while (!instance.deviceId) {
+    // The Web API sometimes answers with an empty body, which is parsed as null
+    const data = await spotifyApi.request(instance.accountName, 'GET', '/me/player/devices');
+    const devices = (data && data.devices) || [];
+    const device = devices.find(device => device.name === instance.deviceName);
+
+    if (device) {
+      instance.deviceId = device.id;
+      break;
+    }
+
+    if (Date.now() >= deadline) {
+      throw statusError(409, `Player ${name} is not available as a Spotify Connect device ("${instance.deviceName}")`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+
+  return instance.deviceId;
+}
+
+// Helper function to move playback from one running player to another, with Home Assistant following it
+async function transferPlayback(name, target) {
+  const source = playerInstances.get(name);
+  const destination = playerInstances.get(target);
+  const [current, sourceDeviceId] = await Promise.all([
+    spotifyApi.request(source.accountName, 'GET', '/me/player'),
+    getDeviceId(name)
+  ]);
+
+  if (!current || !current.item || !current.device || current.device.id !== sourceDeviceId) {
+    throw statusError(409, `Nothing is playing on player ${name}`);
+  }
+
+  const targetDeviceId = await getDeviceId(target, { timeout: DEVICE_LOOKUP_TIMEOUT });
+  const sameAccount = source.accountName === destination.accountName;
+
+  if (sameAccount) {
+    await spotifyApi.request(source.accountName, 'PUT', '/me/player', { body: { device_ids: [targetDeviceId], play: current.is_playing } });
+  } else {
+    // Spotify Connect can't move playback between accounts, so carry the track, context and position over
+    const contextUri = current.context && SHAREABLE_CONTEXT.test(current.context.uri) ? current.context.uri : null;
+    const body = contextUri
+      ? { context_uri: contextUri, offset: { uri: current.item.uri }, position_ms: current.progress_ms || 0 }
+      : { uris: [current.item.uri], position_ms: current.progress_ms || 0 };
+    await spotifyApi.request(destination.accountName, 'PUT', '/me/player/play', { query: { device_id: targetDeviceId }, body });
+    if (!current.is_playing) {
+      await spotifyApi.request(destination.accountName, 'PUT', '/me/player/pause', { query: { device_id: targetDeviceId } });
+    }
+    await spotifyApi.request(source.accountName, 'PUT', '/me/player/pause', { query: { device_id: sourceDeviceId } });
+  }
+
+  log.info(`Transferred playback to ${target}${sameAccount ? '' : ' (across accounts)'}`, { player: name });
+  publish('playback.transferred', { player: name, target, sameAccount });
+
+  // Switch Home Assistant over now rather than waiting for both players to report in
+  if (current.is_playing) {
+    const sourceProfile = getHaProfile(source);
+    const targetProfile = getHaProfile(destination);
+
+    if (sourceProfile && targetProfile && sourceProfile.entityId && sourceProfile.entityId === targetProfile.entityId) {
+      // Same amplifier: the target's start actions select its source, don't turn it off afterwards
+      if (source.isPlaying) {
+        source.isPlaying = false;
+        publish('playback.stopped', { player: name });
+      }
+      haActions.cancelStop(name);
+    } else {
+      markPlaybackStopped(name, source);
+    }
+    markPlaybackStarted(target, destination);
+  }
+
+  return { from: name, to: target, deviceId: targetDeviceId, sameAccount };
+}
+
+// Helper function to validate what to play (returns an error message, or null if it is valid)
+function validatePlayRequest({ contextUri, uris, offset, positionMs }) {
+  if (contextUri !== undefined && !isSpotifyUri(contextUri)) {
+    return 'contextUri must be a Spotify URI';
+  }
+
+  if (uris !== undefined && (!Array.isArray(uris) || uris.length === 0 || !uris.every(isSpotifyUri))) {
+    return 'uris must be a non-empty array of Spotify URIs';
+  }
+
+  if (contextUri !== undefined && uris !== undefined) {
+    return 'Use either contextUri or uris, not both';
+  }
+
+  if (offset !== undefined && !(Number.isInteger(offset) && offset >= 0) && !isSpotifyUri(offset)) {
+    return 'offset must be a track position (0-based) or a track URI';
+  }
+
+  if (offset !== undefined && contextUri === undefined && uris === undefined) {
+    return 'offset requires contextUri or uris';
+  }
+
+  if (positionMs !== undefined && !(Number.isInteger(positionMs) && positionMs >= 0)) {
+    return 'positionMs must be a non-negative integer';
+  }
+
+  return null;
+}
+
+// Helper function to build a Web API play body (undefined resumes the current playback)
+function buildPlayBody({ contextUri, uris, offset, positionMs }) {
+  if (contextUri === undefined && uris === undefined && positionMs === undefined) {
+    return undefined;
+  }
+
+  return {
+    ...(contextUri !== undefined && { context_uri: contextUri }),
+    ...(uris !== undefined && { uris }),
+    ...(offset !== undefined && { offset: typeof offset === 'number' ? { position: offset } : { uri: offset } }),
+    ...(positionMs !== undefined && { position_ms: positionMs })
+  };
+}
+
+// Helper function to validate limit and offset query parameters (returns an error message, or null if they are valid)
+function validatePage(limit, offset) {
+  if (limit !== undefined && !(/^\d+$/.test(limit) && Number(limit) >= 1 && Number(limit) <= 50)) {
+    return 'limit must be between 1 and 50';
+  }
+
+  if (offset !== undefined && !/^\d+$/.test(offset)) {
+    return 'offset must be a non-negative integer';
+  }
+
+  return null;
+}
+
+function isSpotifyUri(value) {
+  return typeof value === 'string' && /^spotify:[a-z]+:/.test(value);
+}
+
+// Helper function to run an operation on every player of a group, collecting a result per player
+async function forEachMember(group, operation) {
+  const results = [];
+
+  // One at a time: members often share an account, and Spotify applies its player commands in order
+  for (const name of group.players) {
+    if (!playerInstances.has(name)) {
+      results.push({ player: name, status: 'skipped', reason: 'Player is not running' });
+      continue;
+    }
+
+    try {
+      results.push({ player: name, ...await operation(name, playerInstances.get(name)) });
+    } catch (error) {
+      log.error('Error in group', { player: name, group: group.name, error: error.message });
+      results.push({ player: name, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+// Helper function to launch a group's stopped players and start playback on each of them
+async function startGroup(group, { play, volume }) {
+  for (const name of group.players) {
+    if (playerInstances.has(name) || launchingPlayers.has(name) || !playerConfigs[name]) {
+      continue;
+    }
+
+    try {
+      const config = { ...playerConfigs[name], desiredState: 'running' };
+      await startPlayer(name, config, { waitForReady: true });
+      playerConfigs[name] = config;
+      savePlayers();
+    } catch (error) {
+      log.error('Failed to launch player for group', { player: name, group: group.name, error: error.message });
+      failedPlayers.set(name, { error: error.message, failedAt: new Date() });
+      publish('player.failed', { player: name, error: error.message });
+    }
+  }
+
+  // Spotify plays on one device per account, so only the first player of each account can start
+  const playingAccounts = new Map();
+
+  return forEachMember(group, async (name, instance) => {
+    if (playingAccounts.has(instance.accountName)) {
+      return {
+        status: 'skipped',
+        reason: `Account ${instance.accountName} is already playing on ${playingAccounts.get(instance.accountName)}, Spotify plays one device per account`
+      };
+    }
+
+    const deviceId = await getDeviceId(name, { timeout: DEVICE_LOOKUP_TIMEOUT });
+
+    await spotifyApi.request(instance.accountName, 'PUT', '/me/player/play', { query: { device_id: deviceId }, body: play });
+
+    // Spotify only takes volume changes for the active device, so set it once playing
+    if (volume !== undefined) {
+      await setPlayerVolume(name, volume);
+    }
+
+    playingAccounts.set(instance.accountName, name);
+    markPlaybackStarted(name, instance);
+    return { status: 'playing' };
+  });
+}
+
+// Helper function to pause every player of a group that is currently playing
+async function stopGroup(group) {
+  // Each account has at most one active device, so ask each account once
+  const playback = new Map();
+
+  return forEachMember(group, async (name, instance) => {
+    if (!playback.has(instance.accountName)) {
+      playback.set(instance.accountName, await spotifyApi.request(instance.accountName, 'GET', '/me/player'));
+    }
+
+    const current = playback.get(instance.accountName);
+    const isThisDevice = current && current.device && (current.device.id === instance.deviceId || current.device.name === instance.deviceName);
+
+    if (!isThisDevice || !current.is_playing) {
+      return { status: 'skipped', reason: 'Player is not playing' };
+    }
+
+    await spotifyApi.request(instance.accountName, 'PUT', '/me/player/pause', { query: { device_id: current.device.id } });
+    current.is_playing = false;
+    markPlaybackStopped(name, instance);
+    return { status: 'paused' };
+  });
+}
+
+// Helper function to set a player's volume (0-100), through the page when it can take controls, otherwise through the Web API
+async function setPlayerVolume(name, volume) {
+  const instance = playerInstances.get(name);
+
+  if (!getControllableError(instance)) {
+    await instance.handle.control('volume', volume);
+    return;
+  }
+
+  const deviceId = await getDeviceId(name);
+  await spotifyApi.request(instance.accountName, 'PUT', '/me/player/volume', { query: { volume_percent: Math.round(volume), device_id: deviceId } });
+}
+
+// Helper function to describe a group with the current state of its players
+function describeGroup(group) {
+  return {
+    ...group,
+    members: group.players.map((name) => {
+      const instance = playerInstances.get(name);
+      const config = playerConfigs[name] || {};
+      return {
+        name,
+        status: instance ? 'running' : failedPlayers.has(name) ? 'failed' : 'stopped',
+        accountName: instance ? instance.accountName : config.accountName || null,
+        isPlaying: instance ? instance.isPlaying : false
+      };
+    })
+  };
+}
 
-  const playerInstance = playerInstances.get(name);
+// Helper function to run a scheduled job (called by the scheduler)
+async function runSchedule(job) {
+  if (job.action === 'play') {
+    await runPlaySchedule(job);
+  } else {
+    await runSleepTimer(job);
+  }
+}
 
-  if (!playerInstance) {
-    return res.status(404).json({ error: 'Player instance not found' });
+// Helper function to start a context on a player, launching it if needed and ramping up the volume
+async function runPlaySchedule(job) {
+  const name = job.player;
+
+  if (!playerInstances.has(name)) {
+    if (!playerConfigs[name]) {
+      throw new Error(`Unknown player: ${name}`);
+    }
+    if (launchingPlayers.has(name)) {
+      throw new Error(`Player ${name} is still being launched`);
+    }
+
+    try {
+      const config = { ...playerConfigs[name], desiredState: 'running' };
+      await startPlayer(name, config, { waitForReady: true });
+      playerConfigs[name] = config;
+      savePlayers();
+    } catch (error) {
+      failedPlayers.set(name, { error: error.message, failedAt: new Date() });
+      publish('player.failed', { player: name, error: error.message });
+      throw new Error(`Failed to launch player: ${error.message}`);
+    }
   }
 
-  // Use accountName from player instance
-  const account = accounts[playerInstance.accountName];
+  const instance = playerInstances.get(name);
+  const deviceId = await getDeviceId(name, { timeout: DEVICE_LOOKUP_TIMEOUT });
+  const ramping = job.volume !== undefined && job.rampSeconds > 0;
 
-  if (!account) {
-    return res.status(404).json({ error: 'Account not found' });
+  if (ramping) {
+    // Spotify only takes volume changes for the active device, so make the player active (without playing) first
+    if (getControllableError(instance)) {
+      await spotifyApi.request(instance.accountName, 'PUT', '/me/player', { body: { device_ids: [deviceId], play: false } });
+    }
+    await setPlayerVolume(name, job.rampFrom || 0);
   }
 
-  console.log(`Playback stopped on player: ${name}`);
+  await spotifyApi.request(instance.accountName, 'PUT', '/me/player/play', { query: { device_id: deviceId }, body: buildPlayBody({ contextUri: job.contextUri }) });
+  markPlaybackStarted(name, instance);
+
+  if (ramping) {
+    rampVolume(name, job.rampFrom || 0, job.volume, job.rampSeconds).catch((error) => {
+      log.error('Volume ramp failed', { player: name, error: error.message });
+    });
+  } else if (job.volume !== undefined) {
+    await setPlayerVolume(name, job.volume);
+  }
+}
 
-  // Turn off Home Assistant media player
-  const haEntityId = playerInstance.haEntityId;
+// Helper function to fade out and pause a player, running its Home Assistant stop actions like any other stop
+async function runSleepTimer(job) {
+  const name = job.player;
+  const instance = playerInstances.get(name);
 
-  if (haEntityId) {
-    await turnOffHomeAssistantMediaPlayer(haEntityId);
+  if (!instance) {
+    throw new Error(`Player is not running: ${name}`);
   }
 
-  res.json({ message: 'Playback stop notification received' });
-});
+  const current = await spotifyApi.request(instance.accountName, 'GET', '/me/player');
+  const isThisDevice = current && current.device && (current.device.id === instance.deviceId || current.device.name === instance.deviceName);
 
-// Helper function to escape HTML entities to prevent XSS
-function escapeHtml(text) {
-  const map = {
-    '&': '&amp;',
-    '<': '&lt;',
-    '>': '&gt;',
-    '"': '&quot;',
-    "'": '&#039;'
-  };
-  return text.replace(/[&<>"']/g, (m) => map[m]);
-}
+  if (!isThisDevice || !current.is_playing) {
+    log.info(`Sleep timer ${job.name}: player is not playing`, { player: name, schedule: job.id });
+    markPlaybackStopped(name, instance);
+    return;
+  }
 
-// Helper function to generate Spotify authorization URL
-function generateAuthUrl(clientId, redirectUri, accountName) {
-  const scopes = [
-    'streaming',
-    'user-read-email',
-    'user-read-private',
-    'user-read-playback-state',
-    'user-modify-playback-state'
-  ].join(' ');
-
-  const params = new URLSearchParams({
-    response_type: 'code',
-    client_id: clientId,
-    scope: scopes,
-    redirect_uri: redirectUri,
-    state: accountName
-  });
+  const volume = current.device.volume_percent;
+
+  if (job.fadeSeconds > 0 && typeof volume === 'number') {
+    if (!await rampVolume(name, volume, 0, job.fadeSeconds)) {
+      throw new Error('Fade out was interrupted by a volume change, playback was left running');
+    }
+  }
+
+  await spotifyApi.request(instance.accountName, 'PUT', '/me/player/pause', { query: { device_id: current.device.id } });
+  markPlaybackStopped(name, instance);
 
-  return `https://accounts.spotify.com/authorize?${params.toString()}`;
+  // Put the volume back so the next playback isn't silent
+  if (job.fadeSeconds > 0 && typeof volume === 'number') {
+    await setPlayerVolume(name, volume);
+  }
 }
 
-// Helper function to exchange authorization code for access token
-async function exchangeCodeForToken(code, clientId, clientSecret, redirectUri) {
-  const tokenUrl = 'https://accounts.spotify.com/api/token';
-  
-  const params = new URLSearchParams({
-    grant_type: 'authorization_code',
-    code,
-    redirect_uri: redirectUri
-  });
+// Helper function to move a player's volume gradually, resolves with false if it was cancelled (e.g. by a manual volume change)
+async function rampVolume(name, from, to, seconds) {
+  cancelVolumeRamp(name);
+  const ramp = { cancelled: false };
+  volumeRamps.set(name, ramp);
 
-  const authHeader = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+  const steps = Math.max(1, Math.round(seconds * 1000 / VOLUME_RAMP_INTERVAL));
 
-  const response = await fetch(tokenUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Authorization': `Basic ${authHeader}`
-    },
-    body: params.toString()
-  });
+  try {
+    for (let step = 1; step <= steps; step++) {
+      await new Promise(resolve => setTimeout(resolve, seconds * 1000 / steps));
+      if (ramp.cancelled || !playerInstances.has(name)) {
+        return false;
+      }
+      await setPlayerVolume(name, Math.round(from + (to - from) * step / steps));
+    }
+    return true;
+  } finally {
+    if (volumeRamps.get(name) === ramp) {
+      volumeRamps.delete(name);
+    }
+  }
+}
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Token exchange failed: ${error}`);
+// Helper function to stop a player's volume ramp, if one is running
+function cancelVolumeRamp(name) {
+  const ramp = volumeRamps.get(name);
+  if (ramp) {
+    ramp.cancelled = true;
+    volumeRamps.delete(name);
+    log.info('Volume ramp cancelled', { player: name });
   }
+}
 
-  return await response.json();
+function pickScheduleFields(body) {
+  const fields = {};
+  for (const field of SCHEDULE_FIELDS) {
+    if (body && body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
 }
 
-// Helper function to refresh an access token
-async function refreshAccessToken(refreshToken, clientId, clientSecret) {
-  const tokenUrl = 'https://accounts.spotify.com/api/token';
-  
-  const params = new URLSearchParams({
-    grant_type: 'refresh_token',
-    refresh_token: refreshToken
-  });
+// Helper function to stop a player's instance (if it is running) and forget any failed launch
+// A launch in progress is cancelled: the launch stops what it started once the backend returns
+async function stopPlayer(name) {
+  const instance = playerInstances.get(name);
+  if (launchingPlayers.has(name)) {
+    launchingPlayers.get(name).cancelled = true;
+  }
+  cancelVolumeRamp(name);
+  if (instance) {
+    supervisor.unwatch(name);
+    playerInstances.delete(name);
+    if (instance.handle) {
+      await instance.handle.stop();
+    }
+  }
+  failedPlayers.delete(name);
+  publish('player.stopped', { player: name });
+}
 
-  const authHeader = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+// Helper function to load the config file and work out what reconciling it would change (throws ConfigError)
+function planConfig() {
+  const config = loadHouseConfig(CONFIG_FILE, { backendNames, defaultBackend: DEFAULT_BACKEND, existingAccounts: accounts });
+  return { config, changes: planChanges(config, { accounts, playerConfigs, playerInstances }) };
+}
 
-  const response = await fetch(tokenUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Authorization': `Basic ${authHeader}`
-    },
-    body: params.toString()
-  });
+// Helper function to bring accounts and players in line with the config file, resolves with configStatus
+function reconcileConfig() {
+  reconciling = reconciling.then(applyConfig).catch((error) => {
+    log.error('Error reconciling config file', { error });
+  }).then(() => configStatus);
+  return reconciling;
+}
+
+async function applyConfig() {
+  let plan;
+  try {
+    plan = planConfig();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    // Keep running with what we have until the file is fixed
+    log.error(error.message, { file: CONFIG_FILE });
+    configStatus = { file: CONFIG_FILE, reconciledAt: new Date(), valid: false, errors: error.errors, changes: [] };
+    publish('config.invalid', { errors: error.errors });
+    return;
+  }
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Token refresh failed: ${error}`);
+  for (const change of plan.changes) {
+    try {
+      await applyConfigChange(change, plan.config);
+      change.status = 'applied';
+      log.info(`Config: ${change.action} ${change.type} ${change.name} (${change.reason})`);
+    } catch (error) {
+      change.status = 'failed';
+      change.error = error.message;
+      log.error(`Config: failed to ${change.action} ${change.type} ${change.name}`, { error: error.message });
+    }
   }
 
-  return await response.json();
+  // Launch every declared player that isn't running yet (including ones stopped for a restart)
+  await restorePlayers();
+
+  configStatus = { file: CONFIG_FILE, reconciledAt: new Date(), valid: true, errors: [], changes: plan.changes };
+  if (plan.changes.length > 0) {
+    publish('config.reconciled', { changes: plan.changes.map(({ type, name, action, status }) => ({ type, name, action, status })) });
+  }
 }
 
-// Helper function to call Home Assistant webhook
-async function callHomeAssistantWebhook(entityId, sourceId) {
-  const haUrl = process.env.HA_URL;
-  const haToken = process.env.HA_TOKEN;
+async function applyConfigChange(change, config) {
+  const { name } = change;
+
+  if (change.type === 'account') {
+    const desired = config.accounts[name];
+
+    if (change.action === 'create') {
+      accounts[name] = { name, ...desired, authenticated: false, token: null, refreshToken: null };
+      saveTokens();
+      log.info(`Account was added from the config file, authenticate it with POST /api/accounts/${name}/reauthorize`, { account: name });
+      return;
+    }
 
-  if (!haUrl || !haToken) {
-    console.log('Home Assistant URL or token not configured, skipping webhook');
+    accounts[name] = { ...accounts[name], ...desired };
+    if (change.reauthorize) {
+      resetAccountCredentials(name, 'Client credentials changed in the config file');
+    }
+    saveTokens();
     return;
   }
 
-  if (!entityId) {
-    console.log('No Home Assistant entity ID specified for this player, skipping webhook');
+  if (change.action === 'remove') {
+    await stopPlayer(name);
+    delete playerConfigs[name];
+    savePlayers();
+    groups.removePlayer(name);
+    scheduler.removePlayer(name);
+    playerLogs.remove(name);
     return;
   }
 
+  playerConfigs[name] = { ...config.players[name], managed: true };
+  savePlayers();
+
+  const instance = playerInstances.get(name);
+
+  if (change.action === 'restart' || change.action === 'stop') {
+    // restorePlayers launches it again with the new settings (unless it is now stopped)
+    await stopPlayer(name);
+  } else if (change.action === 'update' && instance) {
+    instance.haEntityId = playerConfigs[name].haEntityId;
+    instance.haActions = playerConfigs[name].haActions;
+  }
+}
+
+// Helper function to start a player from its launch parameters and track it as running
+// With waitForReady, resolves once the player has connected to Spotify (with its device ID, if known) and stops it again if it fails to
+async function startPlayer(name, config, { waitForReady = false } = {}) {
+  const backend = getBackend(config.backend || DEFAULT_BACKEND);
+
+  if (!backend) {
+    throw new Error(`Unknown backend: ${config.backend}`);
+  }
+
+  if (!accounts[config.accountName]) {
+    throw new Error(`Account not found: ${config.accountName}`);
+  }
+
+  // A second launch of the same player would start another browser or process and leak one of them
+  if (playerInstances.has(name) || launchingPlayers.has(name)) {
+    throw statusError(409, `Player ${name} is already running or being launched`);
+  }
+
+  if (MAX_PLAYERS > 0 && playerInstances.size + launchingPlayers.size >= MAX_PLAYERS) {
+    throw statusError(409, `Player limit reached (MAX_PLAYERS=${MAX_PLAYERS}), stop a player first`);
+  }
+
+  // Per-instance credential for the player's own calls back into the API
+  const credential = generateSecret('player');
+  const launching = { credential, accountName: config.accountName, events: [], cancelled: false };
+  let handle;
+  launchingPlayers.set(name, launching);
+
   try {
-    console.log(`Calling Home Assistant webhook: entity=${entityId}, source=${sourceId || 'N/A'}`);
-
-    // First, turn on the media player
-    const turnOnUrl = `${haUrl}/api/services/media_player/turn_on`;
-    const turnOnResponse = await fetch(turnOnUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${haToken}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        entity_id: entityId
-      })
-    });
+    const account = await getLaunchAccount(config.accountName);
+    handle = await launchPlayerInstance(backend, name, config.accountName, account.token, config.displayName, config.audioDestination, credential);
+  } finally {
+    launchingPlayers.delete(name);
+  }
 
-    if (!turnOnResponse.ok) {
-      const errorText = await turnOnResponse.text();
-      console.error(`Failed to turn on Home Assistant media player: ${turnOnResponse.status} - ${errorText}`);
-      return;
+  // Stopped (e.g. DELETE /api/players/:name) while the backend was still starting it
+  if (launching.cancelled) {
+    await handle.stop().catch((error) => log.error('Error stopping player', { player: name, error: error.message }));
+    throw statusError(409, `Player ${name} was stopped before it finished launching`);
+  }
+
+  const instance = {
+    handle,
+    credential,
+    backend: backend.name,
+    accountName: config.accountName,
+    audioDestination: config.audioDestination || 'default',
+    displayName: config.displayName || name,
+    launchedAt: new Date(),
+    haEntityId: config.haEntityId || null,
+    haActions: config.haActions || null,
+    isPlaying: false,
+    activeAudioDevice: null,
+    // The name the player shows up with in Spotify Connect
+    deviceName: config.displayName || config.accountName
+  };
+  playerInstances.set(name, instance);
+  supervisor.watch(name, instance, { reportsReadiness: handle.reportsReadiness });
+  failedPlayers.delete(name);
+  publish('player.launched', { player: name, accountName: config.accountName, backend: backend.name });
+
+  for (const { event, message, deviceId } of launching.events) {
+    reportPlayerHealth(name, event, message, deviceId);
+  }
+
+  if (!waitForReady) {
+    return instance.deviceId || null;
+  }
+
+  try {
+    return await waitForPlayerReady(name, instance, PLAYER_READY_TIMEOUT);
+  } catch (error) {
+    // Don't leave a browser behind that never connected
+    log.error('Player failed to start, stopping it', { player: name, error: error.message });
+    if (playerInstances.get(name) === instance) {
+      await stopPlayer(name);
     }
+    throw error;
+  }
+}
+
+// Helper function to pass an SDK event from a player page to the supervisor (returns false if the player isn't running)
+function reportPlayerHealth(name, event, message, deviceId) {
+  // The SDK hands out the Spotify Connect device ID when it becomes ready (set first, so it is known to anyone waiting for ready)
+  if (event === 'ready' && typeof deviceId === 'string' && playerInstances.has(name)) {
+    playerInstances.get(name).deviceId = deviceId;
+  }
+
+  return supervisor.reportEvent(name, event, typeof message === 'string' ? message : null);
+}
+
+// Helper function to wait for a player page to report that the SDK connected, resolves with the player's device ID
+// Players that don't report readiness (spotifyd) are ready as soon as they run; their device ID is looked up when needed
+function waitForPlayerReady(name, instance, timeout) {
+  if (!instance.handle.reportsReadiness || instance.health === 'ready') {
+    return Promise.resolve(instance.deviceId || null);
+  }
 
-    console.log(`Successfully turned on Home Assistant media player: ${entityId}`);
-
-    // If sourceId is provided, set the source
-    if (sourceId) {
-      const selectSourceUrl = `${haUrl}/api/services/media_player/select_source`;
-      const selectSourceResponse = await fetch(selectSourceUrl, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${haToken}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          entity_id: entityId,
-          source: sourceId
-        })
-      });
-
-      if (!selectSourceResponse.ok) {
-        const errorText = await selectSourceResponse.text();
-        console.error(`Failed to set Home Assistant source: ${selectSourceResponse.status} - ${errorText}`);
+  if (instance.health === 'degraded') {
+    const reason = instance.lastError ? instance.lastError.message : instance.health;
+    return Promise.reject(statusError(502, `Player ${name} failed to connect to Spotify: ${reason}`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const finish = (error) => {
+      clearTimeout(timer);
+      unsubscribe();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(instance.deviceId || null);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      finish(statusError(504, `Player ${name} did not connect to Spotify within ${timeout}ms`));
+    }, timeout);
+
+    const unsubscribe = subscribe((event) => {
+      if (event.player !== name) {
         return;
       }
+      if (event.type === 'player.health' && event.health === 'ready') {
+        finish();
+      } else if (event.type === 'player.health' && (event.health === 'degraded' || event.health === 'crashed')) {
+        const reason = instance.lastError ? instance.lastError.message : event.health;
+        finish(statusError(502, `Player ${name} failed to connect to Spotify: ${reason}`));
+      } else if (event.type === 'player.stopped') {
+        finish(statusError(409, `Player ${name} was stopped before it connected to Spotify`));
+      }
+    });
+  });
+}
 
-      console.log(`Successfully set Home Assistant source to: ${sourceId}`);
+// Helper function to get an authenticated account with a token that is fresh enough to launch with
+async function getLaunchAccount(accountName) {
+  if (accounts[accountName] && accounts[accountName].authenticated) {
+    try {
+      await tokenRefresher.ensureFresh(accountName);
+    } catch (error) {
+      // Transient failures are retried in the background; launch with the current token
+      log.error('Could not refresh token before launch', { account: accountName, error: error.message });
     }
-  } catch (error) {
-    console.error('Error calling Home Assistant webhook:', error);
   }
+
+  const account = accounts[accountName];
+
+  if (!account || !account.authenticated || !account.token) {
+    throw new Error(`Account not authenticated: ${accountName}`);
+  }
+
+  return account;
 }
 
-// Helper function to turn off Home Assistant media player
-async function turnOffHomeAssistantMediaPlayer(entityId) {
-  const haUrl = process.env.HA_URL;
-  const haToken = process.env.HA_TOKEN;
+// Helper function to stop every player running on an account, keeping them listed as failed
+function stopAccountPlayers(accountName, reason) {
+  for (const [name, instance] of playerInstances) {
+    if (instance.accountName !== accountName) {
+      continue;
+    }
+
+    log.info(`Stopping player instance: ${reason}`, { player: name, account: accountName });
+    supervisor.unwatch(name);
+    playerInstances.delete(name);
+    if (instance.handle) {
+      instance.handle.stop().catch((error) => log.error('Error stopping player', { player: name, error: error.message }));
+    }
 
-  if (!haUrl || !haToken) {
-    console.log('Home Assistant URL or token not configured, skipping turn off');
-    return;
+    // desiredState stays 'running', so the player comes back once the account is reauthorized
+    failedPlayers.set(name, { error: reason, failedAt: new Date() });
+    publish('player.failed', { player: name, error: reason });
   }
+}
 
-  if (!entityId) {
-    console.log('No Home Assistant entity ID specified for this player, skipping turn off');
-    return;
+// Helper function to list the state of every player for the players metric
+function getPlayerStates() {
+  const states = Array.from(playerInstances.values()).map(instance => (instance.gaveUp ? 'failed' : instance.health));
+  return states.concat(Array.from(failedPlayers.keys(), () => 'failed'));
+}
+
+// Helper function to combine health checks ({ status: 'ok' | 'failed' | 'skipped', message }) into one result
+function runHealthChecks(checks) {
+  const failed = Object.values(checks).some(check => check.status === 'failed');
+  return { status: failed ? 'failed' : 'ok', checks };
+}
+
+// Helper function to check the Chrome executable, if the default backend or any player uses Chrome
+function checkChrome() {
+  const usesChrome = DEFAULT_BACKEND === 'chrome' ||
+    Object.values(playerConfigs).some(config => config.backend === 'chrome') ||
+    Array.from(playerInstances.values()).some(instance => instance.backend === 'chrome');
+
+  if (!usesChrome) {
+    return { status: 'skipped', message: 'No player uses the Chrome backend' };
+  }
+
+  const executablePath = process.env.CHROME_EXECUTABLE_PATH;
+  if (!executablePath) {
+    return { status: 'failed', message: 'CHROME_EXECUTABLE_PATH is not set' };
   }
 
   try {
-    console.log(`Turning off Home Assistant media player: entity=${entityId}`);
-
-    const turnOffUrl = `${haUrl}/api/services/media_player/turn_off`;
-    const turnOffResponse = await fetch(turnOffUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${haToken}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        entity_id: entityId
-      })
-    });
+    fs.accessSync(executablePath, fs.constants.X_OK);
+    return { status: 'ok', path: executablePath };
+  } catch (error) {
+    return { status: 'failed', path: executablePath, message: `Chrome is not executable: ${error.code || error.message}` };
+  }
+}
 
-    if (!turnOffResponse.ok) {
-      const errorText = await turnOffResponse.text();
-      console.error(`Failed to turn off Home Assistant media player: ${turnOffResponse.status} - ${errorText}`);
-      return;
+// Helper function to check that the token store can still be read
+function checkTokenStore() {
+  try {
+    tokenStore.check();
+    return { status: 'ok' };
+  } catch (error) {
+    return { status: 'failed', message: error.message };
+  }
+}
+
+// Helper function to check that every player that should be running is ready
+function checkPlayers() {
+  const notReady = [];
+  for (const [name, instance] of playerInstances) {
+    if (instance.gaveUp || instance.health !== 'ready') {
+      notReady.push({ name, health: instance.gaveUp ? 'failed' : instance.health });
+    }
+  }
+  for (const name of failedPlayers.keys()) {
+    notReady.push({ name, health: 'failed' });
+  }
+
+  if (notReady.length > 0) {
+    return { status: 'failed', message: `${notReady.length} player(s) not ready`, players: notReady };
+  }
+  return { status: 'ok', running: playerInstances.size };
+}
+
+// Helper function to drop an account's tokens after its client credentials changed (the caller saves the account)
+// Its players are stopped and listed as failed, and come back once the account is authenticated again
+function resetAccountCredentials(name, message) {
+  // Tokens issued to the old client are of no use to the new one
+  tokenRefresher.unschedule(name);
+  accounts[name] = {
+    ...accounts[name],
+    authenticated: false,
+    token: null,
+    refreshToken: null,
+    expiresAt: null,
+    profile: null,
+    authError: { reason: 'credentials_changed', message, at: new Date().toISOString() }
+  };
+  stopAccountPlayers(name, 'Account client credentials changed, authenticate it again');
+}
+
+// Helper function to list the players launched on an account (running or not)
+function getAccountPlayers(accountName) {
+  const names = new Set();
+  for (const [name, config] of Object.entries(playerConfigs)) {
+    if (config.accountName === accountName) {
+      names.add(name);
+    }
+  }
+  for (const [name, instance] of playerInstances) {
+    if (instance.accountName === accountName) {
+      names.add(name);
     }
+  }
+  return Array.from(names);
+}
+
+// Helper function to delete an account along with its tokens and players, resolves with the removed players
+// Spotify has no API to revoke a refresh token, so the tokens are only deleted here
+async function removeAccount(name) {
+  tokenRefresher.unschedule(name);
+  authorizations.cancel(name);
+
+  const players = getAccountPlayers(name);
+  for (const player of players) {
+    await stopPlayer(player);
+    delete playerConfigs[player];
+    groups.removePlayer(player);
+    scheduler.removePlayer(player);
+    playerLogs.remove(player);
+  }
+  savePlayers();
+
+  delete accounts[name];
+  saveTokens();
+
+  log.info(`Deleted account${players.length > 0 ? ` and its players: ${players.join(', ')}` : ''}`, { account: name });
+  publish('account.removed', { account: name, players });
+  return players;
+}
+
+// Helper function to get an account's Spotify user profile, looked up once after it was authenticated
+async function getAccountProfile(name) {
+  const account = accounts[name];
 
-    console.log(`Successfully turned off Home Assistant media player: ${entityId}`);
+  if (account.profile || !account.authenticated) {
+    return account.profile || null;
+  }
+
+  try {
+    const me = await spotifyApi.request(name, 'GET', '/me');
+    const profile = {
+      id: me.id,
+      displayName: me.display_name || null,
+      email: me.email || null,
+      country: me.country || null,
+      product: me.product || null
+    };
+    // The account may have been deleted or reset while we waited
+    if (accounts[name] && accounts[name].authenticated) {
+      accounts[name] = { ...accounts[name], profile };
+      saveTokens();
+    }
+    return profile;
   } catch (error) {
-    console.error('Error turning off Home Assistant media player:', error);
-  }
-}
-
-// Helper function to launch a player instance in headless browser
-async function launchPlayerInstance(playerInstanceName, accountName, accessToken, displayName, audioDestination) {
-  // Allow running in non-headless mode for debugging
-  const headless = process.env.DEBUG_HEADLESS !== 'false';
-  
-  const browser = await puppeteer.launch({
-    executablePath: process.env.CHROME_EXECUTABLE_PATH,
-    headless: headless,
-    args: [
-      '--autoplay-policy=no-user-gesture-required',
-      audioDestination ? `--audio-output-device=${audioDestination}` : ''
-    ].filter(Boolean),
-    ignoreDefaultArgs: ["--mute-audio", "--hide-scrollbars"],
-  });
+    log.error('Error getting Spotify profile', { account: name, error: error.message });
+    return null;
+  }
+}
+
+// Helper function to pick the account fields that can be changed from a request body
+// An empty clientSecret or haSourceId clears it (no clientSecret means the PKCE flow)
+function pickAccountFields(body) {
+  const fields = {};
+  for (const field of ACCOUNT_FIELDS) {
+    if (body && body[field] !== undefined) {
+      fields[field] = (field === 'clientSecret' || field === 'haSourceId') && body[field] === '' ? null : body[field];
+    }
+  }
+  return fields;
+}
+
+// Helper function to validate account fields, returns an error message or null
+function validateAccountFields(fields) {
+  if (Object.keys(fields).length === 0) {
+    return `At least one of ${ACCOUNT_FIELDS.join(', ')} is required`;
+  }
+  for (const field of ['clientId', 'redirectUri']) {
+    if (fields[field] !== undefined && (typeof fields[field] !== 'string' || fields[field] === '')) {
+      return `${field} must be a non-empty string`;
+    }
+  }
+  for (const field of ['clientSecret', 'haSourceId']) {
+    if (fields[field] !== undefined && fields[field] !== null && typeof fields[field] !== 'string') {
+      return `${field} must be a string or null`;
+    }
+  }
+  return null;
+}
+
+// Helper function used by the supervisor to replace a crashed player's browser/process
+async function relaunchPlayer(name, instance) {
+  if (instance.handle) {
+    const oldHandle = instance.handle;
+    instance.handle = null;
+    await oldHandle.stop().catch((error) => log.error('Error stopping player', { player: name, error: error.message }));
+  }
+
+  const account = await getLaunchAccount(instance.accountName);
+
+  // The new browser/process opens its own output stream
+  instance.activeAudioDevice = null;
 
-  const page = await browser.newPage();
+  const config = playerConfigs[name] || {};
+  return launchPlayerInstance(getBackend(instance.backend), name, instance.accountName, account.token, config.displayName, config.audioDestination, instance.credential);
+}
+
+// Helper function to relaunch every player that was running before the last shutdown
+async function restorePlayers() {
+  for (const [name, config] of Object.entries(playerConfigs)) {
+    if (config.desiredState !== 'running' || playerInstances.has(name) || launchingPlayers.has(name)) {
+      continue;
+    }
 
-  // Set the access token in page context
-  await page.evaluateOnNewDocument((token) => {
-    window.SPOTIFY_ACCESS_TOKEN = token;
-  }, accessToken);
+    try {
+      // Launch one at a time to avoid starting every browser at once
+      await startPlayer(name, config);
+      log.info('Restored player instance', { player: name });
+    } catch (error) {
+      log.error('Failed to restore player instance', { player: name, error: error.message });
+      failedPlayers.set(name, { error: error.message, failedAt: new Date() });
+      publish('player.failed', { player: name, error: error.message });
+    }
+  }
+}
 
-  // Navigate to player page
-  const playerName = displayName || accountName;
-  const playerUrl = `http://localhost:${PORT}/player.html?playerName=${encodeURIComponent(playerName)}&accountName=${encodeURIComponent(accountName)}&playerInstanceName=${encodeURIComponent(playerInstanceName)}`;
-  await page.goto(playerUrl, { waitUntil: 'networkidle2' });
+// Helper function to launch a player instance using the given backend
+async function launchPlayerInstance(backend, playerInstanceName, accountName, accessToken, displayName, audioDestination, credential) {
+  await checkAudioDestination(audioDestination);
+
+  const handle = await backend.launch({
+    playerInstanceName,
+    accountName,
+    accessToken,
+    displayName,
+    audioDestination,
+    credential,
+    serverUrl: SERVER_URL,
+    sdkUrl: SPOTIFY_SDK_URL,
+    // What the player page or process logs goes to the server log and the player's log buffer
+    onLog: ({ level, source, message }) => log.log(level, message, { player: playerInstanceName, account: accountName, source })
+  });
 
-  console.log(`Player instance launched for account: ${accountName} with display name: ${playerName}`);
+  log.info(`Player instance launched with display name: ${displayName || accountName}`, { player: playerInstanceName, account: accountName, backend: backend.name });
 
-  return browser;
+  return handle;
 }
 
+/**
+ * Prometheus metrics (needs an API key with the read scope when API authentication is enabled)
+ * GET /metrics
+ */
+app.get('/metrics', authenticate, requireScope('read'), (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
+
+/**
+ * Liveness check: Chrome is available (when a player uses it) and the token store can be read
+ * GET /healthz
+ */
+app.get('/healthz', (req, res) => {
+  const result = runHealthChecks({ chrome: checkChrome(), tokenStore: checkTokenStore() });
+  res.status(result.status === 'ok' ? 200 : 503).json(result);
+});
+
+/**
+ * Readiness check: the liveness checks, plus startup has finished and every player is ready
+ * GET /readyz
+ */
+app.get('/readyz', (req, res) => {
+  const result = runHealthChecks({
+    chrome: checkChrome(),
+    tokenStore: checkTokenStore(),
+    startup: startupComplete ? { status: 'ok' } : { status: 'failed', message: 'Players are still being restored' },
+    players: checkPlayers()
+  });
+  res.status(result.status === 'ok' ? 200 : 503).json(result);
+});
+
 // Serve player HTML page
 app.get('/player.html', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'player.html'));
 });
 
-// Root endpoint
+// Root endpoint (browsers get the admin dashboard)
 app.get('/', (req, res) => {
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.redirect('/admin.html');
+  }
+
   res.json({
     message: 'Spotify House Player API',
     endpoints: {
       'POST /api/accounts': 'Add a new account',
       'GET /api/accounts': 'List all accounts',
       'GET /api/accounts/:name': 'Get account details',
+      'PATCH /api/accounts/:name': 'Update an account',
+      'DELETE /api/accounts/:name': 'Delete an account and its players',
+      'POST /api/accounts/:name/reauthorize': 'Issue a fresh authorization URL for an account',
+      'GET /api/accounts/:name/search': 'Search Spotify as an account',
+      'GET /api/accounts/:name/playlists': 'List an account\'s playlists',
+      'GET /api/accounts/:name/playlists/:id/tracks': 'List the tracks of a playlist',
       'POST /api/players/:name/launch': 'Launch player for account',
       'DELETE /api/players/:name': 'Stop player for account',
       'GET /api/players': 'List running players',
       'GET /callback': 'OAuth callback (used internally)',
       'POST /api/players/:name/playback-started': 'Notify that playback has started on a player',
-      'POST /api/players/:name/playback-stopped': 'Notify that playback has stopped on a player'
+      'POST /api/players/:name/playback-stopped': 'Notify that playback has stopped on a player',
+      'POST /api/players/:name/health': 'Report a Web Playback SDK event from a player page',
+      'POST /api/players/:name/control': 'Control playback (play, pause, toggle, next, previous, seek, volume)',
+      'GET /api/players/:name/control': 'Get current volume and playback position',
+      'GET /api/players/:name/logs': 'Read a player\'s latest log entries (follow=true to tail them as server-sent events)',
+      'POST /api/players/:name/state': 'Report the playback state of a player',
+      'GET /api/players/:name/state': 'Get the now-playing state of a player',
+      'GET /api/players/:name/audio-device': 'Check which audio device a player is playing to',
+      'POST /api/players/:name/transfer-to/:target': 'Move playback from one player to another',
+      'POST /api/players/:name/play': 'Start playback of a context or tracks on a player',
+      'POST /api/players/:name/queue': 'Add a track or episode to a player\'s queue',
+      'GET /api/audio-devices': 'List available audio output devices',
+      'GET /api/memory': 'Memory used by players, comparing a shared browser with a browser per player',
+      'GET /api/groups': 'List room groups',
+      'GET /api/groups/:name': 'Get a room group',
+      'PUT /api/groups/:name': 'Create or replace a room group',
+      'DELETE /api/groups/:name': 'Delete a room group',
+      'POST /api/groups/:name/start': 'Start playback in every room of a group',
+      'POST /api/groups/:name/stop': 'Pause playback in every room of a group',
+      'POST /api/groups/:name/volume': 'Set the volume of every room in a group',
+      'POST /api/schedules': 'Create a scheduled playback job or sleep timer',
+      'GET /api/schedules': 'List scheduled jobs',
+      'GET /api/schedules/:id': 'Get a scheduled job',
+      'PATCH /api/schedules/:id': 'Update a scheduled job',
+      'DELETE /api/schedules/:id': 'Delete a scheduled job',
+      'POST /api/schedules/:id/run': 'Run a scheduled job now',
+      'GET /api/players/:name/ha-actions': 'Get Home Assistant actions and their last outcome',
+      'PUT /api/players/:name/ha-actions': 'Set Home Assistant actions for a player',
+      'DELETE /api/players/:name/ha-actions': 'Restore the default Home Assistant actions',
+      'POST /api/events/token': 'Issue a short-lived token for opening event streams',
+      'GET /api/events': 'Stream player and playback events (server-sent events)',
+      'POST /api/keys': 'Create an API key',
+      'GET /api/keys': 'List API keys',
+      'DELETE /api/keys/:id': 'Revoke an API key',
+      'POST /api/webhooks': 'Create a webhook subscription',
+      'GET /api/webhooks': 'List webhook subscriptions',
+      'GET /api/webhooks/:id': 'Get a webhook subscription',
+      'PATCH /api/webhooks/:id': 'Update a webhook subscription',
+      'DELETE /api/webhooks/:id': 'Delete a webhook subscription',
+      'GET /api/webhooks/:id/deliveries': 'Recent deliveries of a webhook subscription',
+      'POST /api/webhooks/:id/test': 'Send a test event to a webhook subscription',
+      'GET /api/config': 'Get the outcome of the last config file reconciliation',
+      'GET /api/config/plan': 'Dry run: validate the config file and list planned changes',
+      'POST /api/config/reconcile': 'Reconcile accounts and players with the config file now',
+      'GET /metrics': 'Prometheus metrics',
+      'GET /healthz': 'Liveness check (Chrome and token store)',
+      'GET /readyz': 'Readiness check (liveness, startup and player health)',
+      ...(SIMULATION && {
+        'GET /simulation/devices': 'Simulation: list connected fake SDK players',
+        'POST /simulation/devices/:name/events': 'Simulation: make a fake SDK player emit an event (ready, not_ready, errors)',
+        'POST /simulation/tokens/expire': 'Simulation: expire every access token',
+        'POST /simulation/tokens/revoke': 'Simulation: revoke refresh tokens',
+        'GET /simulation/ha/calls': 'Simulation: Home Assistant service calls received',
+        'POST /simulation/ha/failures': 'Simulation: make the next Home Assistant service calls fail'
+      })
     }
   });
 });
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`Spotify House Player server running on port ${PORT}`);
-  console.log(`API available at http://localhost:${PORT}`);
+  log.info(`Spotify House Player server running on port ${PORT}, API available at ${SERVER_URL}`);
+
+  if (SIMULATION) {
+    log.warn('Simulation mode: Spotify and Home Assistant are replaced by the mocks under /simulation, spotifyd players still connect to Spotify');
+  }
+
+  // Keep every authenticated account's token fresh in the background
+  for (const name of Object.keys(accounts)) {
+    tokenRefresher.schedule(name);
+  }
+
+  if (!isAuthEnabled()) {
+    log.warn('API authentication is disabled. Set ADMIN_API_KEY or create an API key to protect the API.');
+  }
+
+  if (haMqtt) {
+    haMqtt.start();
+  }
+
+  // Relaunch players once the server is up (the Chrome backend loads player.html from it)
+  let restoring;
+  if (CONFIG_FILE) {
+    log.info('Reconciling with config file', { file: CONFIG_FILE });
+    restoring = reconcileConfig();
+    watchConfigFile(CONFIG_FILE, () => {
+      log.info('Config file changed, reconciling', { file: CONFIG_FILE });
+      reconcileConfig();
+    });
+  } else {
+    restoring = restorePlayers();
+  }
+
+  // Start scheduled jobs once players are back, so a job that is due doesn't launch its player twice
+  restoring.then(() => {
+    startupComplete = true;
+    scheduler.start();
+  });
 });
 
 // Cleanup on shutdown
 process.on('SIGINT', async () => {
-  console.log('Shutting down...');
+  log.info('Shutting down...');
+  webhooks.stop();
+  scheduler.stop();
+  metrics.stop();
+  if (haMqtt) {
+    await haMqtt.stop();
+  }
   for (const [name, instance] of playerInstances) {
-    console.log(`Closing player instance for ${name}`);
-    await instance.browser.close();
+    log.info('Closing player instance', { player: name });
+    supervisor.unwatch(name);
+    if (instance.handle) {
+      await instance.handle.stop();
+    }
   }
   process.exit(0);
 });
@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+// Command-line client for the Spotify House Player REST API.
+// Talks to a running server (SPOTIFY_HOUSE_PLAYER_URL or --url) and maps API errors to exit codes,
+// so provisioning scripts can tell a missing account from a conflict or a server error.
+
+const { parseArgs } = require('util');
+
+const DEFAULT_URL = 'http://localhost:3000';
+
+// Exit codes, documented in --help and the README
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  badRequest: 3,
+  notFound: 4,
+  conflict: 5,
+  serverError: 6,
+  unauthorized: 7
+};
+
+const USAGE = `Usage: spotify-house-player <command> [options]
+
+Commands:
+  accounts add <name> --client-id <id> [--client-secret <secret>] [--redirect-uri <uri>] [--ha-source-id <source>]
+  accounts update <name> [--client-id <id>] [--client-secret <secret>] [--redirect-uri <uri>] [--ha-source-id <source>]
+  accounts remove <name>
+  accounts list
+  accounts show <name>
+  players launch <name> --account <account> [--display-name <name>] [--audio-destination <device>]
+                 [--ha-entity-id <entity>] [--backend <chrome|spotifyd>]
+  players stop <name>
+  players list
+  players logs <name> [--level <debug|info|warn|error>] [--limit <n>]
+  auth url <account>
+
+Options:
+  --url <url>          Server URL (default: SPOTIFY_HOUSE_PLAYER_URL or ${DEFAULT_URL})
+  --api-key <key>      API key (default: SPOTIFY_HOUSE_PLAYER_API_KEY)
+  --json               Print raw JSON responses
+  -h, --help           Show this help
+
+Exit codes:
+  0  Success
+  1  Unexpected error (e.g. the server is unreachable)
+  2  Invalid command or arguments
+  3  Bad request (400)
+  4  Not found (404)
+  5  Conflict (409)
+  6  Server error (5xx)
+  7  Authentication required or insufficient scope (401/403)`;
+
+const OPTIONS = {
+  'url': { type: 'string' },
+  'api-key': { type: 'string' },
+  'json': { type: 'boolean', default: false },
+  'help': { type: 'boolean', short: 'h', default: false },
+  'client-id': { type: 'string' },
+  'client-secret': { type: 'string' },
+  'redirect-uri': { type: 'string' },
+  'ha-source-id': { type: 'string' },
+  'account': { type: 'string' },
+  'display-name': { type: 'string' },
+  'audio-destination': { type: 'string' },
+  'ha-entity-id': { type: 'string' },
+  'backend': { type: 'string' },
+  'level': { type: 'string' },
+  'limit': { type: 'string' }
+};
+
+class UsageError extends Error {}
+
+// Error response from the API
+class ApiError extends Error {
+  constructor(status, body) {
+    super(body && body.error ? body.error : `Request failed with status ${status}`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values: options, positionals } = parsed;
+  const [group, command, ...args] = positionals;
+
+  if (options.help || !group) {
+    console.log(USAGE);
+    return;
+  }
+
+  const client = createClient(
+    options.url || process.env.SPOTIFY_HOUSE_PLAYER_URL || DEFAULT_URL,
+    options['api-key'] || process.env.SPOTIFY_HOUSE_PLAYER_API_KEY
+  );
+  const handler = COMMANDS[group] && COMMANDS[group][command];
+
+  if (!handler) {
+    throw new UsageError(`Unknown command: ${positionals.join(' ')}`);
+  }
+
+  const result = await handler(client, args, options);
+
+  if (options.json) {
+    console.log(JSON.stringify(result.data, null, 2));
+  } else {
+    result.print();
+  }
+}
+
+const COMMANDS = {
+  accounts: {
+    async add(client, args, options) {
+      const name = requireArg(args, 'account name');
+      requireOption(options, 'client-id');
+      const data = await client.request('POST', '/api/accounts', {
+        name,
+        clientId: options['client-id'],
+        clientSecret: options['client-secret'],
+        redirectUri: options['redirect-uri'],
+        haSourceId: options['ha-source-id']
+      });
+      return {
+        data,
+        print: () => {
+          console.log(`Added account ${data.name}${data.pkce ? ' (PKCE)' : ''}`);
+          console.log('Visit this URL to authenticate it with Spotify:');
+          console.log(data.authUrl);
+        }
+      };
+    },
+
+    async update(client, args, options) {
+      const name = requireArg(args, 'account name');
+      const data = await client.request('PATCH', `/api/accounts/${encodeURIComponent(name)}`, {
+        clientId: options['client-id'],
+        clientSecret: options['client-secret'],
+        redirectUri: options['redirect-uri'],
+        haSourceId: options['ha-source-id']
+      });
+      return {
+        data,
+        print: () => {
+          console.log(data.updated.length > 0 ? `Updated account ${data.name}: ${data.updated.join(', ')}` : `Account ${data.name} is unchanged`);
+          if (data.authUrl) {
+            console.log('Visit this URL to authenticate it with Spotify:');
+            console.log(data.authUrl);
+          }
+        }
+      };
+    },
+
+    async remove(client, args) {
+      const name = requireArg(args, 'account name');
+      const data = await client.request('DELETE', `/api/accounts/${encodeURIComponent(name)}`);
+      return {
+        data,
+        print: () => console.log(`Removed account ${data.name}${data.removedPlayers.length > 0 ? ` and its players: ${data.removedPlayers.join(', ')}` : ''}`)
+      };
+    },
+
+    async list(client) {
+      const data = await client.request('GET', '/api/accounts');
+      return {
+        data,
+        print: () => printTable(data.accounts, {
+          NAME: account => account.name,
+          STATUS: account => (account.authenticated ? 'authenticated' : 'not authenticated'),
+          'TOKEN EXPIRES': account => account.expiresAt || '-',
+          ERROR: account => (account.authError ? `${account.authError.reason}: ${account.authError.message}` : '')
+        })
+      };
+    },
+
+    async show(client, args) {
+      const name = requireArg(args, 'account name');
+      const data = await client.request('GET', `/api/accounts/${encodeURIComponent(name)}`);
+      return { data, print: () => printFields(data) };
+    }
+  },
+
+  players: {
+    async launch(client, args, options) {
+      const name = requireArg(args, 'player name');
+      requireOption(options, 'account');
+      const data = await client.request('POST', `/api/players/${encodeURIComponent(name)}/launch`, {
+        accountName: options.account,
+        displayName: options['display-name'],
+        audioDestination: options['audio-destination'],
+        haEntityId: options['ha-entity-id'],
+        backend: options.backend
+      });
+      return {
+        data,
+        print: () => console.log(`Launched player ${data.name} as "${data.displayName}" (${data.backend}, audio: ${data.audioDestination})`)
+      };
+    },
+
+    async stop(client, args) {
+      const name = requireArg(args, 'player name');
+      const data = await client.request('DELETE', `/api/players/${encodeURIComponent(name)}`);
+      return { data, print: () => console.log(`Stopped player ${data.name}`) };
+    },
+
+    async list(client) {
+      const data = await client.request('GET', '/api/players');
+      return {
+        data,
+        print: () => printTable(data.players, {
+          NAME: player => player.name,
+          DISPLAY: player => player.displayName,
+          ACCOUNT: player => player.accountName || '-',
+          BACKEND: player => player.backend || '-',
+          STATUS: player => (player.status === 'running' ? player.health : player.status),
+          PLAYING: player => (player.isPlaying ? 'yes' : 'no'),
+          ERROR: player => describeError(player.error || player.lastError)
+        })
+      };
+    },
+
+    async logs(client, args, options) {
+      const name = requireArg(args, 'player name');
+      const query = new URLSearchParams();
+      if (options.level) {
+        query.set('level', options.level);
+      }
+      if (options.limit) {
+        query.set('limit', options.limit);
+      }
+      const data = await client.request('GET', `/api/players/${encodeURIComponent(name)}/logs${query.toString() ? `?${query}` : ''}`);
+      return {
+        data,
+        print: () => printTable(data.entries, {
+          TIME: entry => entry.time,
+          LEVEL: entry => entry.level.toUpperCase(),
+          SOURCE: entry => entry.source || entry.component || '-',
+          MESSAGE: entry => (entry.error ? `${entry.message}: ${describeError(entry.error)}` : entry.message)
+        })
+      };
+    }
+  },
+
+  auth: {
+    async url(client, args) {
+      const name = requireArg(args, 'account name');
+      const data = await client.request('POST', `/api/accounts/${encodeURIComponent(name)}/reauthorize`);
+      return { data, print: () => console.log(data.authUrl) };
+    }
+  }
+};
+
+function createClient(baseUrl, apiKey) {
+  async function request(method, path, body) {
+    const headers = {};
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    if (body) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const url = `${baseUrl.replace(/\/$/, '')}${path}`;
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        // Unset options are undefined and left out, so the server's defaults apply
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      throw new Error(`Could not reach ${baseUrl}: ${error.cause ? error.cause.message || error.cause.code : error.message}`);
+    }
+
+    const text = await response.text();
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch (error) {
+      data = { error: text };
+    }
+
+    if (!response.ok) {
+      throw new ApiError(response.status, data);
+    }
+
+    return data;
+  }
+
+  return { request };
+}
+
+function requireArg(args, description) {
+  if (!args[0]) {
+    throw new UsageError(`Missing ${description}`);
+  }
+  return args[0];
+}
+
+function requireOption(options, name) {
+  if (!options[name]) {
+    throw new UsageError(`Missing --${name}`);
+  }
+}
+
+function describeError(error) {
+  if (!error) {
+    return '';
+  }
+  return typeof error === 'string' ? error : error.message;
+}
+
+// Print rows as aligned columns, columns maps each header to a function returning the cell
+function printTable(rows, columns) {
+  if (rows.length === 0) {
+    console.log('(none)');
+    return;
+  }
+
+  const headers = Object.keys(columns);
+  const cells = rows.map(row => headers.map(header => String(columns[header](row) ?? '')));
+  const widths = headers.map((header, i) => Math.max(header.length, ...cells.map(row => row[i].length)));
+  const format = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(format(headers));
+  for (const row of cells) {
+    console.log(format(row));
+  }
+}
+
+function printFields(data) {
+  const width = Math.max(...Object.keys(data).map(key => key.length));
+  for (const [key, value] of Object.entries(data)) {
+    const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+    console.log(`${`${key}:`.padEnd(width + 2)}${text}`);
+  }
+}
+
+function exitCodeFor(error) {
+  if (error instanceof UsageError) {
+    return EXIT_CODES.usage;
+  }
+  if (!(error instanceof ApiError)) {
+    return EXIT_CODES.error;
+  }
+  if (error.status === 400) {
+    return EXIT_CODES.badRequest;
+  }
+  if (error.status === 401 || error.status === 403) {
+    return EXIT_CODES.unauthorized;
+  }
+  if (error.status === 404) {
+    return EXIT_CODES.notFound;
+  }
+  if (error.status === 409) {
+    return EXIT_CODES.conflict;
+  }
+  if (error.status >= 500) {
+    return EXIT_CODES.serverError;
+  }
+  return EXIT_CODES.error;
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  const json = process.argv.includes('--json');
+
+  if (json && error instanceof ApiError) {
+    console.log(JSON.stringify({ status: error.status, ...error.body }, null, 2));
+  } else {
+    const details = error instanceof ApiError && error.body.details ? ` (${error.body.details})` : '';
+    console.error(`Error: ${error.message}${details}`);
+    if (error instanceof UsageError) {
+      console.error('Run spotify-house-player --help for usage');
+    }
+  }
+
+  process.exitCode = exitCodeFor(error);
+});
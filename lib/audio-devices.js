@@ -0,0 +1,337 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { getProcessTree } = require('./processes');
+
+const COMMAND_TIMEOUT = 5000;
+const ASOUND_DIR = '/proc/asound';
+
+// ALSA device names like hw:0,0, plughw:CARD=PCH,DEV=0 or sysdefault:CARD=PCH
+const ALSA_DEVICE_PATTERN = /^(\w+):(?:CARD=)?([^,]+)(?:,(?:DEV=)?(\d+))?$/;
+
+/**
+ * Audio output device discovery
+ * Lists the sinks players can send audio to, from PulseAudio/PipeWire (pactl) and ALSA
+ * (aplay -L, or /proc/asound when alsa-utils is missing), and finds the device a running
+ * player's process tree actually has open.
+ * Device: { id, name, system: 'pulseaudio' | 'pipewire' | 'alsa', isDefault, card, device }
+ * id is the value to use as a player's audioDestination.
+ */
+async function listAudioDevices() {
+  const devices = [];
+  const systems = [];
+
+  for (const [system, discover] of [['pulseaudio', listPulseSinks], ['alsa', listAlsaDevices]]) {
+    try {
+      const found = await discover();
+      devices.push(...found.map(toAudioDevice));
+      systems.push({ name: found.length > 0 ? found[0].system : system, available: true, devices: found.length });
+    } catch (error) {
+      systems.push({ name: system, available: false, error: error.message });
+    }
+  }
+
+  return { devices, systems };
+}
+
+// Find the listed device an audioDestination refers to, allowing other spellings of ALSA devices (hw:0,0 for hw:CARD=PCH,DEV=0)
+function findAudioDevice(devices, id) {
+  const exact = devices.find(device => device.id === id);
+  if (exact) {
+    return exact;
+  }
+
+  const alsa = parseAlsaDevice(id);
+  if (!alsa) {
+    return undefined;
+  }
+
+  return devices.find(device => (
+    device.system === 'alsa' &&
+    device.card !== undefined &&
+    (device.card === alsa.card || String(device.cardIndex) === alsa.card) &&
+    device.device === alsa.device
+  ));
+}
+
+// Helper function to check whether an active device is the one a player asked for
+function matchesAudioDestination(device, audioDestination) {
+  if (!audioDestination || audioDestination === 'default') {
+    // Only PulseAudio tells us which sink "default" means
+    return device.system === 'alsa' || device.isDefault === true;
+  }
+  if (device.id === audioDestination) {
+    return true;
+  }
+  const alsa = parseAlsaDevice(audioDestination);
+  return Boolean(alsa) && device.system === 'alsa' &&
+    (device.card === alsa.card || String(device.cardIndex) === alsa.card) &&
+    device.device === alsa.device;
+}
+
+/**
+ * Find the audio device a process (or any of its children, e.g. Chrome's audio service) is playing to.
+ * Resolves with the device, or null when the process has no open output stream (e.g. nothing is playing yet).
+ */
+async function getActiveAudioDevice(pid) {
+  const pids = getProcessTree(pid);
+
+  const pulse = await findPulseStream(pids).catch(() => null);
+  if (pulse) {
+    return pulse;
+  }
+
+  return findAlsaStream(pids);
+}
+
+async function listPulseSinks() {
+  const info = parsePulseInfo(await run('pactl', ['info']));
+  const system = /pipewire/i.test(info['Server Name'] || '') ? 'pipewire' : 'pulseaudio';
+
+  return parsePulseList(await run('pactl', ['list', 'sinks']), 'Sink').map(sink => ({
+    id: sink.Name,
+    name: sink.Description || sink.Name,
+    system,
+    isDefault: sink.Name === info['Default Sink'],
+    index: sink.index
+  }));
+}
+
+async function listAlsaDevices() {
+  const cards = readAlsaCards();
+  let output;
+
+  try {
+    output = await run('aplay', ['-L']);
+  } catch (error) {
+    if (!fs.existsSync(ASOUND_DIR)) {
+      throw error;
+    }
+    // No alsa-utils, fall back to the hardware devices the kernel knows about
+    return readAlsaPcms(cards);
+  }
+
+  const devices = [];
+  let current = null;
+
+  // aplay -L prints each device name unindented, followed by indented description lines
+  for (const line of output.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    if (!/^\s/.test(line)) {
+      current = line.trim() === 'null' ? null : { id: line.trim(), description: [] };
+      if (current) {
+        devices.push(current);
+      }
+    } else if (current) {
+      current.description.push(line.trim());
+    }
+  }
+
+  return devices.map(({ id, description }) => {
+    const alsa = /CARD=/.test(id) && parseAlsaDevice(id);
+    const card = alsa && cards.find(card => card.id === alsa.card);
+    return {
+      id,
+      name: description[0] || id,
+      system: 'alsa',
+      isDefault: id === 'default',
+      ...(alsa && { card: alsa.card, cardIndex: card ? card.index : undefined }),
+      ...(alsa && /,DEV=\d+$/.test(id) && { device: alsa.device })
+    };
+  });
+}
+
+// Cards from /proc/asound/cards, e.g. " 0 [PCH            ]: HDA-Intel - HDA Intel PCH"
+function readAlsaCards() {
+  let text;
+  try {
+    text = fs.readFileSync(path.join(ASOUND_DIR, 'cards'), 'utf8');
+  } catch (error) {
+    return [];
+  }
+
+  const cards = [];
+  for (const match of text.matchAll(/^\s*(\d+)\s+\[(\S+)\s*\]:\s*[^-]*-\s*(.+)$/gm)) {
+    cards.push({ index: Number(match[1]), id: match[2], name: match[3].trim() });
+  }
+  return cards;
+}
+
+// Playback devices from /proc/asound/pcm, e.g. "00-00: ALC892 Analog : ALC892 Analog : playback 1 : capture 1"
+function readAlsaPcms(cards) {
+  let text;
+  try {
+    text = fs.readFileSync(path.join(ASOUND_DIR, 'pcm'), 'utf8');
+  } catch (error) {
+    return [];
+  }
+
+  const devices = [];
+  for (const match of text.matchAll(/^(\d+)-(\d+): ([^:]*?) :.*playback \d+/gm)) {
+    const card = cards.find(card => card.index === Number(match[1]));
+    if (!card) {
+      continue;
+    }
+    const device = Number(match[2]);
+    for (const iface of ['hw', 'plughw']) {
+      devices.push({
+        id: `${iface}:CARD=${card.id},DEV=${device}`,
+        name: `${card.name}, ${match[3]}`,
+        system: 'alsa',
+        isDefault: false,
+        card: card.id,
+        cardIndex: card.index,
+        device
+      });
+    }
+  }
+  return devices;
+}
+
+async function findPulseStream(pids) {
+  const inputs = parsePulseList(await run('pactl', ['list', 'sink-inputs']), 'Sink Input');
+  const input = inputs.find(input => pids.includes(Number(input.properties['application.process.id'])));
+
+  if (!input) {
+    return null;
+  }
+
+  const sink = (await listPulseSinks()).find(sink => String(sink.index) === input.Sink);
+  if (!sink) {
+    return null;
+  }
+  return toAudioDevice(sink);
+}
+
+// Helper function to drop a Pulse sink's index, which is only needed to resolve streams
+function toAudioDevice(sink) {
+  const device = { ...sink };
+  delete device.index;
+  return device;
+}
+
+// ALSA records which process has each playback substream open
+function findAlsaStream(pids) {
+  const cards = readAlsaCards();
+
+  for (const card of cards) {
+    const cardDir = path.join(ASOUND_DIR, `card${card.index}`);
+    let pcms;
+    try {
+      pcms = fs.readdirSync(cardDir).filter(entry => /^pcm\d+p$/.test(entry));
+    } catch (error) {
+      continue;
+    }
+
+    for (const pcm of pcms) {
+      const pcmDir = path.join(cardDir, pcm);
+      for (const sub of fs.readdirSync(pcmDir).filter(entry => /^sub\d+$/.test(entry))) {
+        let status;
+        try {
+          status = fs.readFileSync(path.join(pcmDir, sub, 'status'), 'utf8');
+        } catch (error) {
+          continue;
+        }
+
+        const owner = status.match(/owner_pid\s*:\s*(\d+)/);
+        if (owner && pids.includes(Number(owner[1]))) {
+          const device = Number(pcm.match(/\d+/)[0]);
+          return {
+            id: `hw:CARD=${card.id},DEV=${device}`,
+            name: `${card.name}, ${readPcmName(pcmDir) || `device ${device}`}`,
+            system: 'alsa',
+            isDefault: false,
+            card: card.id,
+            cardIndex: card.index,
+            device
+          };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+function readPcmName(pcmDir) {
+  try {
+    const info = fs.readFileSync(path.join(pcmDir, 'info'), 'utf8');
+    const match = info.match(/^name:\s*(.+)$/m);
+    return match ? match[1].trim() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Parse "pactl list" output into one object per block, with block properties under properties
+function parsePulseList(output, kind) {
+  const items = [];
+  let current = null;
+  let inProperties = false;
+
+  for (const line of output.split('\n')) {
+    const header = line.match(new RegExp(`^${kind} #(\\d+)$`));
+    if (header) {
+      current = { index: Number(header[1]), properties: {} };
+      items.push(current);
+      inProperties = false;
+      continue;
+    }
+    if (!current || !line.trim()) {
+      continue;
+    }
+
+    const depth = line.match(/^\t*/)[0].length;
+    if (depth === 1) {
+      const field = line.match(/^\t([^:]+):\s*(.*)$/);
+      inProperties = Boolean(field) && field[1] === 'Properties';
+      if (field && !inProperties) {
+        current[field[1]] = field[2];
+      }
+    } else if (inProperties) {
+      const property = line.match(/^\t+([\w.]+) = "(.*)"$/);
+      if (property) {
+        current.properties[property[1]] = property[2];
+      }
+    }
+  }
+
+  return items;
+}
+
+function parsePulseInfo(output) {
+  const info = {};
+  for (const line of output.split('\n')) {
+    const field = line.match(/^([^:]+):\s*(.*)$/);
+    if (field) {
+      info[field[1]] = field[2];
+    }
+  }
+  return info;
+}
+
+function parseAlsaDevice(id) {
+  const match = typeof id === 'string' && id.match(ALSA_DEVICE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return { iface: match[1], card: match[2], device: match[3] === undefined ? 0 : Number(match[3]) };
+}
+
+// Run a command with an English locale (pactl translates its field names), resolving with its output
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: COMMAND_TIMEOUT, env: { ...process.env, LC_ALL: 'C' } }, (error, stdout, stderr) => {
+      if (error) {
+        const reason = error.code === 'ENOENT' ? 'not installed' : (stderr.trim() || error.message);
+        reject(new Error(`${command}: ${reason}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+module.exports = { listAudioDevices, findAudioDevice, matchesAudioDestination, getActiveAudioDevice };
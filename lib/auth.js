@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { readJsonFile, writeFileAtomic } = require('./data-file');
+
+// Scopes in increasing order of privilege, each one includes the ones before it:
+//   read    - GET routes (accounts without secrets, players, state, events)
+//   control - launch/stop players and transport controls
+//   admin   - accounts, access tokens and API key management
+const SCOPES = ['read', 'control', 'admin'];
+
+// Helper function to check whether a granted scope covers a required one
+function hasScope(granted, required) {
+  return SCOPES.indexOf(granted) >= SCOPES.indexOf(required);
+}
+
+// Helper function to generate a new random secret (API key or player credential)
+function generateSecret(prefix) {
+  return `${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Only hashes are stored, so a leaked key file doesn't leak usable keys
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Helper function to compare secrets in constant time
+function secretsMatch(secret, expected) {
+  return crypto.timingSafeEqual(Buffer.from(hashSecret(secret)), Buffer.from(hashSecret(expected)));
+}
+
+// Helper function to read the bearer token or X-API-Key header from a request
+function getRequestSecret(req) {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return req.get('X-API-Key') || null;
+}
+
+// Helper function to check whether a request comes from this machine (not through a proxy header)
+function isLoopbackRequest(req) {
+  const address = req.socket.remoteAddress || '';
+  return address === '::1' || address.startsWith('127.') || address.startsWith('::ffff:127.');
+}
+
+/**
+ * Persistent store for API keys
+ * Keys are stored in the given JSON file by id: { id, name, scope, hash, createdAt }
+ * Throws when the file can't be read: treating it as empty would silently turn authentication off
+ */
+function createKeyStore(filePath) {
+  // Existing keys, if any
+  const keys = readJsonFile(filePath);
+
+  function save() {
+    writeFileAtomic(filePath, JSON.stringify(keys, null, 2));
+  }
+
+  // Create a key, the plaintext key is only ever returned here
+  function create(name, scope) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const key = generateSecret('shp');
+    keys[id] = { id, name, scope, hash: hashSecret(key), createdAt: new Date().toISOString() };
+    save();
+    return { ...describe(keys[id]), key };
+  }
+
+  function remove(id) {
+    if (!Object.prototype.hasOwnProperty.call(keys, id)) {
+      return false;
+    }
+    delete keys[id];
+    save();
+    return true;
+  }
+
+  // Find the key record for a plaintext key
+  function verify(secret) {
+    const hash = Buffer.from(hashSecret(secret));
+    return Object.values(keys).find(record => crypto.timingSafeEqual(Buffer.from(record.hash), hash)) || null;
+  }
+
+  function list() {
+    return Object.values(keys).map(describe);
+  }
+
+  function count() {
+    return Object.keys(keys).length;
+  }
+
+  return { create, remove, verify, list, count };
+}
+
+// Public view of a key record (everything but the hash)
+function describe({ id, name, scope, createdAt }) {
+  return { id, name, scope, createdAt };
+}
+
+/**
+ * Short-lived tokens for event streams, which EventSource can only authenticate through the URL
+ * A token grants what its issuer's key (or player credential) grants until it expires, so
+ * long-lived API keys don't end up in proxy and access logs.
+ * Options:
+ *   ttl - how long a token can be used to open a stream, in milliseconds
+ */
+function createStreamTokens({ ttl = 60 * 1000 } = {}) {
+  // Issued tokens: { auth, expiresAt }
+  const tokens = new Map();
+
+  function issue(auth) {
+    prune();
+    const token = generateSecret('sst');
+    const expiresAt = Date.now() + ttl;
+    tokens.set(token, { auth, expiresAt });
+    return { token, expiresAt };
+  }
+
+  // The issuer's access for a valid token, or null
+  function verify(token) {
+    prune();
+    const entry = tokens.get(token);
+    return entry ? entry.auth : null;
+  }
+
+  function prune() {
+    const now = Date.now();
+    for (const [token, entry] of tokens) {
+      if (entry.expiresAt <= now) {
+        tokens.delete(token);
+      }
+    }
+  }
+
+  return { issue, verify };
+}
+
+module.exports = {
+  SCOPES,
+  hasScope,
+  generateSecret,
+  secretsMatch,
+  getRequestSecret,
+  isLoopbackRequest,
+  createKeyStore,
+  createStreamTokens
+};
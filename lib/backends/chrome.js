@@ -0,0 +1,195 @@
+const EventEmitter = require('events');
+const puppeteer = require('puppeteer-core');
+const { logger } = require('../logger');
+
+const log = logger.child({ component: 'chrome' });
+
+// Log levels for the page's console message types (console.log is debug, the page logs every state change)
+const CONSOLE_LEVELS = { error: 'error', assert: 'error', warn: 'warn', warning: 'warn', info: 'info' };
+
+// Run every player in one browser (per audio destination) instead of one browser per player
+const SHARED_BROWSER = process.env.CHROME_SHARED_BROWSER === 'true';
+
+// Shared browsers by audio destination: { browser: Promise<Browser>, players: Set<string> }
+const sharedBrowsers = new Map();
+
+/**
+ * Chrome backend
+ * Runs public/player.html (Spotify Web Playback SDK) in a Puppeteer-driven Chrome instance.
+ * Playback events are reported by the page itself via the playback-started/stopped endpoints.
+ * With CHROME_SHARED_BROWSER=true, players share a browser and each gets its own incognito
+ * browser context (separate cookies and storage). Chrome routes audio per browser, so players
+ * only share a browser with players that have the same audio destination.
+ * The page's console messages, uncaught errors and failed requests are passed to onLog({ level, source, message }).
+ * sdkUrl replaces the Web Playback SDK script the page loads (e.g. with the fake one in simulation mode).
+ */
+async function launch({ playerInstanceName, accountName, accessToken, displayName, audioDestination, credential, serverUrl, sdkUrl = null, onLog = () => {} }) {
+  const handle = new EventEmitter();
+  let stopping = false;
+  let browser;
+  let context = null;
+  let release = null;
+
+  if (SHARED_BROWSER) {
+    ({ browser, release } = await acquireSharedBrowser(audioDestination, playerInstanceName));
+    try {
+      context = await browser.createBrowserContext();
+    } catch (error) {
+      await release();
+      throw error;
+    }
+  } else {
+    browser = await launchBrowser(audioDestination);
+  }
+
+  // Report the browser going away unless we closed it ourselves
+  const onDisconnected = () => {
+    if (!stopping) {
+      handle.emit('exit', { reason: 'Browser disconnected' });
+    }
+  };
+  browser.on('disconnected', onDisconnected);
+
+  handle.stop = async () => {
+    stopping = true;
+    browser.off('disconnected', onDisconnected);
+
+    if (!context) {
+      await browser.close();
+      return;
+    }
+
+    // Other players may still be using the browser, only close it after the last one
+    try {
+      await context.close();
+    } catch (error) {
+      // The browser is already gone
+    }
+    await release();
+  };
+
+  try {
+    const page = await (context || browser).newPage();
+
+    // The page (renderer) crashed, the browser itself may still be running
+    page.on('error', (error) => {
+      if (!stopping) {
+        handle.emit('crash', { reason: `Page crashed: ${error.message}` });
+      }
+    });
+
+    // Capture what the page logs, from the first message on
+    page.on('console', (message) => {
+      onLog({ level: CONSOLE_LEVELS[message.type()] || 'debug', source: 'console', message: message.text() });
+    });
+    page.on('pageerror', (error) => {
+      onLog({ level: 'error', source: 'pageerror', message: error.message });
+    });
+    page.on('requestfailed', (request) => {
+      const reason = request.failure() ? request.failure().errorText : 'unknown error';
+      // Aborted requests are usually the page navigating or the SDK cancelling a request
+      onLog({ level: reason === 'net::ERR_ABORTED' ? 'debug' : 'warn', source: 'requestfailed', message: `${request.method()} ${request.url()} failed: ${reason}` });
+    });
+
+    // Set the access token, the player's API credential and the SDK to load in page context
+    await page.evaluateOnNewDocument((token, credential, sdkUrl) => {
+      window.SPOTIFY_ACCESS_TOKEN = token;
+      window.PLAYER_CREDENTIAL = credential;
+      window.SPOTIFY_SDK_URL = sdkUrl;
+    }, accessToken, credential, sdkUrl);
+
+    // Navigate to player page
+    const playerName = displayName || accountName;
+    const playerUrl = `${serverUrl}/player.html?playerName=${encodeURIComponent(playerName)}&accountName=${encodeURIComponent(accountName)}&playerInstanceName=${encodeURIComponent(playerInstanceName)}`;
+    await page.goto(playerUrl, { waitUntil: 'networkidle2' });
+
+    handle.browser = browser;
+    handle.page = page;
+    // Chrome plays audio from a child process, found through this one (shared by every player in a shared browser)
+    handle.pid = browser.process().pid;
+    handle.sharedBrowser = Boolean(context);
+    // player.html reports when the SDK is ready through the health endpoint
+    handle.reportsReadiness = true;
+
+    // Transport controls run through the SDK player object in the page
+    handle.control = (action, value) => page.evaluate((action, value) => window.controlPlayer(action, value), action, value);
+    handle.getPlaybackStatus = () => page.evaluate(() => window.getPlaybackStatus());
+
+    // Replace the token the page falls back to when it can't reach the token endpoint
+    handle.updateAccessToken = (token) => page.evaluate((token) => {
+      window.SPOTIFY_ACCESS_TOKEN = token;
+    }, token);
+  } catch (error) {
+    await handle.stop();
+    throw error;
+  }
+
+  return handle;
+}
+
+function launchBrowser(audioDestination) {
+  // Allow running in non-headless mode for debugging
+  const headless = process.env.DEBUG_HEADLESS !== 'false';
+
+  return puppeteer.launch({
+    executablePath: process.env.CHROME_EXECUTABLE_PATH,
+    headless: headless,
+    args: [
+      '--autoplay-policy=no-user-gesture-required',
+      audioDestination ? `--audio-output-device=${audioDestination}` : ''
+    ].filter(Boolean),
+    ignoreDefaultArgs: ["--mute-audio", "--hide-scrollbars"],
+  });
+}
+
+// Helper function to get the shared browser for an audio destination, launching it for the first player
+// Resolves with the browser and a function that lets go of it, closing the browser after its last player
+async function acquireSharedBrowser(audioDestination, playerInstanceName) {
+  const key = audioDestination || 'default';
+  let shared = sharedBrowsers.get(key);
+
+  if (!shared) {
+    shared = { browser: launchBrowser(audioDestination), players: new Set() };
+    sharedBrowsers.set(key, shared);
+    log.info('Launching shared browser', { audioDestination: key });
+
+    const forget = () => {
+      if (sharedBrowsers.get(key) === shared) {
+        sharedBrowsers.delete(key);
+      }
+    };
+    // A crashed browser is replaced by the next player that launches
+    shared.browser.then((browser) => browser.on('disconnected', forget), forget);
+  }
+
+  shared.players.add(playerInstanceName);
+  let released = false;
+
+  const release = async () => {
+    if (released) {
+      return;
+    }
+    released = true;
+    shared.players.delete(playerInstanceName);
+    if (shared.players.size > 0) {
+      return;
+    }
+    if (sharedBrowsers.get(key) === shared) {
+      sharedBrowsers.delete(key);
+    }
+    log.info('Closing shared browser', { audioDestination: key });
+    const browser = await shared.browser.catch(() => null);
+    if (browser && browser.connected) {
+      await browser.close();
+    }
+  };
+
+  try {
+    return { browser: await shared.browser, release };
+  } catch (error) {
+    shared.players.delete(playerInstanceName);
+    throw error;
+  }
+}
+
+module.exports = { name: 'chrome', launch, sharedBrowser: SHARED_BROWSER };
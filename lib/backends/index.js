@@ -0,0 +1,21 @@
+const chrome = require('./chrome');
+const spotifyd = require('./spotifyd');
+
+// Available playback backends, keyed by the name used in launch requests
+const backends = {
+  [chrome.name]: chrome,
+  [spotifyd.name]: spotifyd
+};
+
+const DEFAULT_BACKEND = process.env.PLAYER_BACKEND || chrome.name;
+
+// Helper function to look up a backend by name (returns undefined if unknown)
+function getBackend(name) {
+  return Object.prototype.hasOwnProperty.call(backends, name) ? backends[name] : undefined;
+}
+
+module.exports = {
+  DEFAULT_BACKEND,
+  backendNames: Object.keys(backends),
+  getBackend
+};
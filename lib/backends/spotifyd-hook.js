@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// Player event hook for spotifyd (on_song_change_hook) and librespot (--onevent).
+// Both run this with PLAYER_EVENT set; we forward start/stop events and the current
+// track to the server using the same endpoints as player.html, so Home Assistant
+// handling and the now-playing state are shared.
+
+const STARTED_EVENTS = ['start', 'play', 'playing', 'started'];
+const STOPPED_EVENTS = ['stop', 'stopped'];
+const PAUSED_EVENTS = ['pause', 'paused'];
+
+async function main() {
+  const event = process.env.PLAYER_EVENT;
+  const serverUrl = process.env.HOUSE_PLAYER_URL;
+  const playerInstanceName = process.env.HOUSE_PLAYER_NAME;
+
+  if (!event || !serverUrl || !playerInstanceName) {
+    return;
+  }
+
+  const playerUrl = `${serverUrl}/api/players/${encodeURIComponent(playerInstanceName)}`;
+
+  // Forward track details when the event carries them (librespot sends more than spotifyd)
+  if (process.env.TRACK_ID) {
+    await post(event, `${playerUrl}/state`, buildState(event));
+  } else if (STOPPED_EVENTS.includes(event)) {
+    await post(event, `${playerUrl}/state`, {});
+  }
+
+  if (STARTED_EVENTS.includes(event)) {
+    await post(event, `${playerUrl}/playback-started`);
+  } else if (STOPPED_EVENTS.includes(event)) {
+    await post(event, `${playerUrl}/playback-stopped`);
+  }
+}
+
+// Build a playback state body from the hook's environment variables
+function buildState(event) {
+  const env = process.env;
+  const lines = (value) => (value ? value.split('\n').filter(Boolean) : []);
+  const number = (value) => (value && !isNaN(value) ? Number(value) : undefined);
+
+  return {
+    track: {
+      uri: env.URI || `spotify:track:${env.TRACK_ID}`,
+      name: env.NAME,
+      artists: lines(env.ARTISTS),
+      album: env.ALBUM,
+      artworkUrl: lines(env.COVERS)[0],
+      durationMs: number(env.DURATION_MS)
+    },
+    paused: PAUSED_EVENTS.includes(event),
+    positionMs: number(env.POSITION_MS)
+  };
+}
+
+async function post(event, url, body) {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.HOUSE_PLAYER_CREDENTIAL}`
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      console.warn(`Failed to notify backend of ${event}: ${response.status}`);
+    }
+  } catch (error) {
+    console.error(`Error notifying backend of ${event}:`, error.message);
+  }
+}
+
+main();
@@ -0,0 +1,178 @@
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOOK_PATH = path.join(__dirname, 'spotifyd-hook.js');
+const STOP_TIMEOUT = 5000;
+// Written to the cache by `spotifyd authenticate` (and by librespot after signing in)
+const CREDENTIALS_FILE = 'credentials.json';
+
+/**
+ * spotifyd backend
+ * Spawns and supervises a spotifyd (or plain librespot) process as a Spotify Connect device.
+ * Playback events are reported by spotifyd-hook.js, which spotifyd/librespot run on every player event.
+ * Transport control is not available, as spotifyd/librespot have no local control interface we can use.
+ * Every line the process writes is passed to onLog({ level, source, message }).
+ */
+async function launch({ playerInstanceName, accountName, accessToken, displayName, audioDestination, credential, serverUrl, onLog = () => {} }) {
+  const executable = process.env.SPOTIFYD_EXECUTABLE_PATH || 'spotifyd';
+  const deviceName = displayName || accountName;
+  const cacheDir = process.env.SPOTIFYD_CACHE_DIR || path.join(__dirname, '..', '..', 'spotifyd-cache');
+  const cachePath = path.join(cacheDir, sanitizeFileName(accountName));
+  fs.mkdirSync(cachePath, { recursive: true });
+
+  let args;
+  let configPath = null;
+
+  if (path.basename(executable).startsWith('librespot')) {
+    // librespot has no config file, everything goes on the command line
+    args = buildLibrespotArgs({ deviceName, audioDestination, cachePath, accessToken });
+  } else {
+    // spotifyd's config has no way to pass the account's access token, it can only sign in with the
+    // credentials cached by `spotifyd authenticate`. Without them it would start signed out.
+    if (!fs.existsSync(path.join(cachePath, CREDENTIALS_FILE))) {
+      const error = new Error(`spotifyd has no credentials for account ${accountName}. Sign in once with \`spotifyd authenticate --cache-path ${cachePath}\`, or set SPOTIFYD_EXECUTABLE_PATH to a librespot executable to use the account's access token.`);
+      error.statusCode = 400;
+      throw error;
+    }
+    configPath = path.join(os.tmpdir(), `spotify-house-player-${sanitizeFileName(playerInstanceName)}.conf`);
+    fs.writeFileSync(configPath, buildSpotifydConfig({ deviceName, audioDestination, cachePath }), { mode: 0o600 });
+    args = ['--no-daemon', '--config-path', configPath];
+  }
+
+  const child = spawn(executable, args, {
+    env: {
+      ...process.env,
+      // Read by spotifyd-hook.js to report events back to this server
+      HOUSE_PLAYER_URL: serverUrl,
+      HOUSE_PLAYER_NAME: playerInstanceName,
+      HOUSE_PLAYER_CREDENTIAL: credential
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const handle = new EventEmitter();
+  let stopping = false;
+
+  const logOutput = (data) => {
+    for (const line of data.toString().split('\n')) {
+      if (line.trim()) {
+        onLog({ level: getLineLevel(line), source: 'spotifyd', message: line });
+      }
+    }
+  };
+  child.stdout.on('data', logOutput);
+  child.stderr.on('data', logOutput);
+
+  // Wait until the process has actually started (or failed to, e.g. executable not found)
+  await new Promise((resolve, reject) => {
+    child.once('spawn', resolve);
+    child.once('error', reject);
+  }).catch((error) => {
+    removeConfig(configPath);
+    throw new Error(`Failed to start ${executable}: ${error.message}`);
+  });
+
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+
+  // Report the process going away unless we stopped it ourselves
+  child.on('exit', (code, signal) => {
+    removeConfig(configPath);
+    if (!stopping) {
+      handle.emit('exit', { reason: `${path.basename(executable)} exited (${signal || `code ${code}`})` });
+    }
+  });
+
+  handle.stop = async () => {
+    stopping = true;
+    if (child.exitCode !== null || child.signalCode !== null) {
+      return;
+    }
+
+    child.kill('SIGTERM');
+    const timer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT);
+    await exited;
+    clearTimeout(timer);
+  };
+
+  handle.process = child;
+  handle.pid = child.pid;
+
+  return handle;
+}
+
+// Helper function to build a spotifyd TOML config file
+function buildSpotifydConfig({ deviceName, audioDestination, cachePath }) {
+  const settings = {
+    device_name: deviceName,
+    backend: process.env.SPOTIFYD_AUDIO_BACKEND || 'alsa',
+    device: audioDestination && audioDestination !== 'default' ? audioDestination : null,
+    // spotifyd keeps its login credentials here, one cache per account
+    cache_path: cachePath,
+    on_song_change_hook: HOOK_PATH,
+    device_type: 'speaker',
+    bitrate: 320,
+    use_mpris: false
+  };
+
+  const lines = ['[global]'];
+  for (const [key, value] of Object.entries(settings)) {
+    if (value === null) {
+      continue;
+    }
+    // TOML basic strings share JSON's escaping rules
+    lines.push(`${key} = ${typeof value === 'string' ? JSON.stringify(value) : value}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Helper function to build librespot command line arguments
+function buildLibrespotArgs({ deviceName, audioDestination, cachePath, accessToken }) {
+  const args = [
+    '--name', deviceName,
+    '--backend', process.env.SPOTIFYD_AUDIO_BACKEND || 'alsa',
+    '--cache', cachePath,
+    '--disable-audio-cache',
+    '--onevent', HOOK_PATH,
+    '--device-type', 'speaker',
+    '--bitrate', '320'
+  ];
+
+  if (audioDestination && audioDestination !== 'default') {
+    args.push('--device', audioDestination);
+  }
+
+  if (accessToken) {
+    args.push('--access-token', accessToken);
+  }
+
+  return args;
+}
+
+// Helper function to get the level of an output line
+// spotifyd and librespot lines look like [2026-01-01T12:00:00Z WARN  librespot_core::session] ...
+function getLineLevel(line) {
+  if (/\bERROR\b/.test(line)) {
+    return 'error';
+  }
+  if (/\bWARN\b/.test(line)) {
+    return 'warn';
+  }
+  return /\b(DEBUG|TRACE)\b/.test(line) ? 'debug' : 'info';
+}
+
+// Helper function to turn an account/player name into a safe file name
+function sanitizeFileName(name) {
+  return name.replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+function removeConfig(configPath) {
+  if (configPath) {
+    fs.rmSync(configPath, { force: true });
+  }
+}
+
+module.exports = { name: 'spotifyd', launch };
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+// Helpers for the JSON files in DATA_DIR: a file that can't be read is reported instead of being
+// treated as empty (so the next save doesn't overwrite it), and writes replace files atomically.
+
+// Helper function to read a JSON object from a file, or return fallback when there is no file
+// Throws when the file can't be parsed
+function readJsonFile(filePath, fallback = {}) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${filePath} is corrupt (${error.message}). Restore it from ${filePath}.bak or fix it by hand.`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${filePath} is corrupt (not a JSON object)`);
+  }
+  return data;
+}
+
+// Helper function to write a file atomically, keeping the previous version as <file>.bak
+function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.tmp`;
+
+  const fd = fs.openSync(tempPath, 'w', 0o600);
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (fs.existsSync(filePath)) {
+    fs.copyFileSync(filePath, `${filePath}.bak`);
+  }
+
+  fs.renameSync(tempPath, filePath);
+}
+
+// Helper function to copy a file from where an older version kept it to its current path
+// Returns 'migrated' when it was copied, 'ignored' when there already is a file at the new path
+// and null when there is nothing to migrate. Throws when the copy fails.
+function migrateFile(oldPath, newPath) {
+  if (path.resolve(oldPath) === path.resolve(newPath) || !isFile(oldPath)) {
+    return null;
+  }
+  if (fs.existsSync(newPath)) {
+    return 'ignored';
+  }
+
+  fs.copyFileSync(oldPath, newPath, fs.constants.COPYFILE_EXCL);
+  fs.chmodSync(newPath, 0o600);
+  return 'migrated';
+}
+
+// Helper function to check that a path is a file (Docker creates a directory when a mounted file is missing)
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { readJsonFile, writeFileAtomic, migrateFile };
@@ -0,0 +1,97 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJsonFile, writeFileAtomic, migrateFile } = require('./data-file');
+
+describe('data-file', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-file-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('readJsonFile', () => {
+    it('returns the fallback when there is no file', () => {
+      assert.deepEqual(readJsonFile(path.join(dir, 'missing.json')), {});
+      assert.deepEqual(readJsonFile(path.join(dir, 'missing.json'), { players: [] }), { players: [] });
+    });
+
+    it('throws on a corrupt file instead of treating it as empty', () => {
+      const file = path.join(dir, 'players.json');
+      fs.writeFileSync(file, '{"kitchen": {');
+      assert.throws(() => readJsonFile(file), /players\.json is corrupt .*Restore it from .*players\.json\.bak/);
+    });
+
+    it('throws on JSON that is not an object', () => {
+      const file = path.join(dir, 'players.json');
+      fs.writeFileSync(file, '[1, 2]');
+      assert.throws(() => readJsonFile(file), /not a JSON object/);
+    });
+  });
+
+  describe('writeFileAtomic', () => {
+    it('replaces the file and keeps the previous version as .bak', () => {
+      const file = path.join(dir, 'groups.json');
+      writeFileAtomic(file, 'first');
+      assert.equal(fs.readFileSync(file, 'utf8'), 'first');
+      assert.equal(fs.existsSync(`${file}.bak`), false);
+
+      writeFileAtomic(file, 'second');
+      assert.equal(fs.readFileSync(file, 'utf8'), 'second');
+      assert.equal(fs.readFileSync(`${file}.bak`, 'utf8'), 'first');
+      assert.equal(fs.existsSync(`${file}.tmp`), false);
+    });
+
+    it('is only readable by its owner', () => {
+      const file = path.join(dir, 'api-keys.json');
+      writeFileAtomic(file, '{}');
+      assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    });
+  });
+
+  describe('migrateFile', () => {
+    it('copies a legacy file to its new path', () => {
+      const legacy = path.join(dir, 'tokens.json');
+      const current = path.join(dir, 'data', 'tokens.json');
+      fs.mkdirSync(path.dirname(current));
+      fs.writeFileSync(legacy, '{"kitchen": {}}');
+
+      assert.equal(migrateFile(legacy, current), 'migrated');
+      assert.equal(fs.readFileSync(current, 'utf8'), '{"kitchen": {}}');
+      assert.equal(fs.statSync(current).mode & 0o777, 0o600);
+      // The old file is left for the user to remove
+      assert.equal(fs.existsSync(legacy), true);
+    });
+
+    it('leaves an existing file at the new path alone', () => {
+      const legacy = path.join(dir, 'tokens.json');
+      const current = path.join(dir, 'current.json');
+      fs.writeFileSync(legacy, '{"old": {}}');
+      fs.writeFileSync(current, '{"new": {}}');
+
+      assert.equal(migrateFile(legacy, current), 'ignored');
+      assert.equal(fs.readFileSync(current, 'utf8'), '{"new": {}}');
+    });
+
+    it('does nothing without a legacy file or when both paths are the same', () => {
+      const legacy = path.join(dir, 'tokens.json');
+      assert.equal(migrateFile(legacy, path.join(dir, 'current.json')), null);
+
+      fs.writeFileSync(legacy, '{}');
+      assert.equal(migrateFile(legacy, path.join(dir, '.', 'tokens.json')), null);
+    });
+
+    it('ignores a directory where the legacy file was mounted', () => {
+      // Docker creates a directory when a mounted file is missing
+      const legacy = path.join(dir, 'tokens.json');
+      fs.mkdirSync(legacy);
+      assert.equal(migrateFile(legacy, path.join(dir, 'current.json')), null);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const EventEmitter = require('events');
+
+// Process-wide bus for player lifecycle and playback events.
+// Consumed by the SSE stream (GET /api/events) and anything else that needs to react to players.
+const bus = new EventEmitter();
+
+// Every event type published on the bus
+const EVENT_TYPES = [
+  'player.launched',
+  'player.stopped',
+  'player.crashed',
+  'player.restarted',
+  'player.failed',
+  'player.health',
+  'player.audio_device',
+  'playback.started',
+  'playback.stopped',
+  'playback.state',
+  'playback.track_changed',
+  'playback.transferred',
+  'schedule.ran',
+  'account.authenticated',
+  'account.token_refreshed',
+  'account.deauthorized',
+  'account.updated',
+  'account.removed',
+  'ha.actions',
+  'config.reconciled',
+  'config.invalid'
+];
+
+// Every SSE client adds a listener, so don't warn about "leaks"
+bus.setMaxListeners(0);
+
+// Publish an event, e.g. publish('playback.started', { player: 'kitchen' })
+function publish(type, data = {}) {
+  const event = { type, at: new Date().toISOString(), ...data };
+  bus.emit('event', event);
+  return event;
+}
+
+// Subscribe to all events, returns a function that unsubscribes
+function subscribe(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+module.exports = { EVENT_TYPES, publish, subscribe };
@@ -0,0 +1,78 @@
+const { readJsonFile, writeFileAtomic } = require('./data-file');
+
+/**
+ * Persistent store for room groups
+ * Groups are stored in the given JSON file by name: { name, players, createdAt, updatedAt }
+ * A group only names its players; starting, stopping and volume changes are applied to each member.
+ */
+function createGroupStore(filePath) {
+  // Existing groups, if any
+  const groups = readJsonFile(filePath);
+
+  function save() {
+    writeFileAtomic(filePath, JSON.stringify(groups, null, 2));
+  }
+
+  // Create or replace a group
+  function set(name, players) {
+    const now = new Date().toISOString();
+    groups[name] = { name, players, createdAt: has(name) ? groups[name].createdAt : now, updatedAt: now };
+    save();
+    return groups[name];
+  }
+
+  function remove(name) {
+    if (!has(name)) {
+      return false;
+    }
+    delete groups[name];
+    save();
+    return true;
+  }
+
+  function get(name) {
+    return has(name) ? groups[name] : null;
+  }
+
+  function list() {
+    return Object.values(groups);
+  }
+
+  // Drop a player from every group (e.g. when it is removed), returns the names of the groups that changed
+  function removePlayer(player) {
+    const changed = [];
+    for (const group of Object.values(groups)) {
+      if (group.players.includes(player)) {
+        group.players = group.players.filter(name => name !== player);
+        group.updatedAt = new Date().toISOString();
+        changed.push(group.name);
+      }
+    }
+    if (changed.length > 0) {
+      save();
+    }
+    return changed;
+  }
+
+  function has(name) {
+    return Object.prototype.hasOwnProperty.call(groups, name);
+  }
+
+  return { set, remove, get, list, removePlayer };
+}
+
+// Helper function to validate a group's member list (returns an error message, or null if it is valid)
+function validateGroupPlayers(players) {
+  if (!Array.isArray(players) || players.length === 0) {
+    return 'players must be a non-empty array of player names';
+  }
+  if (players.some(player => typeof player !== 'string' || !player)) {
+    return 'players must be a non-empty array of player names';
+  }
+  if (new Set(players).size !== players.length) {
+    return 'players must not contain duplicates';
+  }
+  return null;
+}
+
+module.exports = { createGroupStore, validateGroupPlayers };
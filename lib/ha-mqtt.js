@@ -0,0 +1,273 @@
+const mqtt = require('mqtt');
+const { subscribe } = require('./events');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'mqtt' });
+
+// Commands accepted on <base>/<player>/command, mapped to transport control actions
+const COMMANDS = {
+  play: 'play',
+  pause: 'pause',
+  play_pause: 'toggle',
+  next: 'next',
+  previous: 'previous'
+};
+
+// Events after which a player's state topic is republished
+const STATE_EVENTS = ['player.launched', 'player.restarted', 'player.health', 'playback.started', 'playback.stopped', 'playback.state'];
+
+/**
+ * Home Assistant MQTT bridge
+ * Publishes every running player to an MQTT broker using Home Assistant's MQTT discovery format,
+ * as one device per player with now-playing sensors, artwork, a volume number and transport buttons.
+ * Home Assistant has no MQTT media_player platform, so these are the native entities that cover it.
+ * Options:
+ *   url, username, password - MQTT broker connection
+ *   discoveryPrefix - Home Assistant discovery prefix (default: homeassistant)
+ *   baseTopic - prefix for this server's state and command topics
+ *   getPlayers() - returns the Map of running player instances
+ *   control(name, action, value) - applies a transport control action to a player
+ */
+function createHomeAssistantMqtt({ url, username, password, discoveryPrefix = 'homeassistant', baseTopic = 'spotify-house-player', getPlayers, control }) {
+  const bridgeAvailabilityTopic = `${baseTopic}/status`;
+  // Players we have published discovery configs for
+  const published = new Set();
+  let client = null;
+  let unsubscribe = null;
+
+  function start() {
+    client = mqtt.connect(url, {
+      username,
+      password,
+      // Mark every entity unavailable if the server goes away without saying goodbye
+      will: { topic: bridgeAvailabilityTopic, payload: 'offline', retain: true, qos: 1 }
+    });
+
+    client.on('connect', () => {
+      log.info('Connected to MQTT broker', { url });
+      client.publish(bridgeAvailabilityTopic, 'online', { retain: true, qos: 1 });
+      client.subscribe([`${baseTopic}/+/command`, `${baseTopic}/+/volume/set`]);
+
+      // (Re)announce everything that is running, e.g. after a broker restart
+      for (const name of getPlayers().keys()) {
+        announce(name);
+      }
+    });
+
+    client.on('message', handleMessage);
+
+    client.on('error', (error) => {
+      log.error('MQTT error', { error: error.message });
+    });
+
+    unsubscribe = subscribe(handleEvent);
+  }
+
+  async function stop() {
+    if (unsubscribe) {
+      unsubscribe();
+    }
+    if (client) {
+      await client.publishAsync(bridgeAvailabilityTopic, 'offline', { retain: true, qos: 1 }).catch(() => {});
+      await client.endAsync();
+    }
+  }
+
+  function handleEvent(event) {
+    if (!event.player || !client || !client.connected) {
+      return;
+    }
+
+    if (event.type === 'player.stopped') {
+      remove(event.player);
+    } else if (event.type === 'player.crashed' || event.type === 'player.failed') {
+      publishAvailability(event.player, false);
+    } else if (STATE_EVENTS.includes(event.type)) {
+      if (!published.has(event.player)) {
+        announce(event.player);
+      } else {
+        publishState(event.player);
+      }
+    }
+  }
+
+  async function handleMessage(topic, payload) {
+    const [, encodedName, ...rest] = topic.slice(baseTopic.length).split('/');
+    const name = decodeURIComponent(encodedName);
+    const subtopic = rest.join('/');
+    const message = payload.toString().trim();
+
+    try {
+      if (subtopic === 'command') {
+        const action = COMMANDS[message.toLowerCase()];
+        if (!action) {
+          log.warn(`Ignoring unknown MQTT command: ${message}`, { player: name });
+          return;
+        }
+        await control(name, action);
+      } else if (subtopic === 'volume/set') {
+        const volume = Number(message);
+        if (!Number.isFinite(volume) || volume < 0 || volume > 100) {
+          log.warn(`Ignoring invalid MQTT volume: ${message}`, { player: name });
+          return;
+        }
+        await control(name, 'volume', volume);
+      }
+      publishState(name);
+    } catch (error) {
+      log.error(`Error handling MQTT ${subtopic}`, { player: name, error: error.message });
+    }
+  }
+
+  // Publish discovery configs, availability and state for a player
+  function announce(name) {
+    const instance = getPlayers().get(name);
+    if (!instance) {
+      return;
+    }
+
+    for (const [component, objectId, config] of buildDiscoveryConfigs(name, instance)) {
+      client.publish(`${discoveryPrefix}/${component}/${nodeId(name)}/${objectId}/config`, JSON.stringify(config), { retain: true, qos: 1 });
+    }
+
+    published.add(name);
+    publishState(name);
+  }
+
+  // Remove a player's entities from Home Assistant (empty retained configs)
+  function remove(name) {
+    if (!published.has(name)) {
+      return;
+    }
+
+    for (const [component, objectId] of buildDiscoveryConfigs(name, { displayName: name })) {
+      client.publish(`${discoveryPrefix}/${component}/${nodeId(name)}/${objectId}/config`, '', { retain: true, qos: 1 });
+    }
+    client.publish(playerTopic(name, 'availability'), '', { retain: true });
+    client.publish(playerTopic(name, 'state'), '', { retain: true });
+    published.delete(name);
+  }
+
+  async function publishState(name) {
+    const instance = getPlayers().get(name);
+    if (!instance) {
+      return;
+    }
+
+    const playback = instance.playback;
+    const state = {
+      state: !playback ? 'idle' : (playback.paused ? 'paused' : 'playing'),
+      title: playback ? playback.track.name : null,
+      artist: playback ? playback.track.artists.join(', ') : null,
+      album: playback ? playback.track.album : null,
+      artwork_url: playback ? playback.track.artworkUrl : null,
+      duration: playback && playback.track.durationMs ? Math.round(playback.track.durationMs / 1000) : null,
+      volume: await readVolume(instance),
+      health: instance.health
+    };
+
+    publishAvailability(name, instance.health === 'ready');
+    client.publish(playerTopic(name, 'state'), JSON.stringify(state), { retain: true });
+  }
+
+  function publishAvailability(name, online) {
+    client.publish(playerTopic(name, 'availability'), online ? 'online' : 'offline', { retain: true, qos: 1 });
+  }
+
+  // Volume is only known by backends with transport control
+  async function readVolume(instance) {
+    if (instance.health !== 'ready' || !instance.handle || !instance.handle.getPlaybackStatus) {
+      return null;
+    }
+    try {
+      return (await instance.handle.getPlaybackStatus()).volume;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function buildDiscoveryConfigs(name, instance) {
+    const id = nodeId(name);
+    const stateTopic = playerTopic(name, 'state');
+    const commandTopic = playerTopic(name, 'command');
+
+    // Shared by every entity of the player
+    const common = {
+      device: {
+        identifiers: [id],
+        name: instance.displayName || name,
+        manufacturer: 'Spotify House Player',
+        model: `${instance.backend || 'chrome'} player`
+      },
+      availability: [
+        { topic: bridgeAvailabilityTopic },
+        { topic: playerTopic(name, 'availability') }
+      ],
+      availability_mode: 'all'
+    };
+
+    const sensor = (key, label, icon) => ['sensor', key, {
+      ...common,
+      name: label,
+      unique_id: `${id}_${key}`,
+      state_topic: stateTopic,
+      value_template: `{{ value_json.${key} }}`,
+      icon
+    }];
+
+    const button = (key, label, icon) => ['button', key, {
+      ...common,
+      name: label,
+      unique_id: `${id}_${key}`,
+      command_topic: commandTopic,
+      payload_press: key,
+      icon
+    }];
+
+    return [
+      sensor('state', 'State', 'mdi:speaker'),
+      sensor('title', 'Title', 'mdi:music'),
+      sensor('artist', 'Artist', 'mdi:account-music'),
+      sensor('album', 'Album', 'mdi:album'),
+      ['image', 'artwork', {
+        ...common,
+        name: 'Artwork',
+        unique_id: `${id}_artwork`,
+        url_topic: stateTopic,
+        url_template: '{{ value_json.artwork_url }}'
+      }],
+      ['number', 'volume', {
+        ...common,
+        name: 'Volume',
+        unique_id: `${id}_volume`,
+        state_topic: stateTopic,
+        value_template: '{{ value_json.volume }}',
+        command_topic: playerTopic(name, 'volume/set'),
+        min: 0,
+        max: 100,
+        step: 1,
+        unit_of_measurement: '%',
+        icon: 'mdi:volume-high'
+      }],
+      button('play', 'Play', 'mdi:play'),
+      button('pause', 'Pause', 'mdi:pause'),
+      button('play_pause', 'Play/Pause', 'mdi:play-pause'),
+      button('next', 'Next', 'mdi:skip-next'),
+      button('previous', 'Previous', 'mdi:skip-previous')
+    ];
+  }
+
+  // Player names are encoded so they can't contain topic separators or wildcards
+  function playerTopic(name, suffix) {
+    return `${baseTopic}/${encodeURIComponent(name)}/${suffix}`;
+  }
+
+  // Discovery node IDs may only contain [a-zA-Z0-9_-]
+  function nodeId(name) {
+    return `spotify_house_player_${name.replace(/[^a-zA-Z0-9_-]/g, '_')}`;
+  }
+
+  return { start, stop };
+}
+
+module.exports = { createHomeAssistantMqtt };
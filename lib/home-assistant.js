@@ -0,0 +1,240 @@
+const { publish } = require('./events');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'home-assistant' });
+
+// Home Assistant service names look like <domain>.<service>
+const SERVICE_PATTERN = /^[a-z0-9_]+\.[a-z0-9_]+$/;
+
+// HTTP statuses worth retrying (everything else from HA is a configuration problem)
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Home Assistant action runner
+ * Runs a player's action profile when playback starts and stops: an ordered list of
+ * service calls on start, and on stop a second list after a grace period that is
+ * cancelled if playback resumes. Failed calls are retried with backoff, and the last
+ * outcome of each phase is kept per player.
+ * Profile:
+ *   entityId - default entity_id for every call
+ *   onStart - [{ service: 'media_player.turn_on', data: {...} }, ...]
+ *   onStop - same as onStart
+ *   turnOffDelay - grace period before onStop runs, in milliseconds
+ *   retries - retries per call after the first attempt
+ * onCall(service, durationMs, succeeded) is called after every service call (including its retries).
+ */
+function createHomeAssistantActions({ haUrl, haToken, turnOffDelay = 30000, retries = 3, retryDelay = 1000, maxRetryDelay = 30000, onCall = () => {} }) {
+  // Pending turn-off timers by player name
+  const pendingStops = new Map();
+  // Last outcome of each phase by player name: { start, stop }
+  const outcomes = new Map();
+  // Per-player promise chain, so start and stop calls never interleave
+  const queues = new Map();
+
+  // Run the start actions, unless a pending turn-off was cancelled (nothing was turned off)
+  function playbackStarted(name, profile) {
+    if (!profile) {
+      return;
+    }
+
+    if (cancelStop(name)) {
+      log.info('Playback resumed, cancelled Home Assistant turn-off', { player: name });
+      return;
+    }
+
+    enqueue(name, () => runPhase(name, 'start', profile, profile.onStart));
+  }
+
+  // Schedule the stop actions after the profile's grace period
+  function playbackStopped(name, profile) {
+    if (!profile || pendingStops.has(name)) {
+      return;
+    }
+
+    const delay = typeof profile.turnOffDelay === 'number' ? profile.turnOffDelay : turnOffDelay;
+    const runStop = () => enqueue(name, () => runPhase(name, 'stop', profile, profile.onStop));
+
+    if (delay <= 0) {
+      runStop();
+      return;
+    }
+
+    setOutcome(name, 'stop', { status: 'pending', scheduledFor: new Date(Date.now() + delay).toISOString() });
+    pendingStops.set(name, setTimeout(() => {
+      pendingStops.delete(name);
+      runStop();
+    }, delay));
+  }
+
+  // Cancel a pending turn-off, returns true if there was one
+  function cancelStop(name) {
+    if (!pendingStops.has(name)) {
+      return false;
+    }
+    clearTimeout(pendingStops.get(name));
+    pendingStops.delete(name);
+    setOutcome(name, 'stop', { status: 'cancelled', finishedAt: new Date().toISOString() });
+    return true;
+  }
+
+  function getOutcomes(name) {
+    return outcomes.get(name) || { start: null, stop: null };
+  }
+
+  function enqueue(name, task) {
+    const previous = queues.get(name) || Promise.resolve();
+    const next = previous.then(task).catch((error) => {
+      log.error('Error running Home Assistant actions', { player: name, error });
+    });
+    queues.set(name, next);
+    next.then(() => {
+      if (queues.get(name) === next) {
+        queues.delete(name);
+      }
+    });
+  }
+
+  async function runPhase(name, phase, profile, actions) {
+    const startedAt = new Date().toISOString();
+
+    if (!haUrl || !haToken) {
+      log.info('Home Assistant URL or token not configured, skipping actions', { player: name, phase });
+      setOutcome(name, phase, { status: 'skipped', reason: 'Home Assistant is not configured', startedAt });
+      return;
+    }
+
+    const calls = (actions || []).map((action) => ({ service: action.service, status: 'pending', attempts: 0, error: null }));
+    const outcome = { status: 'running', startedAt, finishedAt: null, calls };
+    setOutcome(name, phase, outcome);
+
+    let failed = false;
+
+    for (let i = 0; i < calls.length; i++) {
+      if (failed) {
+        calls[i].status = 'skipped';
+        continue;
+      }
+
+      const action = actions[i];
+      const data = { ...(profile.entityId && { entity_id: profile.entityId }), ...action.data };
+      const maxAttempts = 1 + (typeof profile.retries === 'number' ? profile.retries : retries);
+
+      const callStartedAt = Date.now();
+      try {
+        await callService(action.service, data, calls[i], maxAttempts);
+        calls[i].status = 'succeeded';
+        log.info(`Home Assistant ${action.service} succeeded`, { player: name, phase, attempts: calls[i].attempts });
+      } catch (error) {
+        calls[i].status = 'failed';
+        calls[i].error = error.message;
+        failed = true;
+        log.error(`Home Assistant ${action.service} failed`, { player: name, phase, attempts: calls[i].attempts, error: error.message });
+      }
+      onCall(action.service, Date.now() - callStartedAt, !failed);
+    }
+
+    outcome.status = failed ? 'failed' : 'succeeded';
+    outcome.finishedAt = new Date().toISOString();
+    publish('ha.actions', { player: name, phase, status: outcome.status });
+  }
+
+  // Call a service, retrying network errors and retryable statuses with exponential backoff
+  async function callService(service, data, call, maxAttempts) {
+    const [domain, serviceName] = service.split('.');
+
+    for (let attempt = 1; ; attempt++) {
+      call.attempts = attempt;
+      let error;
+
+      try {
+        const response = await fetch(`${haUrl}/api/services/${domain}/${serviceName}`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${haToken}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(data)
+        });
+
+        if (response.ok) {
+          return;
+        }
+
+        const errorText = await response.text();
+        error = new Error(`${response.status} - ${errorText}`);
+        error.retryable = RETRYABLE_STATUSES.includes(response.status);
+      } catch (fetchError) {
+        error = fetchError;
+        error.retryable = true;
+      }
+
+      if (!error.retryable || attempt >= maxAttempts) {
+        throw error;
+      }
+
+      const delay = Math.min(retryDelay * 2 ** (attempt - 1), maxRetryDelay);
+      log.warn(`Home Assistant ${service} failed, retrying in ${delay}ms`, { error: error.message });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  // Outcomes are stored by reference, so a running phase's calls update in place
+  function setOutcome(name, phase, outcome) {
+    outcomes.set(name, { ...getOutcomes(name), [phase]: outcome });
+  }
+
+  return { playbackStarted, playbackStopped, cancelStop, getOutcomes };
+}
+
+// The profile used when a player only has haEntityId: turn on and select the account's source, turn off on stop
+function buildDefaultProfile(entityId, sourceId) {
+  return {
+    entityId,
+    onStart: [
+      { service: 'media_player.turn_on' },
+      ...(sourceId ? [{ service: 'media_player.select_source', data: { source: sourceId } }] : [])
+    ],
+    onStop: [
+      { service: 'media_player.turn_off' }
+    ]
+  };
+}
+
+// Helper function to validate an action profile (returns an error message, or null if it is valid)
+function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return 'haActions must be an object';
+  }
+
+  if (profile.entityId !== undefined && typeof profile.entityId !== 'string') {
+    return 'haActions.entityId must be a string';
+  }
+
+  for (const phase of ['onStart', 'onStop']) {
+    const actions = profile[phase];
+    if (actions === undefined) {
+      continue;
+    }
+    if (!Array.isArray(actions)) {
+      return `haActions.${phase} must be an array`;
+    }
+    for (const action of actions) {
+      if (!action || typeof action.service !== 'string' || !SERVICE_PATTERN.test(action.service)) {
+        return `haActions.${phase} entries need a service like "media_player.turn_on"`;
+      }
+      if (action.data !== undefined && (typeof action.data !== 'object' || action.data === null || Array.isArray(action.data))) {
+        return `haActions.${phase} data for ${action.service} must be an object`;
+      }
+    }
+  }
+
+  for (const field of ['turnOffDelay', 'retries']) {
+    if (profile[field] !== undefined && (!Number.isInteger(profile[field]) || profile[field] < 0)) {
+      return `haActions.${field} must be a non-negative integer`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = { createHomeAssistantActions, buildDefaultProfile, validateProfile };
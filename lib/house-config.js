@@ -0,0 +1,313 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { validateProfile } = require('./home-assistant');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'config' });
+
+// Fields allowed in each section of the file
+const ACCOUNT_FIELDS = ['clientId', 'clientSecret', 'redirectUri', 'haSourceId'];
+const PLAYER_FIELDS = ['account', 'displayName', 'audioDestination', 'haEntityId', 'haActions', 'backend', 'enabled'];
+
+// Player config fields that need a restart when they change
+const PLAYER_LAUNCH_FIELDS = ['accountName', 'displayName', 'audioDestination', 'backend'];
+
+// Player config fields that are applied to a running player in place
+const PLAYER_LIVE_FIELDS = ['haEntityId', 'haActions'];
+
+// Account fields that invalidate the account's tokens when they change
+const ACCOUNT_CREDENTIAL_FIELDS = ['clientId', 'clientSecret'];
+
+// ${VAR} or ${VAR:-default}
+const ENV_REFERENCE = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+// Thrown when the file can't be used, with every problem found in errors
+class ConfigError extends Error {
+  constructor(filePath, errors) {
+    super(`Invalid config file ${filePath}:\n  - ${errors.join('\n  - ')}`);
+    this.errors = errors;
+  }
+}
+
+/**
+ * Declarative house configuration
+ * Reads accounts and players from a YAML or JSON file, e.g.
+ *   accounts:
+ *     living-room:
+ *       clientId: ${LIVING_ROOM_CLIENT_ID}
+ *       clientSecret: ${LIVING_ROOM_CLIENT_SECRET}
+ *   players:
+ *     living-room:
+ *       account: living-room
+ *       displayName: Living Room Speaker
+ *       haEntityId: media_player.living_room_amplifier
+ * Strings may reference environment variables as ${VAR} or ${VAR:-default}; client secrets must.
+ * Throws a ConfigError listing every problem when the file is invalid.
+ */
+function loadHouseConfig(filePath, { env = process.env, backendNames = [], defaultBackend, existingAccounts = {} } = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(filePath, [`Cannot read file: ${error.message}`]);
+  }
+
+  let data;
+  try {
+    data = /\.json$/i.test(filePath) ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new ConfigError(filePath, [`Cannot parse file: ${error.message}`]);
+  }
+
+  const errors = [];
+
+  if (data === null || data === undefined) {
+    data = {};
+  }
+
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError(filePath, ['The file must contain an object with "accounts" and/or "players"']);
+  }
+
+  for (const key of Object.keys(data)) {
+    if (key !== 'accounts' && key !== 'players') {
+      errors.push(`${key}: unknown section (expected "accounts" or "players")`);
+    }
+  }
+
+  const accounts = {};
+  for (const [name, raw] of Object.entries(section(data, 'accounts', errors))) {
+    const where = `accounts.${name}`;
+    if (!isObject(raw)) {
+      errors.push(`${where}: must be an object`);
+      continue;
+    }
+    checkFields(raw, ACCOUNT_FIELDS, where, errors);
+
+    // Secrets belong in the environment, not in a file that may end up in version control
+    if (raw.clientSecret !== undefined && !(typeof raw.clientSecret === 'string' && isEnvReference(raw.clientSecret))) {
+      errors.push(`${where}.clientSecret: must be an environment reference like \${LIVING_ROOM_CLIENT_SECRET}, not the secret itself`);
+    }
+
+    const account = resolveEnv(raw, env, where, errors);
+    if (!account.clientId || typeof account.clientId !== 'string') {
+      errors.push(`${where}.clientId: is required`);
+    }
+    for (const field of ['clientSecret', 'redirectUri', 'haSourceId']) {
+      if (account[field] !== undefined && typeof account[field] !== 'string') {
+        errors.push(`${where}.${field}: must be a string`);
+      }
+    }
+
+    accounts[name] = {
+      clientId: account.clientId,
+      clientSecret: account.clientSecret || null,
+      redirectUri: account.redirectUri || 'http://localhost:3000/callback',
+      haSourceId: account.haSourceId || null
+    };
+  }
+
+  const players = {};
+  for (const [name, raw] of Object.entries(section(data, 'players', errors))) {
+    const where = `players.${name}`;
+    if (!isObject(raw)) {
+      errors.push(`${where}: must be an object`);
+      continue;
+    }
+    checkFields(raw, PLAYER_FIELDS, where, errors);
+
+    const player = resolveEnv(raw, env, where, errors);
+    if (!player.account || typeof player.account !== 'string') {
+      errors.push(`${where}.account: is required`);
+    } else if (!accounts[player.account] && !existingAccounts[player.account]) {
+      errors.push(`${where}.account: account "${player.account}" is neither declared in the file nor added through the API`);
+    }
+    for (const field of ['displayName', 'audioDestination', 'haEntityId']) {
+      if (player[field] !== undefined && typeof player[field] !== 'string') {
+        errors.push(`${where}.${field}: must be a string`);
+      }
+    }
+    if (player.backend !== undefined && !backendNames.includes(player.backend)) {
+      errors.push(`${where}.backend: unknown backend "${player.backend}" (must be one of: ${backendNames.join(', ')})`);
+    }
+    if (player.enabled !== undefined && typeof player.enabled !== 'boolean') {
+      errors.push(`${where}.enabled: must be true or false`);
+    }
+    if (player.haActions !== undefined) {
+      const profileError = validateProfile(player.haActions);
+      if (profileError) {
+        errors.push(`${where}: ${profileError}`);
+      }
+    }
+
+    players[name] = {
+      accountName: player.account,
+      displayName: player.displayName || null,
+      audioDestination: player.audioDestination || null,
+      haEntityId: player.haEntityId || null,
+      haActions: player.haActions || null,
+      backend: player.backend || defaultBackend,
+      desiredState: player.enabled === false ? 'stopped' : 'running'
+    };
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(filePath, errors);
+  }
+
+  return { accounts, players };
+}
+
+/**
+ * Work out the changes needed to bring the current state in line with a loaded config.
+ * Each change is { type: 'account' | 'player', name, action, reason, fields }, where action is one of
+ *   account: create, update
+ *   player: launch, restart, stop, remove, update (saved, and applied in place if running)
+ * Only players previously created from the file (managed) are removed when they disappear from it;
+ * accounts are never removed.
+ */
+function planChanges(config, { accounts, playerConfigs, playerInstances }) {
+  const changes = [];
+
+  for (const [name, desired] of Object.entries(config.accounts)) {
+    const current = accounts[name];
+    if (!current) {
+      changes.push({ type: 'account', name, action: 'create', reason: 'declared in the config file' });
+      continue;
+    }
+    const fields = Object.keys(desired).filter(field => (current[field] || null) !== desired[field]);
+    if (fields.length > 0) {
+      const reauthorize = fields.some(field => ACCOUNT_CREDENTIAL_FIELDS.includes(field));
+      changes.push({
+        type: 'account',
+        name,
+        action: 'update',
+        fields,
+        reauthorize,
+        reason: reauthorize ? 'client credentials changed, the account must be authenticated again' : 'settings changed'
+      });
+    }
+  }
+
+  for (const [name, desired] of Object.entries(config.players)) {
+    const current = playerConfigs[name];
+    const running = playerInstances.has(name);
+    const changed = (field) => !sameValue(current[field], desired[field]);
+    const launchFields = current ? PLAYER_LAUNCH_FIELDS.filter(changed) : [];
+    const fields = current ? [...launchFields, ...PLAYER_LIVE_FIELDS.filter(changed)] : [];
+
+    if (desired.desiredState === 'stopped') {
+      if (running) {
+        changes.push({ type: 'player', name, action: 'stop', reason: 'disabled in the config file' });
+      } else if (!current || !current.managed || current.desiredState !== 'stopped' || fields.length > 0) {
+        changes.push({ type: 'player', name, action: 'update', fields, reason: 'disabled in the config file' });
+      }
+    } else if (!running) {
+      changes.push({ type: 'player', name, action: 'launch', fields, reason: current ? 'not running' : 'declared in the config file' });
+    } else if (launchFields.length > 0) {
+      changes.push({ type: 'player', name, action: 'restart', fields, reason: 'launch settings changed' });
+    } else if (fields.length > 0) {
+      changes.push({ type: 'player', name, action: 'update', fields, reason: 'Home Assistant settings changed' });
+    } else if (!current.managed) {
+      // Running with the same settings; just take it over
+      changes.push({ type: 'player', name, action: 'update', fields: [], reason: 'now managed by the config file' });
+    }
+  }
+
+  for (const [name, current] of Object.entries(playerConfigs)) {
+    if (current.managed && !config.players[name]) {
+      changes.push({ type: 'player', name, action: 'remove', reason: 'removed from the config file' });
+    }
+  }
+
+  return changes;
+}
+
+// Watch a config file for changes, calling onChange (debounced) after it is written, replaced or created
+function watchConfigFile(filePath, onChange, { debounce = 500 } = {}) {
+  const directory = path.dirname(filePath);
+  const fileName = path.basename(filePath);
+  let timer = null;
+
+  // Editors often replace files rather than writing them, so watch the directory
+  let watcher;
+  try {
+    watcher = fs.watch(directory, (eventType, changed) => {
+      if (changed && changed !== fileName) {
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(onChange, debounce);
+    });
+  } catch (error) {
+    log.error('Cannot watch config file, changes need POST /api/config/reconcile', { file: filePath, error: error.message });
+    return () => {};
+  }
+
+  watcher.on('error', (error) => {
+    log.error('Error watching config file', { file: filePath, error: error.message });
+  });
+
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+}
+
+function section(data, key, errors) {
+  const value = data[key];
+  if (value === undefined || value === null) {
+    return {};
+  }
+  if (!isObject(value)) {
+    errors.push(`${key}: must be a map of names to settings`);
+    return {};
+  }
+  return value;
+}
+
+function checkFields(raw, allowed, where, errors) {
+  for (const key of Object.keys(raw)) {
+    if (!allowed.includes(key)) {
+      errors.push(`${where}.${key}: unknown field (expected one of: ${allowed.join(', ')})`);
+    }
+  }
+}
+
+// Replace ${VAR} references in every string of a value, recording missing variables as errors
+function resolveEnv(value, env, where, errors) {
+  if (typeof value === 'string') {
+    return value.replace(ENV_REFERENCE, (match, name, fallback) => {
+      if (env[name] !== undefined && env[name] !== '') {
+        return env[name];
+      }
+      if (fallback !== undefined) {
+        return fallback;
+      }
+      errors.push(`${where}: environment variable ${name} is not set`);
+      return '';
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, i) => resolveEnv(item, env, `${where}[${i}]`, errors));
+  }
+  if (isObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveEnv(item, env, `${where}.${key}`, errors)]));
+  }
+  return value;
+}
+
+function isEnvReference(value) {
+  return new RegExp(`^${ENV_REFERENCE.source}$`).test(value);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+module.exports = { ConfigError, loadHouseConfig, planChanges, watchConfigFile };
@@ -0,0 +1,193 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, loadHouseConfig, planChanges } = require('./house-config');
+
+const OPTIONS = { backendNames: ['chrome', 'spotifyd'], defaultBackend: 'chrome' };
+
+describe('loadHouseConfig', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'house-config-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Helper function to write a config file and load it
+  function load(fileName, contents, options = {}) {
+    const filePath = path.join(dir, fileName);
+    fs.writeFileSync(filePath, contents);
+    return loadHouseConfig(filePath, { ...OPTIONS, ...options });
+  }
+
+  // Helper function to get the errors a config file is rejected with
+  function errorsOf(fileName, contents, options) {
+    try {
+      load(fileName, contents, options);
+    } catch (error) {
+      assert.ok(error instanceof ConfigError, error.message);
+      return error.errors;
+    }
+    assert.fail('The config file was accepted');
+  }
+
+  it('loads accounts and players from YAML with defaults', () => {
+    const config = load('house.yaml', [
+      'accounts:',
+      '  living-room:',
+      '    clientId: ${LIVING_ROOM_CLIENT_ID}',
+      '    clientSecret: ${LIVING_ROOM_CLIENT_SECRET}',
+      'players:',
+      '  living-room:',
+      '    account: living-room',
+      '    displayName: Living Room Speaker',
+      '    haEntityId: media_player.living_room_amplifier',
+      '  patio:',
+      '    account: living-room',
+      '    backend: spotifyd',
+      '    enabled: false'
+    ].join('\n'), { env: { LIVING_ROOM_CLIENT_ID: 'client-id', LIVING_ROOM_CLIENT_SECRET: 'client-secret' } });
+
+    assert.deepEqual(config.accounts['living-room'], {
+      clientId: 'client-id',
+      clientSecret: 'client-secret',
+      redirectUri: 'http://localhost:3000/callback',
+      haSourceId: null
+    });
+    assert.deepEqual(config.players['living-room'], {
+      accountName: 'living-room',
+      displayName: 'Living Room Speaker',
+      audioDestination: null,
+      haEntityId: 'media_player.living_room_amplifier',
+      haActions: null,
+      backend: 'chrome',
+      desiredState: 'running'
+    });
+    assert.equal(config.players.patio.backend, 'spotifyd');
+    assert.equal(config.players.patio.desiredState, 'stopped');
+  });
+
+  it('loads JSON files and empty files', () => {
+    const config = load('house.json', JSON.stringify({ accounts: { den: { clientId: 'client-id' } } }));
+    assert.equal(config.accounts.den.clientId, 'client-id');
+    assert.equal(config.accounts.den.clientSecret, null);
+
+    assert.deepEqual(load('empty.yaml', ''), { accounts: {}, players: {} });
+  });
+
+  it('uses defaults of environment references and reports missing variables', () => {
+    const config = load('house.yaml', 'accounts:\n  den:\n    clientId: ${DEN_CLIENT_ID:-fallback-id}\n', { env: {} });
+    assert.equal(config.accounts.den.clientId, 'fallback-id');
+
+    const errors = errorsOf('missing.yaml', 'accounts:\n  den:\n    clientId: ${DEN_CLIENT_ID}\n', { env: { DEN_CLIENT_ID: '' } });
+    assert.ok(errors.includes('accounts.den.clientId: environment variable DEN_CLIENT_ID is not set'), errors.join('\n'));
+  });
+
+  it('refuses client secrets written into the file', () => {
+    const errors = errorsOf('house.yaml', 'accounts:\n  den:\n    clientId: client-id\n    clientSecret: hunter2\n');
+    assert.match(errors[0], /^accounts\.den\.clientSecret: must be an environment reference/);
+  });
+
+  it('lists every problem at once', () => {
+    const errors = errorsOf('house.yaml', [
+      'speakers: {}',
+      'accounts:',
+      '  den:',
+      '    clientSecret: ${DEN_SECRET}',
+      '    colour: blue',
+      'players:',
+      '  den:',
+      '    account: attic',
+      '    backend: vlc',
+      '    enabled: "yes"',
+      '    haActions:',
+      '      onStart: media_player.turn_on'
+    ].join('\n'), { env: { DEN_SECRET: 'secret' } });
+
+    assert.deepEqual(errors, [
+      'speakers: unknown section (expected "accounts" or "players")',
+      'accounts.den.colour: unknown field (expected one of: clientId, clientSecret, redirectUri, haSourceId)',
+      'accounts.den.clientId: is required',
+      'players.den.account: account "attic" is neither declared in the file nor added through the API',
+      'players.den.backend: unknown backend "vlc" (must be one of: chrome, spotifyd)',
+      'players.den.enabled: must be true or false',
+      'players.den: haActions.onStart must be an array'
+    ]);
+  });
+
+  it('accepts players of accounts added through the API', () => {
+    const config = load('house.yaml', 'players:\n  den:\n    account: den\n', { existingAccounts: { den: {} } });
+    assert.equal(config.players.den.accountName, 'den');
+  });
+
+  it('reports files that cannot be read or parsed', () => {
+    assert.throws(() => loadHouseConfig(path.join(dir, 'missing.yaml'), OPTIONS), /Cannot read file/);
+    const parseErrors = errorsOf('house.json', '{"accounts":');
+    assert.equal(parseErrors.length, 1);
+    assert.match(parseErrors[0], /^Cannot parse file/);
+    assert.match(errorsOf('house.yaml', '- den\n- kitchen\n')[0], /must contain an object/);
+  });
+});
+
+describe('planChanges', () => {
+  const ACCOUNT = { clientId: 'client-id', clientSecret: null, redirectUri: 'http://localhost:3000/callback', haSourceId: null };
+  const PLAYER = {
+    accountName: 'den',
+    displayName: null,
+    audioDestination: null,
+    haEntityId: 'media_player.den',
+    haActions: null,
+    backend: 'chrome',
+    desiredState: 'running'
+  };
+
+  // Helper function to plan a config of one account and one player against the given state
+  function plan(player, { accounts = { den: { name: 'den', ...ACCOUNT } }, playerConfigs = {}, running = [] } = {}) {
+    const config = { accounts: { den: ACCOUNT }, players: player ? { den: player } : {} };
+    return planChanges(config, { accounts, playerConfigs, playerInstances: new Map(running.map(name => [name, {}])) });
+  }
+
+  it('creates new accounts and launches new players', () => {
+    assert.deepEqual(plan(PLAYER, { accounts: {} }).map(({ type, action }) => `${type} ${action}`), ['account create', 'player launch']);
+  });
+
+  it('changes nothing when everything matches', () => {
+    assert.deepEqual(plan(PLAYER, { playerConfigs: { den: { ...PLAYER, managed: true } }, running: ['den'] }), []);
+  });
+
+  it('asks for authentication again when client credentials change', () => {
+    const [change] = plan(null, { accounts: { den: { ...ACCOUNT, clientId: 'old-id' } } });
+    assert.equal(change.action, 'update');
+    assert.deepEqual(change.fields, ['clientId']);
+    assert.equal(change.reauthorize, true);
+
+    const [other] = plan(null, { accounts: { den: { ...ACCOUNT, haSourceId: 'Spotify' } } });
+    assert.equal(other.reauthorize, false);
+  });
+
+  it('restarts players whose launch settings changed and updates the rest in place', () => {
+    const restart = plan({ ...PLAYER, displayName: 'Den' }, { playerConfigs: { den: { ...PLAYER, managed: true } }, running: ['den'] });
+    assert.deepEqual(restart.map(({ action, fields }) => [action, fields]), [['restart', ['displayName']]]);
+
+    const update = plan({ ...PLAYER, haEntityId: 'media_player.amp' }, { playerConfigs: { den: { ...PLAYER, managed: true } }, running: ['den'] });
+    assert.deepEqual(update.map(({ action, fields }) => [action, fields]), [['update', ['haEntityId']]]);
+  });
+
+  it('stops disabled players and takes over running ones', () => {
+    const stop = plan({ ...PLAYER, desiredState: 'stopped' }, { playerConfigs: { den: PLAYER }, running: ['den'] });
+    assert.deepEqual(stop.map(({ action }) => action), ['stop']);
+
+    const takeOver = plan(PLAYER, { playerConfigs: { den: PLAYER }, running: ['den'] });
+    assert.deepEqual(takeOver.map(({ action, reason }) => [action, reason]), [['update', 'now managed by the config file']]);
+  });
+
+  it('only removes players that came from the file', () => {
+    const removed = plan(null, { playerConfigs: { den: { ...PLAYER, managed: true }, kitchen: PLAYER } });
+    assert.deepEqual(removed.map(({ name, action }) => [name, action]), [['den', 'remove']]);
+  });
+});
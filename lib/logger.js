@@ -0,0 +1,141 @@
+// Log levels, in increasing severity
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields whose values are never logged, wherever they appear in an entry
+const SECRET_FIELD = /token|secret|password|credential|authorization|api[-_]?key/i;
+
+// Secrets that turn up inside messages, with what they are replaced by
+const SECRET_PATTERNS = [
+  // Authorization headers
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, '$1 [REDACTED]'],
+  // Tokens, codes and secrets in query strings and form bodies
+  [/\b(access_token|refresh_token|client_secret|code|code_verifier)=[^&\s"']+/gi, '$1=[REDACTED]'],
+  // The same in JSON, e.g. a token endpoint's response in an error message
+  [/"(access_token|refresh_token|token|client_secret)"\s*:\s*"[^"]*"/gi, '"$1":"[REDACTED]"'],
+  // API keys and player credentials (see generateSecret in auth.js)
+  [/\b(shp|player)_[0-9a-f]{48}\b/g, '$1_[REDACTED]'],
+  // Spotify access and refresh tokens
+  [/\b[AB]Q[A-Za-z0-9_-]{60,}/g, '[REDACTED]']
+];
+
+/**
+ * Structured logger
+ * Writes one JSON object per line to stdout, { time, level, message, ...context, ...fields },
+ * or a readable line per entry with format 'text'. Entries below the level are not written,
+ * but every entry is passed to the sinks (e.g. the per-player log buffers). Secrets are
+ * redacted from messages and fields before an entry goes anywhere.
+ * Usage:
+ *   const log = logger.child({ component: 'supervisor' });
+ *   log.warn('Player degraded', { player: name, error });
+ */
+function createLogger({ level = 'info', format = 'json', write = (line) => process.stdout.write(`${line}\n`) } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+  const sinks = new Set();
+
+  function emit(entryLevel, context, message, fields) {
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      message: String(message),
+      ...context,
+      ...serializeFields(fields)
+    });
+
+    for (const sink of sinks) {
+      try {
+        sink(entry);
+      } catch (error) {
+        // A broken sink must not take logging down with it
+      }
+    }
+
+    if (LEVELS[entryLevel] >= threshold) {
+      write(format === 'text' ? formatText(entry) : JSON.stringify(entry));
+    }
+    return entry;
+  }
+
+  // A logger that adds the given context fields to every entry
+  function bind(context) {
+    const log = {};
+    for (const name of Object.keys(LEVELS)) {
+      log[name] = (message, fields) => emit(name, context, message, fields);
+    }
+    // Log at a level only known at runtime (unknown levels are logged as info)
+    log.log = (entryLevel, message, fields) => emit(LEVELS[entryLevel] ? entryLevel : 'info', context, message, fields);
+    log.child = (extra) => bind({ ...context, ...extra });
+    return log;
+  }
+
+  const root = bind({});
+
+  // Receive every entry, whatever the level, returns a function that removes the sink
+  root.addSink = (sink) => {
+    sinks.add(sink);
+    return () => sinks.delete(sink);
+  };
+
+  if (!LEVELS[level]) {
+    root.warn(`Unknown LOG_LEVEL ${level}, using info`);
+  }
+
+  return root;
+}
+
+// Errors don't serialize to JSON by themselves
+function serializeFields(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    result[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return result;
+}
+
+function serializeError(error) {
+  return {
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.statusCode && { statusCode: error.statusCode }),
+    stack: error.stack
+  };
+}
+
+// Redact secret fields and secrets inside strings, in a copy of the value
+function redact(value, key = null, depth = 0) {
+  if (key && SECRET_FIELD.test(key) && value !== null && value !== undefined && typeof value !== 'object') {
+    return '[REDACTED]';
+  }
+  if (typeof value === 'string') {
+    return SECRET_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+  }
+  if (value === null || typeof value !== 'object' || depth > 5) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, null, depth + 1));
+  }
+  const result = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    result[field] = redact(fieldValue, field, depth + 1);
+  }
+  return result;
+}
+
+// e.g. 2026-01-01T12:00:00.000Z WARN  Player degraded player=kitchen error="Device offline"
+function formatText({ time, level, message, ...fields }) {
+  const { error, ...rest } = fields;
+  const pairs = Object.entries(rest).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  if (error) {
+    pairs.push(`error=${JSON.stringify(typeof error === 'object' ? error.message : error)}`);
+  }
+  const line = [time, level.toUpperCase().padEnd(5), message, ...pairs].join(' ');
+  return error && error.stack && level === 'error' ? `${line}\n${error.stack}` : line;
+}
+
+// Process-wide logger, configured by LOG_LEVEL and LOG_FORMAT
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: process.env.LOG_FORMAT || 'json'
+});
+
+module.exports = { LEVELS, createLogger, logger, redact };
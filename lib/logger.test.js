@@ -0,0 +1,138 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, redact } = require('./logger');
+
+const API_KEY = `shp_${'0123456789abcdef'.repeat(3)}`;
+const SPOTIFY_TOKEN = `BQ${'x'.repeat(80)}`;
+
+// Helper function to create a logger that keeps the lines it writes
+function createTestLogger(options = {}) {
+  const lines = [];
+  const log = createLogger({ write: (line) => lines.push(line), ...options });
+  return { log, lines, entries: () => lines.map(line => JSON.parse(line)) };
+}
+
+describe('redact', () => {
+  it('redacts secret fields at any depth', () => {
+    const redacted = redact({
+      player: 'kitchen',
+      accessToken: 'abc',
+      account: { clientSecret: 'def', clientId: 'client-id' },
+      headers: [{ Authorization: 'Basic Zm9v' }],
+      'x-api-key': 'ghi',
+      credential: null
+    });
+
+    assert.deepEqual(redacted, {
+      player: 'kitchen',
+      accessToken: '[REDACTED]',
+      account: { clientSecret: '[REDACTED]', clientId: 'client-id' },
+      headers: [{ Authorization: '[REDACTED]' }],
+      'x-api-key': '[REDACTED]',
+      credential: null
+    });
+  });
+
+  it('redacts secrets inside strings', () => {
+    assert.equal(redact('Authorization: Bearer abc.def-ghi'), 'Authorization: Bearer [REDACTED]');
+    assert.equal(
+      redact('POST /api/token grant_type=refresh_token&refresh_token=AQxyz&client_secret=s3cret'),
+      'POST /api/token grant_type=refresh_token&refresh_token=[REDACTED]&client_secret=[REDACTED]'
+    );
+    assert.equal(redact('/callback?code=abc123&state=xyz'), '/callback?code=[REDACTED]&state=xyz');
+    assert.equal(
+      redact('Token exchange failed: {"access_token": "abc", "token_type": "Bearer"}'),
+      'Token exchange failed: {"access_token":"[REDACTED]", "token_type": "Bearer"}'
+    );
+    assert.equal(redact(`Invalid key ${API_KEY}`), 'Invalid key shp_[REDACTED]');
+    assert.equal(redact(`token ${SPOTIFY_TOKEN} expired`), 'token [REDACTED] expired');
+  });
+
+  it('leaves other values and the original object alone', () => {
+    const fields = { token: 'abc', volume: 40, playing: true, at: null };
+    assert.deepEqual(redact(fields), { token: '[REDACTED]', volume: 40, playing: true, at: null });
+    assert.equal(fields.token, 'abc');
+    assert.equal(redact('Player kitchen started'), 'Player kitchen started');
+  });
+});
+
+describe('createLogger', () => {
+  it('writes JSON lines with context and fields', () => {
+    const { log, entries } = createTestLogger();
+    log.child({ component: 'supervisor' }).child({ player: 'kitchen' }).warn('Player degraded', { restarts: 2 });
+
+    const [entry] = entries();
+    assert.equal(entry.level, 'warn');
+    assert.equal(entry.message, 'Player degraded');
+    assert.equal(entry.component, 'supervisor');
+    assert.equal(entry.player, 'kitchen');
+    assert.equal(entry.restarts, 2);
+    assert.ok(!isNaN(Date.parse(entry.time)));
+  });
+
+  it('redacts secrets before they are written or reach a sink', () => {
+    const { log, lines } = createTestLogger();
+    const sunk = [];
+    log.addSink(entry => sunk.push(entry));
+
+    log.error(`Refresh failed for ${SPOTIFY_TOKEN}`, { refreshToken: 'AQabc', error: new Error(`Bad key ${API_KEY}`) });
+
+    for (const text of [lines[0], JSON.stringify(sunk[0])]) {
+      assert.equal(text.includes(SPOTIFY_TOKEN), false);
+      assert.equal(text.includes('AQabc'), false);
+      assert.equal(text.includes(API_KEY), false);
+    }
+    assert.equal(sunk[0].error.message, 'Bad key shp_[REDACTED]');
+  });
+
+  it('serializes errors', () => {
+    const { log, entries } = createTestLogger();
+    const error = new Error('Player not found');
+    error.statusCode = 404;
+    log.error('Launch failed', { error });
+
+    const [entry] = entries();
+    assert.equal(entry.error.message, 'Player not found');
+    assert.equal(entry.error.statusCode, 404);
+    assert.match(entry.error.stack, /^Error: Player not found/);
+  });
+
+  it('only writes entries at or above the level, but passes every entry to sinks', () => {
+    const { log, entries } = createTestLogger({ level: 'warn' });
+    const sunk = [];
+    const removeSink = log.addSink(entry => sunk.push(entry.level));
+
+    log.debug('Polling');
+    log.info('Launched');
+    log.warn('Degraded');
+    log.log('error', 'Crashed');
+    log.log('loud', 'Unknown level');
+    removeSink();
+    log.error('After the sink was removed');
+
+    assert.deepEqual(entries().map(entry => entry.level), ['warn', 'error', 'error']);
+    assert.deepEqual(sunk, ['debug', 'info', 'warn', 'error', 'info']);
+  });
+
+  it('keeps logging when a sink throws', () => {
+    const { log, lines } = createTestLogger();
+    log.addSink(() => {
+      throw new Error('Sink broke');
+    });
+    log.info('Still written');
+    assert.equal(lines.length, 1);
+  });
+
+  it('writes readable lines in text format', () => {
+    const { log, lines } = createTestLogger({ format: 'text' });
+    log.warn('Player degraded', { player: 'kitchen', error: 'Device offline' });
+    assert.match(lines[0], /^\S+Z WARN {2}Player degraded player=kitchen error="Device offline"$/);
+  });
+
+  it('warns about an unknown level and falls back to info', () => {
+    const { log, entries } = createTestLogger({ level: 'verbose' });
+    log.debug('Hidden');
+    log.info('Shown');
+    assert.deepEqual(entries().map(entry => entry.message), ['Unknown LOG_LEVEL verbose, using info', 'Shown']);
+  });
+});
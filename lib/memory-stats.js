@@ -0,0 +1,54 @@
+const { readJsonFile, writeFileAtomic } = require('./data-file');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'memory' });
+
+/**
+ * Memory measurements of Chrome players, kept per browser mode ('per-player' or 'shared')
+ * The latest measurement of each mode is stored in the given JSON file, so after switching
+ * CHROME_SHARED_BROWSER and restarting, the new mode can be compared with the old one.
+ * Measurement: { measuredAt, players, browsers, totalBytes, perPlayerBytes }
+ */
+function createMemoryStats(filePath) {
+  let samples = {};
+
+  // Load earlier measurements if available
+  try {
+    samples = readJsonFile(filePath);
+  } catch (error) {
+    // Unlike the other stores this only holds measurements, which are taken again
+    log.error('Error loading memory measurements, starting over', { error: error.message });
+  }
+
+  function save() {
+    writeFileAtomic(filePath, JSON.stringify(samples, null, 2));
+  }
+
+  // Record the latest measurement of a mode
+  function record(mode, measurement) {
+    samples[mode] = measurement;
+    save();
+  }
+
+  /**
+   * Compare the per-player and shared modes, once both have been measured.
+   * Returns { 'per-player', shared, perPlayerSavedBytes, perPlayerSavedPercent } with whatever
+   * has been measured (the savings are null until both modes have been).
+   */
+  function compare() {
+    const before = samples['per-player'] || null;
+    const after = samples.shared || null;
+    const comparable = Boolean(before && after && before.perPlayerBytes > 0);
+
+    return {
+      'per-player': before,
+      shared: after,
+      perPlayerSavedBytes: comparable ? before.perPlayerBytes - after.perPlayerBytes : null,
+      perPlayerSavedPercent: comparable ? Math.round((1 - after.perPlayerBytes / before.perPlayerBytes) * 1000) / 10 : null
+    };
+  }
+
+  return { record, compare };
+}
+
+module.exports = { createMemoryStats };
@@ -0,0 +1,147 @@
+const { subscribe } = require('./events');
+
+// States counted by the players gauge: running players by health, and players that failed
+const PLAYER_STATES = ['starting', 'ready', 'degraded', 'crashed', 'restarting', 'failed'];
+
+// Buckets for Home Assistant call durations, in seconds
+const HA_CALL_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Prometheus metrics
+ * Counts player lifecycle, playback and token refresh events from the event bus, plus Home
+ * Assistant calls and failed token refreshes reported by their modules, and renders them with
+ * the current player states in the Prometheus text format.
+ * Options:
+ *   getPlayerStates() - returns the state of every player (one of PLAYER_STATES each)
+ *   prefix - prepended to every metric name
+ */
+function createMetrics({ getPlayerStates, prefix = 'spotify_house_player_' }) {
+  const registry = [];
+
+  const players = define('gauge', 'players', 'Players by state (running players by health, and players that failed)');
+  const launches = define('counter', 'player_launches_total', 'Player launches');
+  const crashes = define('counter', 'player_crashes_total', 'Player crashes and broken players detected by the supervisor');
+  const restarts = define('counter', 'player_restarts_total', 'Player restarts by the supervisor');
+  const playbackStarts = define('counter', 'playback_starts_total', 'Times playback started on a player');
+  const playbackStops = define('counter', 'playback_stops_total', 'Times playback stopped on a player');
+  const tokenRefreshes = define('counter', 'token_refreshes_total', 'Access token refreshes by result');
+  const haCalls = define('counter', 'ha_calls_total', 'Home Assistant service calls by result');
+  const haCallDuration = define('histogram', 'ha_call_duration_seconds', 'Home Assistant service call duration, including retries', HA_CALL_BUCKETS);
+
+  let unsubscribe = null;
+
+  function start() {
+    unsubscribe = subscribe(handleEvent);
+  }
+
+  function stop() {
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  }
+
+  function handleEvent(event) {
+    if (event.type === 'player.launched') {
+      increment(launches, { player: event.player });
+    } else if (event.type === 'player.crashed') {
+      increment(crashes, { player: event.player });
+    } else if (event.type === 'player.restarted') {
+      increment(restarts, { player: event.player });
+    } else if (event.type === 'playback.started') {
+      increment(playbackStarts, { player: event.player });
+    } else if (event.type === 'playback.stopped') {
+      increment(playbackStops, { player: event.player });
+    } else if (event.type === 'account.token_refreshed') {
+      increment(tokenRefreshes, { account: event.account, result: 'success' });
+    }
+  }
+
+  // Failed refreshes aren't published on the bus, the token refresher reports them
+  function recordTokenRefreshFailure(account) {
+    increment(tokenRefreshes, { account, result: 'failure' });
+  }
+
+  // Called by the Home Assistant action runner after every service call
+  function recordHaCall(service, durationMs, succeeded) {
+    const labels = { service, result: succeeded ? 'success' : 'failure' };
+    increment(haCalls, labels);
+    observe(haCallDuration, { service }, durationMs / 1000);
+  }
+
+  // Render every metric in the Prometheus text exposition format
+  function render() {
+    players.samples.clear();
+    for (const state of PLAYER_STATES) {
+      players.samples.set(state, { labels: { state }, value: 0 });
+    }
+    for (const state of getPlayerStates()) {
+      const sample = players.samples.get(state);
+      if (sample) {
+        sample.value++;
+      }
+    }
+
+    const lines = [];
+    for (const metric of registry) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+      for (const { labels, value } of metric.samples.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(formatSample(metric.name, labels, value));
+          continue;
+        }
+        metric.buckets.forEach((bound, i) => {
+          lines.push(formatSample(`${metric.name}_bucket`, { ...labels, le: String(bound) }, value.counts[i]));
+        });
+        lines.push(formatSample(`${metric.name}_bucket`, { ...labels, le: '+Inf' }, value.count));
+        lines.push(formatSample(`${metric.name}_sum`, labels, value.sum));
+        lines.push(formatSample(`${metric.name}_count`, labels, value.count));
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  // Samples are kept by their label set: { labels, value }
+  function define(type, name, help, buckets = null) {
+    const metric = { type, name: `${prefix}${name}`, help, buckets, samples: new Map() };
+    registry.push(metric);
+    return metric;
+  }
+
+  function increment(metric, labels) {
+    const key = formatLabels(labels);
+    const sample = metric.samples.get(key) || { labels, value: 0 };
+    sample.value++;
+    metric.samples.set(key, sample);
+  }
+
+  function observe(metric, labels, value) {
+    const key = formatLabels(labels);
+    const sample = metric.samples.get(key) || { labels, value: { counts: metric.buckets.map(() => 0), sum: 0, count: 0 } };
+    metric.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        sample.value.counts[i]++;
+      }
+    });
+    sample.value.sum += value;
+    sample.value.count++;
+    metric.samples.set(key, sample);
+  }
+
+  return { start, stop, recordTokenRefreshFailure, recordHaCall, render };
+}
+
+function formatSample(name, labels, value) {
+  return `${name}${formatLabels(labels)} ${value}`;
+}
+
+// Label values are escaped as the text format requires (backslash, double quote and newline)
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `${name}="${escaped}"`;
+  });
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+module.exports = { PLAYER_STATES, createMetrics };
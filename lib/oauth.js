@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+
+const DEFAULT_ACCOUNTS_URL = 'https://accounts.spotify.com';
+
+// Scopes requested for every account
+const SCOPES = [
+  'streaming',
+  'user-read-email',
+  'user-read-private',
+  'user-read-playback-state',
+  'user-modify-playback-state',
+  'playlist-read-private',
+  'playlist-read-collaborative'
+];
+
+/**
+ * Authorization state manager
+ * Issues signed, single-use, time-limited OAuth state values and keeps the PKCE code
+ * verifier for each pending authorization. Only the latest authorization per account is valid.
+ * accountsUrl replaces Spotify's accounts service in authorization URLs (e.g. with a mock).
+ */
+function createAuthorizations({ stateSecret, stateTtl = 10 * 60 * 1000, accountsUrl = DEFAULT_ACCOUNTS_URL } = {}) {
+  const secret = stateSecret || crypto.randomBytes(32);
+  // Pending authorizations by nonce: { accountName, expiresAt, codeVerifier }
+  const pending = new Map();
+
+  // Start an authorization for an account, returns the URL to send the user to
+  function create(account) {
+    pruneExpired();
+
+    // A new authorization replaces any earlier one for the same account
+    cancel(account.name);
+
+    const nonce = base64url(crypto.randomBytes(16));
+    const expiresAt = Date.now() + stateTtl;
+    // Accounts without a client secret use the PKCE flow
+    const codeVerifier = account.clientSecret ? null : base64url(crypto.randomBytes(48));
+
+    pending.set(nonce, { accountName: account.name, expiresAt, codeVerifier });
+
+    const payload = base64url(JSON.stringify({ a: account.name, n: nonce, e: expiresAt }));
+    const state = `${payload}.${sign(payload)}`;
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: account.clientId,
+      scope: SCOPES.join(' '),
+      redirect_uri: account.redirectUri,
+      state
+    });
+
+    if (codeVerifier) {
+      params.set('code_challenge_method', 'S256');
+      params.set('code_challenge', base64url(crypto.createHash('sha256').update(codeVerifier).digest()));
+    }
+
+    return { authUrl: `${accountsUrl}/authorize?${params.toString()}`, expiresAt: new Date(expiresAt) };
+  }
+
+  // Verify and use up a state value from the callback, throws if it is not valid
+  function consume(state) {
+    if (typeof state !== 'string' || !state.includes('.')) {
+      throw new Error('Missing or malformed state');
+    }
+
+    const [payload, signature] = state.split('.');
+    const expected = sign(payload);
+
+    if (!signature || signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new Error('Invalid state signature');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('Malformed state');
+    }
+
+    const entry = pending.get(data.n);
+
+    if (!entry || entry.accountName !== data.a) {
+      throw new Error('Authorization state was already used or has been replaced');
+    }
+
+    pending.delete(data.n);
+
+    if (Date.now() > entry.expiresAt) {
+      throw new Error('Authorization state has expired');
+    }
+
+    return { accountName: entry.accountName, codeVerifier: entry.codeVerifier };
+  }
+
+  // Invalidate any pending authorization for an account (e.g. because it was deleted)
+  function cancel(accountName) {
+    for (const [nonce, entry] of pending) {
+      if (entry.accountName === accountName) {
+        pending.delete(nonce);
+      }
+    }
+  }
+
+  function sign(payload) {
+    return base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+  }
+
+  function pruneExpired() {
+    const now = Date.now();
+    for (const [nonce, entry] of pending) {
+      if (now > entry.expiresAt) {
+        pending.delete(nonce);
+      }
+    }
+  }
+
+  return { create, consume, cancel };
+}
+
+// Helper function to exchange authorization code for access token
+async function exchangeCodeForToken(code, { clientId, clientSecret, redirectUri }, codeVerifier, accountsUrl = DEFAULT_ACCOUNTS_URL) {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri
+  });
+
+  if (codeVerifier) {
+    params.set('code_verifier', codeVerifier);
+  }
+
+  return requestToken(accountsUrl, params, clientId, clientSecret, 'Token exchange failed');
+}
+
+// Helper function to refresh an access token
+async function refreshAccessToken(refreshToken, clientId, clientSecret, accountsUrl = DEFAULT_ACCOUNTS_URL) {
+  const params = new URLSearchParams({
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken
+  });
+
+  return requestToken(accountsUrl, params, clientId, clientSecret, 'Token refresh failed');
+}
+
+// Confidential clients authenticate with Basic auth, PKCE clients send their client_id in the body
+async function requestToken(accountsUrl, params, clientId, clientSecret, errorMessage) {
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded'
+  };
+
+  if (clientSecret) {
+    headers['Authorization'] = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+  } else {
+    params.set('client_id', clientId);
+  }
+
+  const response = await fetch(`${accountsUrl}/api/token`, {
+    method: 'POST',
+    headers,
+    body: params.toString()
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    const error = new Error(`${errorMessage}: ${text}`);
+    // Keep the status and OAuth error code so callers can tell revoked grants from outages
+    error.status = response.status;
+    try {
+      error.code = JSON.parse(text).error;
+    } catch (parseError) {
+      error.code = null;
+    }
+    throw error;
+  }
+
+  return await response.json();
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+module.exports = {
+  DEFAULT_ACCOUNTS_URL,
+  createAuthorizations,
+  exchangeCodeForToken,
+  refreshAccessToken
+};
@@ -0,0 +1,157 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { DEFAULT_ACCOUNTS_URL, createAuthorizations, exchangeCodeForToken, refreshAccessToken } = require('./oauth');
+
+const PKCE_ACCOUNT = { name: 'kitchen', clientId: 'client-id', redirectUri: 'http://localhost:3000/callback' };
+const SECRET_ACCOUNT = { ...PKCE_ACCOUNT, name: 'den', clientSecret: 'client-secret' };
+
+// Helper function to get the query parameters of an authorization URL
+function getParams(authUrl) {
+  return new URL(authUrl).searchParams;
+}
+
+describe('authorizations', () => {
+  it('builds authorization URLs for the accounts service', () => {
+    const { authUrl, expiresAt } = createAuthorizations().create(SECRET_ACCOUNT);
+    const params = getParams(authUrl);
+
+    assert.ok(authUrl.startsWith(`${DEFAULT_ACCOUNTS_URL}/authorize?`));
+    assert.equal(params.get('client_id'), 'client-id');
+    assert.equal(params.get('redirect_uri'), 'http://localhost:3000/callback');
+    assert.match(params.get('scope'), /\bstreaming\b/);
+    assert.ok(expiresAt > new Date());
+
+    const mocked = createAuthorizations({ accountsUrl: 'http://localhost:3000/simulation/accounts' }).create(SECRET_ACCOUNT);
+    assert.ok(mocked.authUrl.startsWith('http://localhost:3000/simulation/accounts/authorize?'));
+  });
+
+  it('accepts the state it issued once', () => {
+    const authorizations = createAuthorizations();
+    const state = getParams(authorizations.create(SECRET_ACCOUNT).authUrl).get('state');
+
+    assert.deepEqual(authorizations.consume(state), { accountName: 'den', codeVerifier: null });
+    // Replaying the callback fails
+    assert.throws(() => authorizations.consume(state), /already used/);
+  });
+
+  it('uses PKCE for accounts without a client secret', () => {
+    const authorizations = createAuthorizations();
+    const params = getParams(authorizations.create(PKCE_ACCOUNT).authUrl);
+
+    assert.equal(params.get('code_challenge_method'), 'S256');
+    const { codeVerifier } = authorizations.consume(params.get('state'));
+    assert.match(codeVerifier, /^[A-Za-z0-9_-]{43,128}$/);
+    assert.equal(params.get('code_challenge'), crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+  });
+
+  it('does not use PKCE for accounts with a client secret', () => {
+    const params = getParams(createAuthorizations().create(SECRET_ACCOUNT).authUrl);
+    assert.equal(params.has('code_challenge'), false);
+  });
+
+  it('rejects tampered state', () => {
+    const authorizations = createAuthorizations();
+    const state = getParams(authorizations.create(SECRET_ACCOUNT).authUrl).get('state');
+    const [payload, signature] = state.split('.');
+
+    // Pointing the callback at another account breaks the signature
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...data, a: 'kitchen' })).toString('base64url');
+    assert.throws(() => authorizations.consume(`${forged}.${signature}`), /Invalid state signature/);
+    assert.throws(() => authorizations.consume(`${payload}.${signature.slice(0, -1)}`), /Invalid state signature/);
+    assert.throws(() => authorizations.consume(payload), /malformed state/);
+    assert.throws(() => authorizations.consume(undefined), /malformed state/);
+
+    // The genuine state still works afterwards
+    assert.equal(authorizations.consume(state).accountName, 'den');
+  });
+
+  it('rejects state signed with another secret', () => {
+    const state = getParams(createAuthorizations({ stateSecret: 'one' }).create(SECRET_ACCOUNT).authUrl).get('state');
+    assert.throws(() => createAuthorizations({ stateSecret: 'two' }).consume(state), /Invalid state signature/);
+  });
+
+  it('rejects expired state', () => {
+    const authorizations = createAuthorizations({ stateTtl: -1 });
+    const state = getParams(authorizations.create(SECRET_ACCOUNT).authUrl).get('state');
+    assert.throws(() => authorizations.consume(state), /expired/);
+  });
+
+  it('only accepts the latest authorization of an account', () => {
+    const authorizations = createAuthorizations();
+    const first = getParams(authorizations.create(SECRET_ACCOUNT).authUrl).get('state');
+    const second = getParams(authorizations.create(SECRET_ACCOUNT).authUrl).get('state');
+
+    assert.throws(() => authorizations.consume(first), /replaced/);
+    assert.equal(authorizations.consume(second).accountName, 'den');
+  });
+
+  it('rejects state of a cancelled authorization', () => {
+    const authorizations = createAuthorizations();
+    const state = getParams(authorizations.create(SECRET_ACCOUNT).authUrl).get('state');
+
+    authorizations.cancel('den');
+    assert.throws(() => authorizations.consume(state), /already used or has been replaced/);
+  });
+});
+
+describe('token requests', () => {
+  let server;
+  let accountsUrl;
+  // Requests received by the fake token endpoint: { authorization, params }
+  const requests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        const params = new URLSearchParams(body);
+        requests.push({ authorization: req.headers.authorization, params });
+        res.setHeader('Content-Type', 'application/json');
+        if (params.get('refresh_token') === 'revoked') {
+          res.statusCode = 400;
+          return res.end(JSON.stringify({ error: 'invalid_grant', error_description: 'Refresh token revoked' }));
+        }
+        res.end(JSON.stringify({ access_token: 'access-token', expires_in: 3600 }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    accountsUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('sends the code verifier and client ID for PKCE accounts', async () => {
+    const token = await exchangeCodeForToken('code', PKCE_ACCOUNT, 'verifier', accountsUrl);
+    const { authorization, params } = requests.at(-1);
+
+    assert.equal(token.access_token, 'access-token');
+    assert.equal(authorization, undefined);
+    assert.equal(params.get('grant_type'), 'authorization_code');
+    assert.equal(params.get('code_verifier'), 'verifier');
+    assert.equal(params.get('client_id'), 'client-id');
+  });
+
+  it('authenticates with the client secret otherwise', async () => {
+    await exchangeCodeForToken('code', SECRET_ACCOUNT, null, accountsUrl);
+    const { authorization, params } = requests.at(-1);
+
+    assert.equal(authorization, `Basic ${Buffer.from('client-id:client-secret').toString('base64')}`);
+    assert.equal(params.has('code_verifier'), false);
+    assert.equal(params.has('client_id'), false);
+  });
+
+  it('keeps the status and OAuth error code of a failed refresh', async () => {
+    await assert.rejects(refreshAccessToken('revoked', 'client-id', null, accountsUrl), (error) => {
+      assert.match(error.message, /^Token refresh failed/);
+      assert.equal(error.status, 400);
+      assert.equal(error.code, 'invalid_grant');
+      return true;
+    });
+  });
+});
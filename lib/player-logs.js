@@ -0,0 +1,77 @@
+const EventEmitter = require('events');
+const { LEVELS } = require('./logger');
+
+/**
+ * Per-player log buffers
+ * Keeps the latest log entries of each player (server entries about it, and what its page or
+ * process logged) in a ring buffer of a fixed size, for GET /api/players/:name/logs.
+ * Every entry gets an increasing id, so a client can ask for what it hasn't seen yet.
+ */
+function createPlayerLogs({ size = 500 } = {}) {
+  // Ring buffers by player: { entries, next }, where next counts every entry ever appended
+  const buffers = new Map();
+  const emitter = new EventEmitter();
+  let lastId = 0;
+
+  // Every live tail adds a listener
+  emitter.setMaxListeners(0);
+
+  function append(player, entry) {
+    if (!buffers.has(player)) {
+      buffers.set(player, { entries: new Array(size), next: 0 });
+    }
+
+    const buffer = buffers.get(player);
+    const stored = { id: ++lastId, ...entry };
+    buffer.entries[buffer.next % size] = stored;
+    buffer.next++;
+
+    emitter.emit('entry', player, stored);
+  }
+
+  /**
+   * A player's entries, oldest first
+   * Options:
+   *   level - leave out entries below this level
+   *   since - only entries with a higher id
+   *   limit - only the latest entries, at most this many
+   */
+  function list(player, { level = null, since = 0, limit = size } = {}) {
+    const buffer = buffers.get(player);
+    if (!buffer) {
+      return [];
+    }
+
+    const entries = [];
+    for (let i = Math.max(0, buffer.next - size); i < buffer.next; i++) {
+      const entry = buffer.entries[i % size];
+      if (entry.id > since && matchesLevel(entry, level)) {
+        entries.push(entry);
+      }
+    }
+    return entries.slice(-limit);
+  }
+
+  function has(player) {
+    return buffers.has(player);
+  }
+
+  // Forget a player's entries (e.g. when it is removed)
+  function remove(player) {
+    buffers.delete(player);
+  }
+
+  // Receive new entries as (player, entry), returns a function that unsubscribes
+  function subscribe(listener) {
+    emitter.on('entry', listener);
+    return () => emitter.off('entry', listener);
+  }
+
+  return { size, append, list, has, remove, subscribe };
+}
+
+function matchesLevel(entry, level) {
+  return !level || LEVELS[entry.level] >= LEVELS[level];
+}
+
+module.exports = { createPlayerLogs, matchesLevel };
@@ -0,0 +1,80 @@
+const fs = require('fs');
+
+// Helper function to list a process and all of its descendants (just the process outside Linux)
+function getProcessTree(pid) {
+  const children = new Map();
+
+  try {
+    for (const entry of fs.readdirSync('/proc')) {
+      if (!/^\d+$/.test(entry)) {
+        continue;
+      }
+      try {
+        const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+        // The command name may contain spaces and parentheses, so parse from its closing parenthesis
+        const parent = Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+        if (!children.has(parent)) {
+          children.set(parent, []);
+        }
+        children.get(parent).push(Number(entry));
+      } catch (error) {
+        // The process exited while we were reading
+      }
+    }
+  } catch (error) {
+    return [pid];
+  }
+
+  const pids = [pid];
+  for (let i = 0; i < pids.length; i++) {
+    pids.push(...(children.get(pids[i]) || []));
+  }
+  return pids;
+}
+
+/**
+ * Measure the memory used by a process and all of its descendants (e.g. a browser and its renderers).
+ * Returns { processes, rssBytes, pssBytes }, or null when the process can't be read (it exited, or this isn't Linux).
+ * PSS splits memory shared between processes (libraries, a browser's shared memory) between them,
+ * so it can be added up across processes and players; RSS counts shared pages in every process.
+ */
+function measureProcessTree(pid) {
+  let processes = 0;
+  let rssBytes = 0;
+  let pssBytes = 0;
+
+  for (const treePid of getProcessTree(pid)) {
+    const usage = readMemoryUsage(treePid);
+    if (usage) {
+      processes++;
+      rssBytes += usage.rss;
+      pssBytes += usage.pss;
+    }
+  }
+
+  return processes > 0 ? { processes, rssBytes, pssBytes } : null;
+}
+
+function readMemoryUsage(pid) {
+  try {
+    const rollup = fs.readFileSync(`/proc/${pid}/smaps_rollup`, 'utf8');
+    return { rss: readKilobytes(rollup, 'Rss'), pss: readKilobytes(rollup, 'Pss') };
+  } catch (error) {
+    // smaps_rollup needs Linux 4.14 and permission to read it, fall back to RSS
+  }
+
+  try {
+    const rss = readKilobytes(fs.readFileSync(`/proc/${pid}/status`, 'utf8'), 'VmRSS');
+    return { rss, pss: rss };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Read a "Name:   1234 kB" field as bytes
+function readKilobytes(text, field) {
+  const match = text.match(new RegExp(`^${field}:\\s+(\\d+) kB$`, 'm'));
+  return match ? Number(match[1]) * 1024 : 0;
+}
+
+module.exports = { getProcessTree, measureProcessTree };
@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const { Cron } = require('croner');
+const { publish } = require('./events');
+const { readJsonFile, writeFileAtomic } = require('./data-file');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'scheduler' });
+
+const ACTIONS = ['play', 'pause'];
+
+// Settings that only apply to one action
+const PLAY_FIELDS = ['contextUri', 'volume', 'rampSeconds', 'rampFrom'];
+const PAUSE_FIELDS = ['fadeSeconds'];
+
+// One-shot jobs that were due while the server was down still run if they are at most this late
+const MISSED_RUN_GRACE = 5 * 60 * 1000;
+
+/**
+ * Scheduled playback
+ * Runs persisted jobs on a cron schedule ("0 7 * * 1-5"), at a one-shot local time ("2024-06-01T07:30")
+ * or after a delay (sleep timers), in a given timezone. What a job does is up to runJob, which gets
+ * the job and resolves when it is done; the outcome of the last run is kept on the job.
+ * Job: { id, name, player, action: 'play' | 'pause', cron | at, timezone, enabled,
+ *        contextUri, volume, rampSeconds, rampFrom (play), fadeSeconds (pause) }
+ */
+function createScheduler(filePath, { runJob }) {
+  // Persisted jobs, if any
+  const jobs = readJsonFile(filePath);
+  // Running croner instances by job id
+  const timers = new Map();
+
+  function save() {
+    writeFileAtomic(filePath, JSON.stringify(jobs, null, 2));
+  }
+
+  // Arm every enabled job, running one-shot jobs that were missed only a moment ago
+  function start() {
+    for (const job of Object.values(jobs)) {
+      if (!job.enabled) {
+        continue;
+      }
+
+      if (job.at && new Date(job.runAt).getTime() <= Date.now()) {
+        if (Date.now() - new Date(job.runAt).getTime() <= MISSED_RUN_GRACE) {
+          log.info(`Running schedule ${job.name}, which was due while the server was down`, { schedule: job.id, player: job.player });
+          run(job.id, { scheduled: true });
+        } else {
+          finish(job, { status: 'missed', at: new Date().toISOString(), error: 'The server was not running at the scheduled time' });
+        }
+        continue;
+      }
+
+      arm(job);
+    }
+  }
+
+  function stop() {
+    for (const id of timers.keys()) {
+      disarm(id);
+    }
+  }
+
+  function create(fields) {
+    const id = crypto.randomBytes(6).toString('hex');
+    jobs[id] = {
+      id,
+      ...normalize(fields),
+      enabled: fields.enabled !== false,
+      createdAt: new Date().toISOString(),
+      lastRun: null
+    };
+    arm(jobs[id]);
+    save();
+    return describe(jobs[id]);
+  }
+
+  function update(id, fields) {
+    if (!has(id)) {
+      return null;
+    }
+    // A new time replaces the old one, whichever kind it was
+    const timing = ['cron', 'at', 'in'].some(field => fields[field] !== undefined)
+      ? { cron: undefined, at: undefined }
+      : {};
+    const current = jobs[id];
+    jobs[id] = {
+      id,
+      ...normalize({ ...current, ...timing, ...fields }),
+      enabled: fields.enabled !== undefined ? fields.enabled : current.enabled,
+      createdAt: current.createdAt,
+      lastRun: current.lastRun
+    };
+    arm(jobs[id]);
+    save();
+    return describe(jobs[id]);
+  }
+
+  function remove(id) {
+    if (!has(id)) {
+      return false;
+    }
+    disarm(id);
+    delete jobs[id];
+    save();
+    return true;
+  }
+
+  function get(id) {
+    return has(id) ? describe(jobs[id]) : null;
+  }
+
+  function list() {
+    return Object.values(jobs).map(describe);
+  }
+
+  // Remove every job for a player (e.g. when it is removed), returns how many were removed
+  function removePlayer(player) {
+    const ids = Object.keys(jobs).filter(id => jobs[id].player === player);
+    for (const id of ids) {
+      disarm(id);
+      delete jobs[id];
+    }
+    if (ids.length > 0) {
+      save();
+    }
+    return ids.length;
+  }
+
+  // Run a job now (scheduled when its timer fires), resolves with the outcome
+  async function run(id, { scheduled = false } = {}) {
+    const job = jobs[id];
+    const startedAt = new Date().toISOString();
+    let outcome;
+
+    try {
+      await runJob(job);
+      outcome = { status: 'succeeded', at: startedAt, error: null };
+      log.info(`Schedule ${job.name} succeeded`, { schedule: job.id, action: job.action, player: job.player });
+    } catch (error) {
+      outcome = { status: 'failed', at: startedAt, error: error.message };
+      log.error(`Schedule ${job.name} failed`, { schedule: job.id, action: job.action, player: job.player, error: error.message });
+    }
+
+    // The job may have been removed or given a new time while it was running
+    if (has(id)) {
+      if (scheduled && job.at && jobs[id] === job) {
+        finish(job, outcome);
+      } else {
+        jobs[id].lastRun = outcome;
+        save();
+      }
+    }
+
+    publish('schedule.ran', { schedule: id, name: job.name, player: job.player, action: job.action, status: outcome.status, error: outcome.error });
+    return outcome;
+  }
+
+  // One-shot jobs are disabled once they have run (or were missed) and kept for their outcome
+  function finish(job, outcome) {
+    disarm(job.id);
+    job.enabled = false;
+    job.lastRun = outcome;
+    save();
+  }
+
+  function arm(job) {
+    disarm(job.id);
+    if (!job.enabled) {
+      return;
+    }
+    const pattern = job.cron || new Date(job.runAt);
+    timers.set(job.id, new Cron(pattern, { timezone: job.timezone, protect: true }, () => run(job.id, { scheduled: true })));
+  }
+
+  function disarm(id) {
+    if (timers.has(id)) {
+      timers.get(id).stop();
+      timers.delete(id);
+    }
+  }
+
+  function describe(job) {
+    const timer = timers.get(job.id);
+    const nextRun = timer ? timer.nextRun() : null;
+    return { ...job, nextRunAt: nextRun ? nextRun.toISOString() : null };
+  }
+
+  function has(id) {
+    return Object.prototype.hasOwnProperty.call(jobs, id);
+  }
+
+  return { start, stop, create, update, remove, get, list, run, removePlayer };
+}
+
+// Helper function to turn validated fields into a stored job (one-shot times are resolved to an instant)
+function normalize(fields) {
+  const timezone = fields.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const job = {
+    name: fields.name,
+    player: fields.player,
+    action: fields.action,
+    timezone,
+    ...(fields.cron !== undefined && { cron: fields.cron })
+  };
+
+  // Keep only the settings of the job's action (switching a job to pause drops its context and ramp)
+  for (const field of fields.action === 'play' ? PLAY_FIELDS : PAUSE_FIELDS) {
+    if (fields[field] !== undefined) {
+      job[field] = fields[field];
+    }
+  }
+
+  if (fields.in !== undefined) {
+    // Sleep timers: a delay from now, stored as a one-shot time
+    const runAt = new Date(Math.ceil(Date.now() / 1000 + fields.in) * 1000);
+    job.at = runAt.toISOString();
+    job.runAt = runAt.toISOString();
+  } else if (fields.at !== undefined) {
+    job.at = fields.at;
+    job.runAt = resolveLocalTime(fields.at, timezone).toISOString();
+  }
+
+  return job;
+}
+
+// Resolve a one-shot time (local to the timezone unless it has an offset) to an instant
+function resolveLocalTime(at, timezone) {
+  const next = new Cron(at, { timezone, paused: true }).nextRun();
+  return next || new Date(at);
+}
+
+// Helper function to validate schedule fields (returns an error message, or null if they are valid)
+// For updates (partial), current is the stored job the fields are applied to
+function validateSchedule(fields, { partial = false, current = {} } = {}) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return 'Body must be an object';
+  }
+
+  if (!partial || fields.name !== undefined) {
+    if (!fields.name || typeof fields.name !== 'string') {
+      return 'name is required';
+    }
+  }
+
+  if (!partial || fields.player !== undefined) {
+    if (!fields.player || typeof fields.player !== 'string') {
+      return 'player is required';
+    }
+  }
+
+  if (!partial || fields.action !== undefined) {
+    if (!ACTIONS.includes(fields.action)) {
+      return `Invalid action. Must be one of: ${ACTIONS.join(', ')}`;
+    }
+  }
+
+  const action = fields.action || current.action;
+  const timezone = fields.timezone || current.timezone;
+
+  if (fields.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en', { timeZone: fields.timezone });
+    } catch (error) {
+      return 'timezone must be an IANA timezone like "Europe/Berlin"';
+    }
+  }
+
+  const timings = ['cron', 'at', 'in'].filter(field => fields[field] !== undefined);
+  if (timings.length > 1 || (!partial && timings.length === 0)) {
+    return 'Use exactly one of cron, at or in';
+  }
+
+  if (fields.cron !== undefined) {
+    try {
+      new Cron(fields.cron, { timezone, paused: true }).nextRun();
+    } catch (error) {
+      return `Invalid cron expression: ${error.message}`;
+    }
+  }
+
+  if (fields.at !== undefined) {
+    let next;
+    try {
+      next = typeof fields.at === 'string' ? resolveLocalTime(fields.at, timezone) : null;
+    } catch (error) {
+      next = null;
+    }
+    if (!next || isNaN(next.getTime())) {
+      return 'at must be a date and time like "2024-06-01T07:30"';
+    }
+    if (next.getTime() <= Date.now()) {
+      return 'at must be in the future';
+    }
+  }
+
+  if (fields.in !== undefined && !(Number.isInteger(fields.in) && fields.in > 0)) {
+    return 'in must be a positive number of seconds';
+  }
+
+  // A one-shot job that has already run needs a new time before it can be enabled again
+  if (fields.enabled === true && timings.length === 0 && current.runAt && new Date(current.runAt).getTime() <= Date.now()) {
+    return 'The job\'s one-shot time has passed, set a new at or in to enable it again';
+  }
+
+  const otherFields = action === 'play' ? PAUSE_FIELDS : PLAY_FIELDS;
+  const misplaced = otherFields.find(field => fields[field] !== undefined);
+  if (misplaced) {
+    return `${misplaced} does not apply to ${action} jobs`;
+  }
+
+  if (fields.contextUri !== undefined && !(typeof fields.contextUri === 'string' && /^spotify:[a-z]+:/.test(fields.contextUri))) {
+    return 'contextUri must be a Spotify URI';
+  }
+
+  for (const field of ['volume', 'rampFrom']) {
+    if (fields[field] !== undefined && !(typeof fields[field] === 'number' && fields[field] >= 0 && fields[field] <= 100)) {
+      return `${field} must be a number between 0 and 100`;
+    }
+  }
+
+  for (const field of ['rampSeconds', 'fadeSeconds']) {
+    if (fields[field] !== undefined && !(Number.isInteger(fields[field]) && fields[field] >= 0)) {
+      return `${field} must be a non-negative number of seconds`;
+    }
+  }
+
+  if ((fields.rampSeconds || fields.rampFrom !== undefined) && (fields.volume === undefined && current.volume === undefined)) {
+    return 'A volume ramp needs volume (the volume to ramp up to)';
+  }
+
+  if (fields.enabled !== undefined && typeof fields.enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+
+  return null;
+}
+
+module.exports = { createScheduler, validateSchedule };
@@ -0,0 +1,161 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScheduler, validateSchedule } = require('./scheduler');
+
+describe('validateSchedule', () => {
+  const valid = { name: 'Wake up', player: 'bedroom', action: 'play', cron: '30 7 * * 1-5', timezone: 'Europe/Berlin' };
+
+  it('accepts cron, one-shot and delayed jobs', () => {
+    assert.equal(validateSchedule(valid), null);
+    assert.equal(validateSchedule({ ...valid, cron: undefined, at: '2999-06-01T07:30' }), null);
+    assert.equal(validateSchedule({ ...valid, cron: undefined, in: 1800, action: 'pause', timezone: undefined }), null);
+    assert.equal(validateSchedule({ ...valid, contextUri: 'spotify:playlist:morning', volume: 40, rampSeconds: 300, rampFrom: 5 }), null);
+  });
+
+  it('requires the name, player and a known action', () => {
+    assert.equal(validateSchedule({ ...valid, name: '' }), 'name is required');
+    assert.equal(validateSchedule({ ...valid, player: 7 }), 'player is required');
+    assert.match(validateSchedule({ ...valid, action: 'stop' }), /Invalid action. Must be one of: play, pause/);
+    assert.equal(validateSchedule(null), 'Body must be an object');
+  });
+
+  it('requires exactly one kind of time', () => {
+    assert.equal(validateSchedule({ ...valid, cron: undefined }), 'Use exactly one of cron, at or in');
+    assert.equal(validateSchedule({ ...valid, in: 60 }), 'Use exactly one of cron, at or in');
+  });
+
+  it('rejects invalid times and timezones', () => {
+    assert.match(validateSchedule({ ...valid, cron: '61 7 * * *' }), /^Invalid cron expression/);
+    assert.match(validateSchedule({ ...valid, timezone: 'Mars/Olympus_Mons' }), /IANA timezone/);
+    assert.match(validateSchedule({ ...valid, cron: undefined, at: 'tomorrow morning' }), /at must be a date and time/);
+    assert.equal(validateSchedule({ ...valid, cron: undefined, at: '2001-06-01T07:30' }), 'at must be in the future');
+    assert.equal(validateSchedule({ ...valid, cron: undefined, in: 0 }), 'in must be a positive number of seconds');
+    assert.equal(validateSchedule({ ...valid, cron: undefined, in: 1.5 }), 'in must be a positive number of seconds');
+  });
+
+  it('rejects settings of the other action and out of range values', () => {
+    assert.equal(validateSchedule({ ...valid, fadeSeconds: 30 }), 'fadeSeconds does not apply to play jobs');
+    assert.equal(validateSchedule({ ...valid, action: 'pause', volume: 20 }), 'volume does not apply to pause jobs');
+    assert.equal(validateSchedule({ ...valid, contextUri: 'https://open.spotify.com/playlist/1' }), 'contextUri must be a Spotify URI');
+    assert.equal(validateSchedule({ ...valid, volume: 101 }), 'volume must be a number between 0 and 100');
+    assert.equal(validateSchedule({ ...valid, volume: 50, rampSeconds: -1 }), 'rampSeconds must be a non-negative number of seconds');
+    assert.match(validateSchedule({ ...valid, rampSeconds: 300 }), /A volume ramp needs volume/);
+    assert.equal(validateSchedule({ ...valid, enabled: 'yes' }), 'enabled must be a boolean');
+  });
+
+  it('checks updates against the stored job', () => {
+    const current = { ...valid, volume: 40, runAt: '2001-06-01T05:30:00.000Z' };
+
+    assert.equal(validateSchedule({ rampSeconds: 300 }, { partial: true, current }), null);
+    assert.equal(validateSchedule({ fadeSeconds: 10 }, { partial: true, current }), 'fadeSeconds does not apply to play jobs');
+    assert.match(validateSchedule({ enabled: true }, { partial: true, current }), /one-shot time has passed/);
+    assert.equal(validateSchedule({ enabled: true, in: 60 }, { partial: true, current }), null);
+  });
+});
+
+describe('scheduler', () => {
+  let dir;
+  let file;
+  let scheduler;
+  // Jobs runJob was called with
+  let ran;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+    file = path.join(dir, 'schedules.json');
+    ran = [];
+  });
+
+  afterEach(() => {
+    if (scheduler) {
+      scheduler.stop();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const runJob = async (job) => {
+    ran.push(job);
+  };
+
+  it('stores jobs with their next run', () => {
+    scheduler = createScheduler(file, { runJob });
+    const job = scheduler.create({ name: 'Wake up', player: 'bedroom', action: 'play', cron: '30 7 * * *', timezone: 'UTC', volume: 30 });
+
+    assert.equal(job.enabled, true);
+    assert.match(job.nextRunAt, /T07:30:00\.000Z$/);
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8'))[job.id].volume, 30);
+  });
+
+  it('drops the settings of the previous action when a job changes action', () => {
+    scheduler = createScheduler(file, { runJob });
+    const { id } = scheduler.create({ name: 'Evening', player: 'den', action: 'play', cron: '0 19 * * *', contextUri: 'spotify:playlist:evening' });
+
+    const updated = scheduler.update(id, { action: 'pause', fadeSeconds: 30 });
+    assert.equal(updated.contextUri, undefined);
+    assert.equal(updated.fadeSeconds, 30);
+    assert.equal(updated.cron, '0 19 * * *');
+  });
+
+  it('runs a sleep timer once and keeps its outcome', async () => {
+    scheduler = createScheduler(file, { runJob });
+    const { id } = scheduler.create({ name: 'Sleep timer', player: 'bedroom', action: 'pause', in: 1 });
+
+    const deadline = Date.now() + 5000;
+    while (ran.length === 0) {
+      assert.ok(Date.now() < deadline, 'The sleep timer did not run');
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const job = scheduler.get(id);
+    assert.equal(ran[0].id, id);
+    assert.equal(job.enabled, false);
+    assert.equal(job.lastRun.status, 'succeeded');
+    assert.equal(job.nextRunAt, null);
+  });
+
+  it('records failed runs', async () => {
+    scheduler = createScheduler(file, { runJob: async () => { throw new Error('Player not found'); } });
+    const { id } = scheduler.create({ name: 'Wake up', player: 'attic', action: 'play', cron: '30 7 * * *' });
+
+    const outcome = await scheduler.run(id);
+    assert.equal(outcome.status, 'failed');
+    assert.equal(outcome.error, 'Player not found');
+    assert.equal(scheduler.get(id).lastRun.status, 'failed');
+    // A manual run doesn't disable the job
+    assert.equal(scheduler.get(id).enabled, true);
+  });
+
+  it('marks one-shot jobs missed while the server was down', () => {
+    const runAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(file, JSON.stringify({
+      abc: { id: 'abc', name: 'Missed', player: 'den', action: 'pause', timezone: 'UTC', at: runAt, runAt, enabled: true, lastRun: null }
+    }));
+
+    scheduler = createScheduler(file, { runJob });
+    scheduler.start();
+
+    assert.equal(ran.length, 0);
+    assert.equal(scheduler.get('abc').enabled, false);
+    assert.equal(scheduler.get('abc').lastRun.status, 'missed');
+  });
+
+  it('removes the jobs of a removed player', () => {
+    scheduler = createScheduler(file, { runJob });
+    scheduler.create({ name: 'One', player: 'den', action: 'pause', cron: '0 23 * * *' });
+    scheduler.create({ name: 'Two', player: 'den', action: 'pause', cron: '0 0 * * *' });
+    scheduler.create({ name: 'Three', player: 'kitchen', action: 'pause', cron: '0 23 * * *' });
+
+    assert.equal(scheduler.removePlayer('den'), 2);
+    assert.deepEqual(scheduler.list().map(job => job.name), ['Three']);
+  });
+
+  it('refuses to load a corrupt file', () => {
+    fs.writeFileSync(file, '{"abc": ');
+    scheduler = null;
+    assert.throws(() => createScheduler(file, { runJob }), /is corrupt/);
+  });
+});
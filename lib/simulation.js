@@ -0,0 +1,753 @@
+const crypto = require('crypto');
+const express = require('express');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'simulation' });
+
+// Length of every simulated track
+const TRACK_DURATION = 180000;
+
+// Tracks generated for a simulated album or playlist
+const CONTEXT_LENGTH = 10;
+
+// Home Assistant calls kept for GET /simulation/ha/calls
+const MAX_HA_CALLS = 200;
+
+// Events the fake SDK emits, scripted with POST /simulation/devices/:name/events
+const SDK_EVENTS = ['ready', 'not_ready', 'initialization_error', 'authentication_error', 'account_error', 'playback_error', 'connect_failed'];
+
+// Scripted events that keep a player from connecting when they are pending at connect time
+const CONNECT_ERRORS = ['initialization_error', 'authentication_error', 'account_error', 'connect_failed'];
+
+/**
+ * Simulated Spotify and Home Assistant
+ * Stands in for Spotify's accounts service (authorization and token endpoints), the Web API
+ * player endpoints, the backend of the fake Web Playback SDK (public/simulation/spotify-player.js)
+ * and Home Assistant's service API, so the whole flow runs without network or a Premium account.
+ * Every client ID is one simulated Spotify user, whose devices are the fake SDK players that
+ * connected with its tokens. State is kept in memory only.
+ * Returns an Express router, to be mounted at /simulation:
+ *   /simulation/accounts - accounts service (authorize redirects straight back with a code)
+ *   /simulation/v1 - Web API
+ *   /simulation/sdk - used by the fake SDK
+ *   /simulation/ha - Home Assistant service API
+ *   /simulation/devices, /simulation/tokens, /simulation/ha/... - scripted control for tests
+ * Options:
+ *   tokenTtl - lifetime of issued access tokens, in seconds
+ */
+function createSimulation({ tokenTtl = 3600 } = {}) {
+  // Authorization codes: { clientId, redirectUri, codeChallenge, expiresAt }
+  const codes = new Map();
+  // Access tokens: { userId, expiresAt }, refresh tokens: { userId, clientId }
+  const accessTokens = new Map();
+  const refreshTokens = new Map();
+  // Users by ID, one per client ID: { id, clientId, activeDevice }
+  const users = new Map();
+  // Connected fake SDK players by device ID: { id, name, userId, volume, online, playback, events }
+  // playback: { contextUri, tracks (URIs), index, paused, positionMs, updatedAt }
+  const devices = new Map();
+  // Scripted events for players that haven't connected yet, by device name
+  const pendingEvents = new Map();
+  // Home Assistant service calls, newest last, and scripted failures: { status, remaining }
+  const haCalls = [];
+  let haFailure = null;
+
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  /**
+   * Authorize an app; consent is given at once, redirecting back with a code
+   * GET /simulation/accounts/authorize?client_id=...&redirect_uri=...&state=...
+   */
+  router.get('/accounts/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state, code_challenge: codeChallenge } = req.query;
+
+    if (!clientId || !redirectUri) {
+      return res.status(400).send('Missing client_id or redirect_uri');
+    }
+
+    const code = generateToken('code');
+    codes.set(code, { clientId, redirectUri, codeChallenge: codeChallenge || null, expiresAt: Date.now() + 10 * 60 * 1000 });
+
+    const location = new URL(redirectUri);
+    location.searchParams.set('code', code);
+    if (state) {
+      location.searchParams.set('state', state);
+    }
+    res.redirect(location.toString());
+  });
+
+  /**
+   * Exchange an authorization code, or a refresh token, for an access token
+   * POST /simulation/accounts/api/token
+   * Body (form): grant_type, code, redirect_uri, code_verifier, refresh_token, client_id
+   */
+  router.post('/accounts/api/token', (req, res) => {
+    const body = req.body || {};
+    const clientId = getClientId(req);
+
+    if (!clientId) {
+      return res.status(400).json({ error: 'invalid_client', error_description: 'Missing client credentials' });
+    }
+
+    if (body.grant_type === 'authorization_code') {
+      const grant = codes.get(body.code);
+      codes.delete(body.code);
+
+      if (!grant || grant.clientId !== clientId || grant.expiresAt < Date.now()) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Invalid authorization code' });
+      }
+      if (grant.redirectUri !== body.redirect_uri) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Invalid redirect URI' });
+      }
+      if (grant.codeChallenge && base64url(crypto.createHash('sha256').update(body.code_verifier || '').digest()) !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'code_verifier was incorrect' });
+      }
+
+      const refreshToken = generateToken('refresh');
+      refreshTokens.set(refreshToken, { userId: getUser(clientId).id, clientId });
+      return res.json({ ...issueAccessToken(clientId), refresh_token: refreshToken });
+    }
+
+    if (body.grant_type === 'refresh_token') {
+      const grant = refreshTokens.get(body.refresh_token);
+
+      if (!grant || grant.clientId !== clientId) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Refresh token revoked' });
+      }
+
+      return res.json(issueAccessToken(clientId));
+    }
+
+    res.status(400).json({ error: 'unsupported_grant_type', error_description: `grant_type must be authorization_code or refresh_token` });
+  });
+
+  // The Web API and the SDK endpoints need a valid access token (sets req.user)
+  function requireToken(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const grant = accessTokens.get(header.replace(/^Bearer\s+/i, ''));
+
+    if (!grant || grant.expiresAt < Date.now()) {
+      return sendApiError(res, 401, grant ? 'The access token expired' : 'Invalid access token');
+    }
+
+    req.user = users.get(grant.userId);
+    next();
+  }
+
+  /**
+   * Current user's profile
+   * GET /simulation/v1/me
+   */
+  router.get('/v1/me', requireToken, (req, res) => {
+    res.json({
+      id: req.user.id,
+      display_name: `Simulated user ${req.user.clientId}`,
+      email: `${req.user.id}@simulation.invalid`,
+      product: 'premium',
+      country: 'US',
+      type: 'user',
+      uri: `spotify:user:${req.user.id}`
+    });
+  });
+
+  /**
+   * The user's connected players
+   * GET /simulation/v1/me/player/devices
+   */
+  router.get('/v1/me/player/devices', requireToken, (req, res) => {
+    const userDevices = [...devices.values()].filter(device => device.userId === req.user.id && device.online);
+    res.json({
+      devices: userDevices.map(device => ({
+        id: device.id,
+        is_active: req.user.activeDevice === device.id,
+        is_private_session: false,
+        is_restricted: false,
+        name: device.name,
+        type: 'Computer',
+        volume_percent: device.volume,
+        supports_volume: true
+      }))
+    });
+  });
+
+  /**
+   * Playback on the user's active device (204 when nothing is active)
+   * GET /simulation/v1/me/player
+   */
+  router.get('/v1/me/player', requireToken, (req, res) => {
+    const device = devices.get(req.user.activeDevice);
+
+    if (!device || !device.playback) {
+      return res.status(204).end();
+    }
+
+    const { playback } = device;
+    res.json({
+      device: { id: device.id, is_active: true, name: device.name, type: 'Computer', volume_percent: device.volume, supports_volume: true },
+      is_playing: !playback.paused,
+      progress_ms: getPosition(playback),
+      item: buildTrack(playback.tracks[playback.index]),
+      context: playback.contextUri ? { type: playback.contextUri.split(':')[1], uri: playback.contextUri } : null,
+      shuffle_state: false,
+      repeat_state: 'off',
+      currently_playing_type: 'track',
+      timestamp: Date.now()
+    });
+  });
+
+  /**
+   * Transfer playback to another device
+   * PUT /simulation/v1/me/player
+   * Body: { device_ids: [string], play: boolean }
+   */
+  router.put('/v1/me/player', requireToken, (req, res) => {
+    const { device_ids: deviceIds, play } = req.body || {};
+    const target = findDevice(req.user, Array.isArray(deviceIds) ? deviceIds[0] : null);
+
+    if (!target) {
+      return sendApiError(res, 404, 'Device not found');
+    }
+
+    const source = devices.get(req.user.activeDevice);
+    if (source && source !== target && source.playback) {
+      target.playback = { ...source.playback, positionMs: getPosition(source.playback), updatedAt: Date.now() };
+      source.playback = { ...source.playback, positionMs: getPosition(source.playback), paused: true, updatedAt: Date.now() };
+      sendState(source);
+    }
+
+    req.user.activeDevice = target.id;
+    if (target.playback && play !== undefined) {
+      setPaused(target, !play);
+    }
+    sendState(target);
+    res.status(204).end();
+  });
+
+  /**
+   * Start or resume playback
+   * PUT /simulation/v1/me/player/play?device_id=...
+   * Body: { context_uri: string, uris: [string], offset: { position, uri }, position_ms: number }
+   */
+  router.put('/v1/me/player/play', requireToken, (req, res) => {
+    const device = getTargetDevice(req, res);
+    if (!device) {
+      return;
+    }
+
+    const { context_uri: contextUri, uris, offset, position_ms: positionMs } = req.body || {};
+
+    if (contextUri || (Array.isArray(uris) && uris.length > 0)) {
+      const tracks = contextUri ? buildContextTracks(contextUri) : uris;
+      let index = 0;
+      if (offset && Number.isInteger(offset.position)) {
+        index = Math.min(offset.position, tracks.length - 1);
+      } else if (offset && offset.uri && tracks.includes(offset.uri)) {
+        index = tracks.indexOf(offset.uri);
+      }
+      device.playback = { contextUri: contextUri || null, tracks, index, paused: false, positionMs: positionMs || 0, updatedAt: Date.now() };
+    } else if (device.playback) {
+      setPaused(device, false);
+    } else {
+      return sendApiError(res, 404, 'Player command failed: No active device found', 'NO_ACTIVE_DEVICE');
+    }
+
+    req.user.activeDevice = device.id;
+    sendState(device);
+    res.status(204).end();
+  });
+
+  /**
+   * Pause playback
+   * PUT /simulation/v1/me/player/pause?device_id=...
+   */
+  router.put('/v1/me/player/pause', requireToken, (req, res) => {
+    const device = getTargetDevice(req, res);
+    if (!device) {
+      return;
+    }
+    if (!device.playback || device.playback.paused) {
+      return sendApiError(res, 403, 'Player command failed: Restriction violated', 'UNKNOWN');
+    }
+
+    setPaused(device, true);
+    sendState(device);
+    res.status(204).end();
+  });
+
+  /**
+   * Set the volume
+   * PUT /simulation/v1/me/player/volume?volume_percent=...&device_id=...
+   */
+  router.put('/v1/me/player/volume', requireToken, (req, res) => {
+    const device = getTargetDevice(req, res);
+    if (!device) {
+      return;
+    }
+
+    const volume = Number(req.query.volume_percent);
+    if (!Number.isInteger(volume) || volume < 0 || volume > 100) {
+      return sendApiError(res, 400, 'Invalid volume_percent');
+    }
+
+    device.volume = volume;
+    res.status(204).end();
+  });
+
+  /**
+   * Add a track to the queue
+   * POST /simulation/v1/me/player/queue?uri=...&device_id=...
+   */
+  router.post('/v1/me/player/queue', requireToken, (req, res) => {
+    const device = getTargetDevice(req, res);
+    if (!device) {
+      return;
+    }
+    if (!device.playback) {
+      return sendApiError(res, 404, 'Player command failed: No active device found', 'NO_ACTIVE_DEVICE');
+    }
+    if (!req.query.uri) {
+      return sendApiError(res, 400, 'Missing uri');
+    }
+
+    const { playback } = device;
+    playback.tracks = [...playback.tracks.slice(0, playback.index + 1), req.query.uri, ...playback.tracks.slice(playback.index + 1)];
+    res.status(204).end();
+  });
+
+  /**
+   * Search, returning made-up results for every requested type
+   * GET /simulation/v1/search?q=...&type=track,playlist&limit=...&offset=...
+   */
+  router.get('/v1/search', requireToken, (req, res) => {
+    const q = String(req.query.q || '');
+    const limit = Math.min(parseInt(req.query.limit || '20', 10), 50);
+    const offset = parseInt(req.query.offset || '0', 10);
+    const result = {};
+
+    for (const type of String(req.query.type || 'track').split(',')) {
+      const items = Array.from({ length: limit }, (_, i) => buildItem(type, `${slugify(q)}-${offset + i + 1}`, `${q} ${offset + i + 1}`));
+      result[`${type}s`] = { href: null, items, limit, offset, total: 100, next: null, previous: null };
+    }
+    res.json(result);
+  });
+
+  /**
+   * The user's playlists
+   * GET /simulation/v1/me/playlists
+   */
+  router.get('/v1/me/playlists', requireToken, (req, res) => {
+    const items = ['Morning', 'Dinner', 'Party'].map(name => buildItem('playlist', slugify(name), name));
+    res.json({ href: null, items, limit: items.length, offset: 0, total: items.length, next: null, previous: null });
+  });
+
+  /**
+   * A playlist's tracks
+   * GET /simulation/v1/playlists/:id/tracks
+   */
+  router.get('/v1/playlists/:id/tracks', requireToken, (req, res) => {
+    const tracks = buildContextTracks(`spotify:playlist:${req.params.id}`);
+    res.json({
+      href: null,
+      items: tracks.map(uri => ({ added_at: new Date(0).toISOString(), track: buildTrack(uri) })),
+      limit: tracks.length,
+      offset: 0,
+      total: tracks.length,
+      next: null,
+      previous: null
+    });
+  });
+
+  /**
+   * Connect a fake SDK player as a device of the token's user
+   * POST /simulation/sdk/devices
+   * Body: { name: string, volume: number (0-1) }
+   * Responds with the device and the events to emit (ready, or the scripted connect errors)
+   */
+  router.post('/sdk/devices', requireToken, (req, res) => {
+    const { name, volume } = req.body || {};
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const scripted = pendingEvents.get(name) || [];
+    pendingEvents.delete(name);
+
+    if (scripted.some(event => CONNECT_ERRORS.includes(event.type))) {
+      const events = scripted.filter(event => event.type !== 'connect_failed').map(event => buildEvent(event, null));
+      return res.json({ connected: !scripted.some(event => event.type === 'connect_failed'), deviceId: null, events });
+    }
+
+    const device = {
+      id: crypto.randomBytes(20).toString('hex'),
+      name,
+      userId: req.user.id,
+      volume: Math.round((typeof volume === 'number' ? volume : 1) * 100),
+      online: true,
+      playback: null,
+      events: []
+    };
+    devices.set(device.id, device);
+    log.info('Player connected', { device: device.id, deviceName: name, user: req.user.id });
+
+    res.json({ connected: true, deviceId: device.id, events: [{ type: 'ready' }, ...scripted].map(event => buildEvent(event, device)) });
+  });
+
+  /**
+   * Disconnect a fake SDK player
+   * DELETE /simulation/sdk/devices/:id
+   */
+  router.delete('/sdk/devices/:id', (req, res) => {
+    const device = devices.get(req.params.id);
+    if (device) {
+      devices.delete(device.id);
+      const user = users.get(device.userId);
+      if (user && user.activeDevice === device.id) {
+        user.activeDevice = null;
+      }
+    }
+    res.status(204).end();
+  });
+
+  /**
+   * Events for a fake SDK player to emit (state changes and scripted events), cleared once read
+   * GET /simulation/sdk/devices/:id/events
+   */
+  router.get('/sdk/devices/:id/events', (req, res) => {
+    const device = devices.get(req.params.id);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    const events = device.events;
+    device.events = [];
+    res.json({ events });
+  });
+
+  /**
+   * A fake SDK player's state, as Spotify.Player#getCurrentState returns it (null when idle)
+   * GET /simulation/sdk/devices/:id/state
+   */
+  router.get('/sdk/devices/:id/state', (req, res) => {
+    const device = devices.get(req.params.id);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    res.json({ state: buildSdkState(device), volume: device.volume / 100 });
+  });
+
+  /**
+   * Transport control from a fake SDK player (resume, pause, togglePlay, nextTrack, ...)
+   * POST /simulation/sdk/devices/:id/control
+   * Body: { action: string, value: number }
+   */
+  router.post('/sdk/devices/:id/control', (req, res) => {
+    const device = devices.get(req.params.id);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const { action, value } = req.body || {};
+    const { playback } = device;
+
+    if (action === 'setVolume') {
+      device.volume = Math.round(Math.min(Math.max(Number(value) || 0, 0), 1) * 100);
+      return res.json({ volume: device.volume / 100 });
+    }
+
+    // Like the real SDK, transport controls do nothing until something is playing on the device
+    if (!playback) {
+      return res.json({ state: null });
+    }
+
+    if (action === 'resume' || action === 'pause' || action === 'togglePlay') {
+      setPaused(device, action === 'togglePlay' ? !playback.paused : action === 'pause');
+    } else if (action === 'nextTrack' || action === 'previousTrack') {
+      playback.index = Math.min(Math.max(playback.index + (action === 'nextTrack' ? 1 : -1), 0), playback.tracks.length - 1);
+      playback.positionMs = 0;
+      playback.updatedAt = Date.now();
+    } else if (action === 'seek') {
+      playback.positionMs = Math.min(Math.max(Number(value) || 0, 0), TRACK_DURATION);
+      playback.updatedAt = Date.now();
+    } else {
+      return res.status(400).json({ error: `Unknown action: ${action}` });
+    }
+
+    users.get(device.userId).activeDevice = device.id;
+    sendState(device);
+    res.json({ state: buildSdkState(device) });
+  });
+
+  /**
+   * Call a Home Assistant service (recorded for GET /simulation/ha/calls)
+   * POST /simulation/ha/api/services/:domain/:service
+   */
+  router.post('/ha/api/services/:domain/:service', (req, res) => {
+    const service = `${req.params.domain}.${req.params.service}`;
+
+    if (!req.get('Authorization')) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const failed = haFailure && haFailure.remaining > 0;
+    haCalls.push({ service, data: req.body || {}, status: failed ? haFailure.status : 200, at: new Date().toISOString() });
+    if (haCalls.length > MAX_HA_CALLS) {
+      haCalls.shift();
+    }
+
+    if (failed) {
+      haFailure.remaining--;
+      return res.status(haFailure.status).json({ message: 'Simulated failure' });
+    }
+    res.json([]);
+  });
+
+  /**
+   * Home Assistant service calls received so far, oldest first
+   * GET /simulation/ha/calls
+   */
+  router.get('/ha/calls', (req, res) => {
+    res.json({ calls: haCalls });
+  });
+
+  /**
+   * Forget the recorded Home Assistant calls and any scripted failures
+   * DELETE /simulation/ha/calls
+   */
+  router.delete('/ha/calls', (req, res) => {
+    haCalls.length = 0;
+    haFailure = null;
+    res.status(204).end();
+  });
+
+  /**
+   * Make the next Home Assistant service calls fail
+   * POST /simulation/ha/failures
+   * Body: { status: number (default 503), count: number (default 1) }
+   */
+  router.post('/ha/failures', (req, res) => {
+    const { status = 503, count = 1 } = req.body || {};
+    if (!Number.isInteger(status) || status < 400 || status > 599 || !Number.isInteger(count) || count < 1) {
+      return res.status(400).json({ error: 'status must be an HTTP error status and count a positive integer' });
+    }
+    haFailure = { status, remaining: count };
+    res.json(haFailure);
+  });
+
+  /**
+   * Connected fake SDK players, with what they are playing
+   * GET /simulation/devices
+   */
+  router.get('/devices', (req, res) => {
+    res.json({
+      devices: [...devices.values()].map(device => ({
+        id: device.id,
+        name: device.name,
+        user: device.userId,
+        online: device.online,
+        active: users.get(device.userId).activeDevice === device.id,
+        volume: device.volume,
+        state: buildSdkState(device)
+      })),
+      pending: Object.fromEntries(pendingEvents)
+    });
+  });
+
+  /**
+   * Make a fake SDK player emit an event, by its device (display) name
+   * Players that haven't connected yet get the event when they connect: an initialization_error,
+   * authentication_error or account_error keeps them from becoming ready, and connect_failed
+   * makes Spotify.Player#connect resolve with false.
+   * POST /simulation/devices/:name/events
+   * Body: { type: string, message: string }
+   */
+  router.post('/devices/:name/events', (req, res) => {
+    const { name } = req.params;
+    const { type, message } = req.body || {};
+
+    if (!SDK_EVENTS.includes(type)) {
+      return res.status(400).json({ error: `Invalid type. Must be one of: ${SDK_EVENTS.join(', ')}` });
+    }
+
+    const connected = [...devices.values()].filter(device => device.name === name);
+
+    if (connected.length === 0) {
+      pendingEvents.set(name, [...(pendingEvents.get(name) || []), { type, message }]);
+      return res.status(202).json({ message: 'Event queued until the player connects', name, type });
+    }
+
+    for (const device of connected) {
+      // A player that goes offline drops out of the device list until it is ready again
+      if (type === 'ready' || type === 'not_ready') {
+        device.online = type === 'ready';
+      }
+      device.events.push(buildEvent({ type, message }, device));
+    }
+    res.json({ message: 'Event sent', name, type, devices: connected.map(device => device.id) });
+  });
+
+  /**
+   * Expire every access token, so the next Web API call gets a 401 and the server refreshes
+   * POST /simulation/tokens/expire
+   */
+  router.post('/tokens/expire', (req, res) => {
+    for (const grant of accessTokens.values()) {
+      grant.expiresAt = 0;
+    }
+    res.json({ expired: accessTokens.size });
+  });
+
+  /**
+   * Revoke refresh tokens (of one client ID, or all), so refreshing them fails with invalid_grant
+   * POST /simulation/tokens/revoke
+   * Body: { clientId: string }
+   */
+  router.post('/tokens/revoke', (req, res) => {
+    const { clientId } = req.body || {};
+    let revoked = 0;
+    for (const [token, grant] of refreshTokens) {
+      if (!clientId || grant.clientId === clientId) {
+        refreshTokens.delete(token);
+        revoked++;
+      }
+    }
+    res.json({ revoked });
+  });
+
+  // Confidential clients use Basic auth, PKCE clients send their client_id in the body
+  function getClientId(req) {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Basic ')) {
+      return Buffer.from(header.slice(6), 'base64').toString('utf8').split(':')[0] || null;
+    }
+    return (req.body && req.body.client_id) || null;
+  }
+
+  function getUser(clientId) {
+    const id = `simulated-${slugify(clientId)}`;
+    if (!users.has(id)) {
+      users.set(id, { id, clientId, activeDevice: null });
+    }
+    return users.get(id);
+  }
+
+  function issueAccessToken(clientId) {
+    const token = generateToken('access');
+    accessTokens.set(token, { userId: getUser(clientId).id, expiresAt: Date.now() + tokenTtl * 1000 });
+    return { access_token: token, token_type: 'Bearer', expires_in: tokenTtl, scope: 'streaming user-read-playback-state user-modify-playback-state' };
+  }
+
+  // The device_id parameter's device, or the active one; sends the error response when there is none
+  function getTargetDevice(req, res) {
+    const device = findDevice(req.user, req.query.device_id || req.user.activeDevice);
+    if (!device) {
+      sendApiError(res, 404, 'Player command failed: No active device found', 'NO_ACTIVE_DEVICE');
+      return null;
+    }
+    return device;
+  }
+
+  function findDevice(user, deviceId) {
+    const device = devices.get(deviceId);
+    return device && device.userId === user.id && device.online ? device : null;
+  }
+
+  function setPaused(device, paused) {
+    const { playback } = device;
+    playback.positionMs = getPosition(playback);
+    playback.paused = paused;
+    playback.updatedAt = Date.now();
+  }
+
+  // An SDK event as the fake player emits it: ready and not_ready carry the device ID, errors a message
+  function buildEvent({ type, message }, device) {
+    if (type === 'ready' || type === 'not_ready') {
+      return { type, data: { device_id: device ? device.id : null } };
+    }
+    return { type, data: { message: message || `Simulated ${type}` } };
+  }
+
+  // Queue a state change for the device's player page
+  function sendState(device) {
+    device.events.push({ type: 'player_state_changed', data: buildSdkState(device) });
+  }
+
+  // The Web Playback SDK's state object (WebPlaybackState)
+  function buildSdkState(device) {
+    const { playback } = device;
+    if (!playback) {
+      return null;
+    }
+
+    const track = buildTrack(playback.tracks[playback.index]);
+    return {
+      context: { uri: playback.contextUri, metadata: {} },
+      disallows: {},
+      paused: playback.paused,
+      position: getPosition(playback),
+      duration: track.duration_ms,
+      repeat_mode: 0,
+      shuffle: false,
+      timestamp: Date.now(),
+      track_window: {
+        current_track: track,
+        previous_tracks: playback.tracks.slice(Math.max(0, playback.index - 2), playback.index).map(buildTrack),
+        next_tracks: playback.tracks.slice(playback.index + 1, playback.index + 3).map(buildTrack)
+      }
+    };
+  }
+
+  return { router };
+}
+
+// Tracks don't end by themselves, their position stops at the end
+function getPosition(playback) {
+  const elapsed = playback.paused ? 0 : Date.now() - playback.updatedAt;
+  return Math.min(playback.positionMs + elapsed, TRACK_DURATION);
+}
+
+function buildContextTracks(contextUri) {
+  const id = contextUri.split(':').pop();
+  return Array.from({ length: CONTEXT_LENGTH }, (_, i) => `spotify:track:${id}-${i + 1}`);
+}
+
+// A track object in the shape both the Web API and the SDK use
+function buildTrack(uri) {
+  const [, type = 'track', id = 'unknown'] = uri.split(':');
+  return {
+    id,
+    uri,
+    type,
+    name: `Simulated ${type} ${id}`,
+    duration_ms: TRACK_DURATION,
+    artists: [{ name: 'Simulated Artist', uri: 'spotify:artist:simulated' }],
+    album: { name: 'Simulated Album', uri: 'spotify:album:simulated', images: [] }
+  };
+}
+
+function buildItem(type, id, name) {
+  const uri = `spotify:${type}:${id}`;
+  if (type === 'track' || type === 'episode') {
+    return { ...buildTrack(uri), name };
+  }
+  return { id, uri, type, name, images: [], ...(type === 'playlist' && { tracks: { total: CONTEXT_LENGTH } }) };
+}
+
+// Errors in the Web API's format, with a reason for player errors (e.g. NO_ACTIVE_DEVICE)
+function sendApiError(res, status, message, reason = null) {
+  res.status(status).json({ error: { status, message, ...(reason && { reason }) } });
+}
+
+function generateToken(kind) {
+  return `sim_${kind}_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'item';
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+module.exports = { SDK_EVENTS, createSimulation };
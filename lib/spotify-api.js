@@ -0,0 +1,118 @@
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'spotify-api' });
+
+const DEFAULT_API_URL = 'https://api.spotify.com/v1';
+
+/**
+ * Spotify Web API client
+ * Makes requests on behalf of an account: a 401 refreshes the account's access token and
+ * retries once, and a 429 waits for Retry-After and tries again.
+ * Options:
+ *   baseUrl - Web API base URL (e.g. a local mock)
+ *   getAccessToken(accountName) - resolves with the account's current access token
+ *   refreshAccessToken(accountName) - forces a refresh, resolving with the new access token
+ *   maxRateLimitRetries - retries after 429 responses per request
+ *   maxRetryAfter - longest Retry-After we are willing to wait, in milliseconds (longer ones fail the request)
+ */
+function createSpotifyApi({ baseUrl = DEFAULT_API_URL, getAccessToken, refreshAccessToken, maxRateLimitRetries = 3, maxRetryAfter = 30000 }) {
+  const apiUrl = baseUrl.replace(/\/$/, '');
+
+  /**
+   * Make a request, resolving with the parsed response, or null when Spotify sends none (204 No Content).
+   * Options: query - query string parameters (undefined values are left out), body - JSON body
+   * Errors keep the HTTP status and Spotify's reason (e.g. NO_ACTIVE_DEVICE, PREMIUM_REQUIRED).
+   */
+  async function request(accountName, method, path, { query, body } = {}) {
+    const url = buildUrl(path, query);
+    let accessToken = await getAccessToken(accountName);
+    let refreshed = false;
+    let rateLimited = 0;
+
+    for (;;) {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          ...(body && { 'Content-Type': 'application/json' })
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      // The token may have been revoked or expired early, refresh it once
+      if (response.status === 401 && !refreshed) {
+        refreshed = true;
+        log.warn('Spotify rejected the access token, refreshing it', { account: accountName });
+        accessToken = await refreshAccessToken(accountName);
+        continue;
+      }
+
+      if (response.status === 429 && rateLimited < maxRateLimitRetries) {
+        const delay = getRetryAfter(response);
+        if (delay <= maxRetryAfter) {
+          rateLimited++;
+          log.warn(`Spotify rate limit hit, retrying in ${delay}ms`, { account: accountName });
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+      }
+
+      return parseResponse(method, path, response);
+    }
+  }
+
+  function buildUrl(path, query = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null) {
+        params.set(key, value);
+      }
+    }
+    const queryString = params.toString();
+    return `${apiUrl}${path}${queryString ? `?${queryString}` : ''}`;
+  }
+
+  return { request };
+}
+
+// Retry-After is in seconds; without one, back off for a second
+function getRetryAfter(response) {
+  const seconds = parseInt(response.headers.get('Retry-After'), 10);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : 1000;
+}
+
+async function parseResponse(method, path, response) {
+  const text = await response.text();
+
+  if (!response.ok) {
+    let message = text;
+    let reason = null;
+    try {
+      const data = JSON.parse(text);
+      message = data.error && data.error.message ? data.error.message : text;
+      reason = data.error && data.error.reason ? data.error.reason : null;
+    } catch (error) {
+      // Not JSON, keep the raw text
+    }
+    const error = new Error(`Spotify API ${method} ${path} failed: ${response.status} - ${message}`);
+    error.status = response.status;
+    error.reason = reason;
+    if (response.status === 429) {
+      error.retryAfter = getRetryAfter(response);
+    }
+    throw error;
+  }
+
+  if (!text) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    // Some player endpoints answer 200 with a non-JSON body
+    return null;
+  }
+}
+
+module.exports = { createSpotifyApi };
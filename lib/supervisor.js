@@ -0,0 +1,214 @@
+// Player supervisor: tracks the health of running players and restarts broken ones
+// with exponential backoff. Health state lives on the player instance objects
+// (health, restartCount, lastError) so it can be reported by the players API.
+
+const { publish } = require('./events');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'supervisor' });
+
+// SDK events reported by player.html that mean the player is no longer usable
+const DEGRADING_EVENTS = ['not_ready', 'initialization_error', 'authentication_error', 'account_error', 'connect_failed'];
+
+/**
+ * Create a supervisor for the given player instances
+ * Options:
+ *   playerInstances - Map of player name to instance
+ *   relaunch(name, instance) - stops the old handle (if any) and resolves with a new one
+ *   onCrash(name, instance) - called whenever a player crashes or is given up on
+ *   maxRestarts - consecutive restart attempts before giving up
+ *   restartDelay - initial backoff delay in milliseconds, doubled for each attempt
+ *   maxRestartDelay - upper bound for the backoff delay
+ *   degradedTimeout - how long a player may stay degraded before it is restarted
+ *   startTimeout - how long a player that reports readiness may take to become ready
+ *   stablePeriod - how long a player must stay ready before its attempt counter is reset
+ */
+function createSupervisor({
+  playerInstances,
+  relaunch,
+  onCrash = () => {},
+  maxRestarts = 5,
+  restartDelay = 5000,
+  maxRestartDelay = 5 * 60 * 1000,
+  degradedTimeout = 30000,
+  startTimeout = 60000,
+  stablePeriod = 60000
+}) {
+  const timers = new Map();
+
+  // Start watching a freshly launched handle on an instance
+  function watch(name, instance, { reportsReadiness }) {
+    const handle = instance.handle;
+
+    setHealth(name, instance, reportsReadiness ? 'starting' : 'ready');
+    instance.readySince = reportsReadiness ? null : Date.now();
+    instance.restartCount = instance.restartCount || 0;
+    instance.restartAttempts = instance.restartAttempts || 0;
+    instance.lastError = instance.lastError || null;
+
+    const onFailure = ({ reason }) => {
+      if (playerInstances.get(name) !== instance || instance.handle !== handle) {
+        return;
+      }
+      markCrashed(name, instance, reason);
+    };
+
+    handle.on('exit', onFailure);
+    handle.on('crash', onFailure);
+
+    if (reportsReadiness) {
+      setTimer(name, startTimeout, () => {
+        if (instance.health === 'starting' && instance.handle === handle) {
+          log.warn(`Player did not become ready within ${startTimeout}ms`, { player: name });
+          setHealth(name, instance, 'degraded');
+          instance.lastError = { event: 'start_timeout', message: 'Player did not become ready in time', at: new Date() };
+          scheduleRestart(name, instance);
+        }
+      });
+    }
+  }
+
+  // Stop supervising a player (e.g. when it is stopped through the API)
+  function unwatch(name) {
+    clearTimer(name);
+  }
+
+  // Handle an SDK event reported by a player page
+  function reportEvent(name, event, message) {
+    const instance = playerInstances.get(name);
+
+    if (!instance || !instance.handle) {
+      return false;
+    }
+
+    if (event === 'ready') {
+      setHealth(name, instance, 'ready');
+      instance.readySince = Date.now();
+      clearTimer(name);
+      return true;
+    }
+
+    const error = { event, message: message || event, at: new Date() };
+    instance.lastError = error;
+
+    if (!DEGRADING_EVENTS.includes(event)) {
+      // e.g. playback_error: worth reporting, but the player itself is still usable
+      log.warn(`Player reported ${event}`, { player: name, error: error.message });
+      return true;
+    }
+
+    log.warn(`Player degraded (${event})`, { player: name, error: error.message });
+
+    if (instance.health !== 'degraded') {
+      setHealth(name, instance, 'degraded');
+      // Give the SDK a chance to recover by itself before restarting
+      setTimer(name, degradedTimeout, () => {
+        if (instance.health === 'degraded') {
+          scheduleRestart(name, instance);
+        }
+      });
+    }
+
+    return true;
+  }
+
+  function markCrashed(name, instance, reason) {
+    log.error('Player instance crashed', { player: name, reason });
+    setHealth(name, instance, 'crashed');
+    instance.lastError = { event: 'crash', message: reason, at: new Date() };
+    publish('player.crashed', { player: name, reason });
+    onCrash(name, instance);
+    scheduleRestart(name, instance);
+  }
+
+  function scheduleRestart(name, instance) {
+    // A player that stayed ready for a while starts over with a fresh backoff
+    if (instance.readySince && Date.now() - instance.readySince >= stablePeriod) {
+      instance.restartAttempts = 0;
+    }
+    instance.readySince = null;
+
+    if (instance.restartAttempts >= maxRestarts) {
+      log.error(`Giving up on player instance after ${instance.restartAttempts} restart attempts`, { player: name });
+      setHealth(name, instance, 'crashed');
+      instance.gaveUp = true;
+      clearTimer(name);
+      stopHandle(name, instance);
+      publish('player.failed', { player: name, error: instance.lastError ? instance.lastError.message : null });
+      return;
+    }
+
+    const delay = Math.min(restartDelay * 2 ** instance.restartAttempts, maxRestartDelay);
+    instance.restartAttempts++;
+    log.info(`Restarting player instance in ${delay}ms (attempt ${instance.restartAttempts}/${maxRestarts})`, { player: name });
+
+    setTimer(name, delay, () => restart(name, instance));
+  }
+
+  async function restart(name, instance) {
+    if (playerInstances.get(name) !== instance) {
+      return;
+    }
+
+    setHealth(name, instance, 'restarting');
+
+    try {
+      const handle = await relaunch(name, instance);
+
+      // The player may have been stopped while we were relaunching it
+      if (playerInstances.get(name) !== instance) {
+        await handle.stop();
+        return;
+      }
+
+      instance.handle = handle;
+      instance.isPlaying = false;
+      instance.playback = null;
+      instance.restartCount++;
+      instance.lastRestartAt = new Date();
+      watch(name, instance, { reportsReadiness: handle.reportsReadiness });
+      log.info('Restarted player instance', { player: name });
+      publish('player.restarted', { player: name, restartCount: instance.restartCount });
+    } catch (error) {
+      log.error('Failed to restart player instance', { player: name, error: error.message });
+      setHealth(name, instance, 'crashed');
+      instance.handle = null;
+      instance.lastError = { event: 'restart_failed', message: error.message, at: new Date() };
+      scheduleRestart(name, instance);
+    }
+  }
+
+  function setHealth(name, instance, health) {
+    if (instance.health !== health) {
+      instance.health = health;
+      publish('player.health', { player: name, health });
+    }
+  }
+
+  function stopHandle(name, instance) {
+    const handle = instance.handle;
+    instance.handle = null;
+    if (handle) {
+      handle.stop().catch((error) => log.error('Error stopping crashed player', { player: name, error: error.message }));
+    }
+  }
+
+  function setTimer(name, delay, callback) {
+    clearTimer(name);
+    timers.set(name, setTimeout(() => {
+      timers.delete(name);
+      callback();
+    }, delay));
+  }
+
+  function clearTimer(name) {
+    if (timers.has(name)) {
+      clearTimeout(timers.get(name));
+      timers.delete(name);
+    }
+  }
+
+  return { watch, unwatch, reportEvent };
+}
+
+module.exports = { createSupervisor };
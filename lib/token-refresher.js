@@ -0,0 +1,178 @@
+const { DEFAULT_ACCOUNTS_URL, refreshAccessToken } = require('./oauth');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'token-refresher' });
+
+// OAuth errors that mean the refresh token (or client) will never work again
+const PERMANENT_ERRORS = ['invalid_grant', 'invalid_client', 'unauthorized_client'];
+
+/**
+ * Token refresh scheduler
+ * Renews each account's access token before it expires, with at most one refresh in flight
+ * per account, so concurrent callers never overwrite each other's refresh token.
+ * Options:
+ *   getAccount(name) - returns the current account record
+ *   updateAccount(name, changes) - merges changes into the account and persists it
+ *   onRefreshed(name, account) - called with the updated account after every successful refresh
+ *   onFailed(name, reason) - called when the refresh token has been permanently rejected
+ *   onError(name, error) - called with every failed refresh, permanent or not
+ *   leadTime - how long before expiry tokens are refreshed, in milliseconds
+ *   retryDelay - initial delay before retrying a failed (transient) refresh, doubled on each attempt
+ *   maxRetryDelay - upper bound for the retry delay
+ *   accountsUrl - Spotify's accounts service (or a mock of it)
+ */
+function createTokenRefresher({
+  getAccount,
+  updateAccount,
+  onRefreshed = () => {},
+  onFailed = () => {},
+  onError = () => {},
+  leadTime = 5 * 60 * 1000,
+  retryDelay = 30000,
+  maxRetryDelay = 10 * 60 * 1000,
+  accountsUrl = DEFAULT_ACCOUNTS_URL
+}) {
+  const timers = new Map();
+  const inFlight = new Map();
+  const retries = new Map();
+
+  // Schedule the next refresh for an account based on its expiry
+  function schedule(name) {
+    unschedule(name);
+
+    const account = getAccount(name);
+    if (!account || !account.authenticated || !account.refreshToken || !account.expiresAt) {
+      return;
+    }
+
+    const delay = Math.max(0, account.expiresAt - leadTime - Date.now());
+    setTimer(name, delay);
+  }
+
+  function unschedule(name) {
+    if (timers.has(name)) {
+      clearTimeout(timers.get(name));
+      timers.delete(name);
+    }
+  }
+
+  // Refresh an account's token now, sharing the request with any refresh already in flight
+  function refresh(name) {
+    if (!inFlight.has(name)) {
+      const promise = doRefresh(name).finally(() => inFlight.delete(name));
+      inFlight.set(name, promise);
+    }
+    return inFlight.get(name);
+  }
+
+  // Resolve with an account whose token is valid for at least leadTime, refreshing if needed
+  async function ensureFresh(name) {
+    const account = getAccount(name);
+    if (!account) {
+      throw accountNotFound(name);
+    }
+    // Without a refresh token the current token is all there is
+    if (account.refreshToken && account.expiresAt && Date.now() + leadTime >= account.expiresAt) {
+      return refresh(name);
+    }
+    return account;
+  }
+
+  async function doRefresh(name) {
+    const account = getAccount(name);
+
+    if (!account) {
+      throw accountNotFound(name);
+    }
+
+    if (!account.refreshToken) {
+      throw new Error('No refresh token available');
+    }
+
+    let tokenData;
+    try {
+      tokenData = await refreshAccessToken(account.refreshToken, account.clientId, account.clientSecret, accountsUrl);
+    } catch (error) {
+      // Deleted while the request was in flight, there is nothing left to retry or deauthorize
+      if (!getAccount(name)) {
+        throw accountNotFound(name);
+      }
+      onError(name, error);
+      handleFailure(name, error);
+      throw error;
+    }
+
+    const accessToken = tokenData && typeof tokenData.access_token === 'string' ? tokenData.access_token : null;
+    const expiresIn = tokenData && typeof tokenData.expires_in === 'number' ? tokenData.expires_in : 3600;
+    const newRefreshToken = tokenData && typeof tokenData.refresh_token === 'string' ? tokenData.refresh_token : null;
+
+    // Deleted while the request was in flight, don't bring it back
+    if (!getAccount(name)) {
+      throw accountNotFound(name);
+    }
+
+    updateAccount(name, {
+      token: accessToken,
+      expiresAt: Date.now() + (expiresIn * 1000),
+      ...(newRefreshToken && { refreshToken: newRefreshToken }),
+      authError: null
+    });
+
+    retries.delete(name);
+    schedule(name);
+    log.info('Refreshed access token', { account: name });
+
+    const updated = getAccount(name);
+    onRefreshed(name, updated);
+    return updated;
+  }
+
+  function handleFailure(name, error) {
+    if (isPermanent(error)) {
+      log.error('Refresh token was rejected', { account: name, error: error.message });
+      unschedule(name);
+      retries.delete(name);
+      const reason = error.code || error.message;
+      updateAccount(name, {
+        authenticated: false,
+        authError: { reason, message: error.message, at: new Date().toISOString() }
+      });
+      onFailed(name, reason);
+      return;
+    }
+
+    // Network errors, rate limits and server errors: keep the account and try again later
+    const attempt = retries.get(name) || 0;
+    retries.set(name, attempt + 1);
+    const delay = Math.min(retryDelay * 2 ** attempt, maxRetryDelay);
+    log.error(`Failed to refresh token, retrying in ${delay}ms`, { account: name, error: error.message });
+    setTimer(name, delay);
+  }
+
+  function setTimer(name, delay) {
+    unschedule(name);
+    timers.set(name, setTimeout(() => {
+      timers.delete(name);
+      // Failures are handled (and rescheduled) inside refresh
+      refresh(name).catch(() => {});
+    }, delay));
+  }
+
+  return { schedule, unschedule, refresh, ensureFresh };
+}
+
+// Helper function to create the error for an account that doesn't exist (anymore)
+function accountNotFound(name) {
+  const error = new Error(`Account not found: ${name}`);
+  error.code = 'account_not_found';
+  return error;
+}
+
+function isPermanent(error) {
+  if (PERMANENT_ERRORS.includes(error.code)) {
+    return true;
+  }
+  return error.status === 400 || error.status === 401;
+}
+
+module.exports = { createTokenRefresher };
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { writeFileAtomic } = require('./data-file');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'token-store' });
+
+// Current on-disk schema version:
+//   { version, encryption: { algorithm, salt, check } | null, accounts: { [name]: account } }
+const STORE_VERSION = 1;
+
+// Account fields that are encrypted at rest
+const SECRET_FIELDS = ['clientSecret', 'token', 'refreshToken'];
+
+const ALGORITHM = 'aes-256-gcm';
+const ENCRYPTED_PREFIX = 'enc:';
+// Known plaintext encrypted with the key, so a wrong key is detected on load
+const KEY_CHECK = 'spotify-house-player';
+
+// Migrations from each older version to the next one, indexed by the version they upgrade from
+const migrations = {
+  // Version 0: the original unversioned format, a plain map of account name to account
+  0: (data) => ({ version: 1, encryption: null, accounts: data })
+};
+
+/**
+ * Token store
+ * Persists accounts to a JSON file, encrypting secrets with a key from the environment.
+ * Writes are atomic (temp file + rename) and the previous file is kept as <file>.bak.
+ * Loading throws instead of returning an empty store when the file can't be read, and check()
+ * tells whether it still can be (e.g. after the file was replaced).
+ */
+function createTokenStore(filePath, { encryptionKey } = {}) {
+  let salt = null;
+  let key = null;
+
+  function load() {
+    if (!fs.existsSync(filePath)) {
+      return {};
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Token store ${filePath} is corrupt (${error.message}). Restore it from ${filePath}.bak or fix it by hand.`);
+    }
+
+    if (!data || typeof data !== 'object') {
+      throw new Error(`Token store ${filePath} is corrupt (not a JSON object)`);
+    }
+
+    const version = typeof data.version === 'number' ? data.version : 0;
+
+    if (version > STORE_VERSION) {
+      throw new Error(`Token store ${filePath} has version ${version}, this server only supports up to version ${STORE_VERSION}`);
+    }
+
+    for (let from = version; from < STORE_VERSION; from++) {
+      log.info(`Migrating token store from version ${from} to ${from + 1}`);
+      data = migrations[from](data);
+    }
+
+    if (data.encryption) {
+      if (!encryptionKey) {
+        throw new Error(`Token store ${filePath} is encrypted but TOKEN_STORE_KEY is not set`);
+      }
+      salt = Buffer.from(data.encryption.salt, 'base64');
+      key = deriveKey(encryptionKey, salt);
+
+      let check;
+      try {
+        check = decrypt(data.encryption.check, key);
+      } catch (error) {
+        check = null;
+      }
+      if (check !== KEY_CHECK) {
+        throw new Error(`TOKEN_STORE_KEY does not match the key ${filePath} was encrypted with`);
+      }
+    }
+
+    const accounts = {};
+    for (const [name, account] of Object.entries(data.accounts || {})) {
+      accounts[name] = { ...account };
+      for (const field of SECRET_FIELDS) {
+        if (typeof account[field] === 'string' && account[field].startsWith(ENCRYPTED_PREFIX)) {
+          if (!key) {
+            throw new Error(`Token store ${filePath} contains encrypted values but no encryption settings`);
+          }
+          try {
+            accounts[name][field] = decrypt(account[field], key);
+          } catch (error) {
+            throw new Error(`Token store ${filePath} is corrupt (cannot decrypt ${field} of account "${name}")`);
+          }
+        }
+      }
+    }
+
+    // Rewrite right away if the file was migrated or needs (un)encrypting
+    if (version < STORE_VERSION || Boolean(data.encryption) !== Boolean(encryptionKey)) {
+      save(accounts);
+    }
+
+    return accounts;
+  }
+
+  function save(accounts) {
+    let encryption = null;
+
+    if (encryptionKey) {
+      if (!key) {
+        salt = crypto.randomBytes(16);
+        key = deriveKey(encryptionKey, salt);
+      }
+      encryption = { algorithm: ALGORITHM, salt: salt.toString('base64'), check: encrypt(KEY_CHECK, key) };
+    }
+
+    const stored = {};
+    for (const [name, account] of Object.entries(accounts)) {
+      stored[name] = { ...account };
+      if (encryption) {
+        for (const field of SECRET_FIELDS) {
+          if (typeof account[field] === 'string') {
+            stored[name][field] = encrypt(account[field], key);
+          }
+        }
+      }
+    }
+
+    writeFileAtomic(filePath, JSON.stringify({ version: STORE_VERSION, encryption, accounts: stored }, null, 2));
+  }
+
+  // Check that the file can still be read with the current key (e.g. for a health check), throws if it can't
+  // Lighter than load(): nothing is decrypted but the key check, and the key is only derived again if the salt changed
+  function check() {
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Token store ${filePath} is corrupt (${error.message})`);
+    }
+
+    if (!data || typeof data !== 'object') {
+      throw new Error(`Token store ${filePath} is corrupt (not a JSON object)`);
+    }
+
+    if (data.encryption) {
+      if (!encryptionKey) {
+        throw new Error(`Token store ${filePath} is encrypted but TOKEN_STORE_KEY is not set`);
+      }
+      const fileSalt = Buffer.from(data.encryption.salt, 'base64');
+      const fileKey = salt && salt.equals(fileSalt) ? key : deriveKey(encryptionKey, fileSalt);
+
+      let value;
+      try {
+        value = decrypt(data.encryption.check, fileKey);
+      } catch (error) {
+        value = null;
+      }
+      if (value !== KEY_CHECK) {
+        throw new Error(`TOKEN_STORE_KEY does not match the key ${filePath} was encrypted with`);
+      }
+    }
+  }
+
+  return { load, save, check };
+}
+
+function deriveKey(secret, salt) {
+  return crypto.scryptSync(secret, salt, 32);
+}
+
+// Encrypted values are stored as enc:<iv>:<auth tag>:<ciphertext>, all base64
+function encrypt(plaintext, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `${ENCRYPTED_PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+function decrypt(value, key) {
+  const [iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = { STORE_VERSION, createTokenStore };
@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STORE_VERSION, createTokenStore } = require('./token-store');
+
+const ACCOUNT = {
+  name: 'kitchen',
+  clientId: 'client-id',
+  clientSecret: 'client-secret',
+  token: 'access-token',
+  refreshToken: 'refresh-token',
+  authenticated: true
+};
+
+describe('token store', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-test-'));
+    file = path.join(dir, 'tokens.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readFile = () => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  it('starts empty without a file', () => {
+    assert.deepEqual(createTokenStore(file).load(), {});
+  });
+
+  it('stores accounts in plain text without a key', () => {
+    createTokenStore(file).save({ kitchen: ACCOUNT });
+
+    const data = readFile();
+    assert.equal(data.version, STORE_VERSION);
+    assert.equal(data.encryption, null);
+    assert.equal(data.accounts.kitchen.token, 'access-token');
+    assert.deepEqual(createTokenStore(file).load(), { kitchen: ACCOUNT });
+  });
+
+  it('encrypts secrets at rest with a key', () => {
+    createTokenStore(file, { encryptionKey: 'secret key' }).save({ kitchen: ACCOUNT });
+
+    const contents = fs.readFileSync(file, 'utf8');
+    for (const value of ['client-secret', 'access-token', 'refresh-token']) {
+      assert.equal(contents.includes(value), false, `${value} is stored in plain text`);
+    }
+    const stored = readFile().accounts.kitchen;
+    assert.match(stored.token, /^enc:/);
+    // Only the secrets are encrypted
+    assert.equal(stored.clientId, 'client-id');
+
+    assert.deepEqual(createTokenStore(file, { encryptionKey: 'secret key' }).load(), { kitchen: ACCOUNT });
+  });
+
+  it('refuses to load with the wrong key or without one', () => {
+    createTokenStore(file, { encryptionKey: 'secret key' }).save({ kitchen: ACCOUNT });
+
+    assert.throws(() => createTokenStore(file, { encryptionKey: 'other key' }).load(), /TOKEN_STORE_KEY does not match/);
+    assert.throws(() => createTokenStore(file, { encryptionKey: 'other key' }).check(), /TOKEN_STORE_KEY does not match/);
+    assert.throws(() => createTokenStore(file).load(), /TOKEN_STORE_KEY is not set/);
+    // Nothing was overwritten
+    assert.deepEqual(createTokenStore(file, { encryptionKey: 'secret key' }).load(), { kitchen: ACCOUNT });
+  });
+
+  it('encrypts a plain text file once a key is set', () => {
+    createTokenStore(file).save({ kitchen: ACCOUNT });
+
+    assert.deepEqual(createTokenStore(file, { encryptionKey: 'secret key' }).load(), { kitchen: ACCOUNT });
+    assert.ok(readFile().encryption);
+    assert.match(readFile().accounts.kitchen.refreshToken, /^enc:/);
+  });
+
+  it('migrates the unversioned format', () => {
+    fs.writeFileSync(file, JSON.stringify({ kitchen: ACCOUNT }));
+
+    assert.deepEqual(createTokenStore(file).load(), { kitchen: ACCOUNT });
+    assert.deepEqual(readFile(), { version: STORE_VERSION, encryption: null, accounts: { kitchen: ACCOUNT } });
+    // The original is kept next to it
+    assert.deepEqual(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf8')), { kitchen: ACCOUNT });
+  });
+
+  it('refuses a file from a newer version', () => {
+    fs.writeFileSync(file, JSON.stringify({ version: STORE_VERSION + 1, accounts: {} }));
+    assert.throws(() => createTokenStore(file).load(), /only supports up to version/);
+  });
+
+  it('throws on a corrupt file instead of starting empty', () => {
+    fs.writeFileSync(file, '{"version": 1, "accounts": {');
+
+    assert.throws(() => createTokenStore(file).load(), /is corrupt .*Restore it from/);
+    assert.throws(() => createTokenStore(file).check(), /is corrupt/);
+    assert.equal(fs.readFileSync(file, 'utf8'), '{"version": 1, "accounts": {');
+  });
+
+  it('throws on a secret that does not decrypt', () => {
+    createTokenStore(file, { encryptionKey: 'secret key' }).save({ kitchen: ACCOUNT });
+    const data = readFile();
+    data.accounts.kitchen.token = data.accounts.kitchen.clientSecret.slice(0, -4) + 'AAAA';
+    fs.writeFileSync(file, JSON.stringify(data));
+
+    assert.throws(() => createTokenStore(file, { encryptionKey: 'secret key' }).load(), /cannot decrypt token of account "kitchen"/);
+  });
+
+  it('writes atomically and keeps the previous file as .bak', () => {
+    const store = createTokenStore(file);
+    store.save({ kitchen: ACCOUNT });
+    store.save({ kitchen: { ...ACCOUNT, token: 'new-token' } });
+
+    assert.equal(readFile().accounts.kitchen.token, 'new-token');
+    assert.equal(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf8')).accounts.kitchen.token, 'access-token');
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+  });
+});
@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const { EVENT_TYPES, subscribe } = require('./events');
+const { readJsonFile, writeFileAtomic } = require('./data-file');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'webhooks' });
+
+const METHODS = ['POST', 'PUT', 'PATCH', 'GET', 'DELETE'];
+
+// Methods that send a body
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+// HTTP statuses worth retrying (anything else is a problem with the subscription)
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Webhook subscriptions
+ * Delivers bus events to user-registered HTTP endpoints. Each subscription picks the events
+ * (and optionally players) it wants, and can template its request body from the event and
+ * sign it with HMAC-SHA256. Failed deliveries are retried with backoff, and the most recent
+ * deliveries of each subscription are kept in memory for GET /api/webhooks/:id/deliveries.
+ * Options:
+ *   retries - retries per delivery after the first attempt
+ *   retryDelay - initial delay before a retry, doubled on each attempt
+ *   timeout - request timeout, in milliseconds
+ *   logSize - deliveries kept per subscription
+ */
+function createWebhooks(filePath, { retries = 5, retryDelay = 2000, maxRetryDelay = 5 * 60 * 1000, timeout = 10000, logSize = 50 } = {}) {
+  // Existing subscriptions, if any
+  const webhooks = readJsonFile(filePath);
+  // Recent deliveries by subscription id, newest first
+  const deliveries = new Map();
+  let unsubscribe = null;
+
+  function save() {
+    // Signing secrets are stored here, writeFileAtomic keeps the file private
+    writeFileAtomic(filePath, JSON.stringify(webhooks, null, 2));
+  }
+
+  function start() {
+    unsubscribe = subscribe(dispatch);
+  }
+
+  function stop() {
+    if (unsubscribe) {
+      unsubscribe();
+    }
+  }
+
+  function create(fields) {
+    const id = crypto.randomBytes(6).toString('hex');
+    webhooks[id] = {
+      id,
+      name: fields.name,
+      url: fields.url,
+      method: (fields.method || 'POST').toUpperCase(),
+      headers: fields.headers || {},
+      body: fields.body === undefined ? null : fields.body,
+      secret: fields.secret || null,
+      events: fields.events,
+      players: fields.players || null,
+      enabled: fields.enabled !== false,
+      createdAt: new Date().toISOString()
+    };
+    save();
+    return describe(webhooks[id]);
+  }
+
+  function update(id, fields) {
+    if (!has(id)) {
+      return null;
+    }
+    const changes = { ...fields };
+    if (changes.method) {
+      changes.method = changes.method.toUpperCase();
+    }
+    webhooks[id] = { ...webhooks[id], ...changes, id };
+    save();
+    return describe(webhooks[id]);
+  }
+
+  function remove(id) {
+    if (!has(id)) {
+      return false;
+    }
+    delete webhooks[id];
+    deliveries.delete(id);
+    save();
+    return true;
+  }
+
+  function get(id) {
+    return has(id) ? describe(webhooks[id]) : null;
+  }
+
+  function list() {
+    return Object.values(webhooks).map(describe);
+  }
+
+  function getDeliveries(id) {
+    return has(id) ? (deliveries.get(id) || []) : null;
+  }
+
+  // Send a test event to a subscription regardless of its filters, resolves with the delivery
+  // A single attempt, so the caller gets the outcome now instead of after the whole retry chain
+  async function test(id) {
+    if (!has(id)) {
+      return null;
+    }
+    const event = { type: 'webhook.test', at: new Date().toISOString(), webhook: id };
+    return deliver(webhooks[id], event, { retries: 0 });
+  }
+
+  function dispatch(event) {
+    for (const webhook of Object.values(webhooks)) {
+      if (matches(webhook, event)) {
+        deliver(webhook, event).catch((error) => {
+          log.error('Error delivering webhook', { webhook: webhook.id, error });
+        });
+      }
+    }
+  }
+
+  async function deliver(webhook, event, { retries: maxRetries = retries } = {}) {
+    const delivery = {
+      id: crypto.randomBytes(6).toString('hex'),
+      event: event.type,
+      player: event.player || null,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      lastAttemptAt: null
+    };
+    record(webhook.id, delivery);
+
+    const request = buildRequest(webhook, event, delivery.id);
+    const maxAttempts = 1 + maxRetries;
+
+    for (let attempt = 1; ; attempt++) {
+      delivery.attempts = attempt;
+      delivery.lastAttemptAt = new Date().toISOString();
+
+      let retryable;
+      try {
+        const response = await fetch(webhook.url, { ...request, signal: AbortSignal.timeout(timeout) });
+        delivery.responseStatus = response.status;
+
+        if (response.ok) {
+          delivery.status = 'succeeded';
+          delivery.error = null;
+          return delivery;
+        }
+
+        delivery.error = `${response.status} - ${(await response.text()).slice(0, 500)}`;
+        retryable = RETRYABLE_STATUSES.includes(response.status);
+      } catch (error) {
+        delivery.error = error.message;
+        retryable = true;
+      }
+
+      // The subscription may have been removed or disabled while we were waiting
+      if (!retryable || attempt >= maxAttempts || !has(webhook.id) || !webhooks[webhook.id].enabled) {
+        delivery.status = 'failed';
+        log.error(`Webhook ${webhook.name} failed for ${event.type}`, { webhook: webhook.id, error: delivery.error });
+        return delivery;
+      }
+
+      delivery.status = 'retrying';
+      const delay = Math.min(retryDelay * 2 ** (attempt - 1), maxRetryDelay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  function buildRequest(webhook, event, deliveryId) {
+    const headers = {
+      'User-Agent': 'spotify-house-player',
+      'X-Webhook-Event': event.type,
+      'X-Webhook-Delivery': deliveryId
+    };
+
+    for (const [name, value] of Object.entries(webhook.headers || {})) {
+      headers[name] = renderString(String(value), event);
+    }
+
+    if (!BODY_METHODS.includes(webhook.method)) {
+      return { method: webhook.method, headers };
+    }
+
+    // Without a template the event itself is the body
+    const body = JSON.stringify(webhook.body === null ? event : render(webhook.body, event));
+    headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+
+    if (webhook.secret) {
+      // Signing the timestamp too lets receivers reject replayed deliveries
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const signature = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+      headers['X-Webhook-Timestamp'] = timestamp;
+      headers['X-Webhook-Signature'] = `sha256=${signature}`;
+    }
+
+    return { method: webhook.method, headers, body };
+  }
+
+  function record(id, delivery) {
+    const entries = deliveries.get(id) || [];
+    entries.unshift(delivery);
+    deliveries.set(id, entries.slice(0, logSize));
+  }
+
+  function has(id) {
+    return Object.prototype.hasOwnProperty.call(webhooks, id);
+  }
+
+  return { start, stop, create, update, remove, get, list, getDeliveries, test };
+}
+
+function matches(webhook, event) {
+  if (!webhook.enabled) {
+    return false;
+  }
+
+  const eventMatches = webhook.events.some(pattern => (
+    pattern === '*' ||
+    pattern === event.type ||
+    (pattern.endsWith('.*') && event.type.startsWith(pattern.slice(0, -1)))
+  ));
+
+  if (!eventMatches) {
+    return false;
+  }
+
+  // A player filter only applies to player events
+  return !webhook.players || !event.player || webhook.players.includes(event.player);
+}
+
+// Render a body template: "{{path}}" strings are replaced by the value at that path of the event
+// (keeping its type), and "{{path}}" inside longer strings is interpolated
+function render(template, event) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+      const value = lookup(event, whole[1]);
+      return value === undefined ? null : value;
+    }
+    return renderString(template, event);
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => render(item, event));
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, render(value, event)]));
+  }
+
+  return template;
+}
+
+function renderString(template, event) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = lookup(event, path);
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+function lookup(event, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), event);
+}
+
+// Public view of a subscription (the signing secret is never returned)
+function describe({ secret, ...webhook }) {
+  return { ...webhook, signed: Boolean(secret) };
+}
+
+// Helper function to validate subscription fields (returns an error message, or null if they are valid)
+function validateWebhook(fields, { partial = false } = {}) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return 'Body must be an object';
+  }
+
+  if (!partial || fields.name !== undefined) {
+    if (!fields.name || typeof fields.name !== 'string') {
+      return 'name is required';
+    }
+  }
+
+  if (!partial || fields.url !== undefined) {
+    let url;
+    try {
+      url = new URL(fields.url);
+    } catch (error) {
+      return 'url must be an absolute http(s) URL';
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return 'url must be an absolute http(s) URL';
+    }
+  }
+
+  if (fields.method !== undefined && (typeof fields.method !== 'string' || !METHODS.includes(fields.method.toUpperCase()))) {
+    return `Invalid method. Must be one of: ${METHODS.join(', ')}`;
+  }
+
+  if (fields.headers !== undefined) {
+    if (!fields.headers || typeof fields.headers !== 'object' || Array.isArray(fields.headers)) {
+      return 'headers must be an object';
+    }
+    if (Object.values(fields.headers).some(value => typeof value !== 'string')) {
+      return 'header values must be strings';
+    }
+  }
+
+  if (fields.secret !== undefined && fields.secret !== null && (typeof fields.secret !== 'string' || fields.secret.length < 16)) {
+    return 'secret must be a string of at least 16 characters';
+  }
+
+  if (!partial || fields.events !== undefined) {
+    if (!Array.isArray(fields.events) || fields.events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+    const unknown = fields.events.find(pattern => !isKnownPattern(pattern));
+    if (unknown !== undefined) {
+      return `Unknown event: ${unknown}. Must be "*", a prefix like "playback.*" or one of: ${EVENT_TYPES.join(', ')}`;
+    }
+  }
+
+  if (fields.players !== undefined && fields.players !== null) {
+    if (!Array.isArray(fields.players) || fields.players.some(player => typeof player !== 'string')) {
+      return 'players must be an array of player names';
+    }
+  }
+
+  if (fields.enabled !== undefined && typeof fields.enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+
+  return null;
+}
+
+function isKnownPattern(pattern) {
+  if (pattern === '*') {
+    return true;
+  }
+  if (typeof pattern !== 'string') {
+    return false;
+  }
+  if (pattern.endsWith('.*')) {
+    return EVENT_TYPES.some(type => type.startsWith(pattern.slice(0, -1)));
+  }
+  return EVENT_TYPES.includes(pattern);
+}
+
+module.exports = { createWebhooks, validateWebhook };
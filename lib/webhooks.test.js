@@ -0,0 +1,216 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { publish } = require('./events');
+const { createWebhooks, validateWebhook } = require('./webhooks');
+
+const SECRET = 'a-secret-of-16-characters-or-more';
+
+describe('webhooks', () => {
+  let receiver;
+  let receiverUrl;
+  // Requests received: { method, url, headers, body }
+  let received;
+  // Status the receiver answers with
+  let responseStatus;
+  let dir;
+  let webhooks;
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body });
+        res.statusCode = responseStatus;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+    receiverUrl = `http://localhost:${receiver.address().port}/hook`;
+  });
+
+  after(() => {
+    receiver.close();
+  });
+
+  beforeEach(() => {
+    received = [];
+    responseStatus = 200;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+    webhooks = createWebhooks(path.join(dir, 'webhooks.json'), { retries: 2, retryDelay: 10 });
+  });
+
+  afterEach(() => {
+    webhooks.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Helper function to wait until the receiver got a number of requests
+  async function waitForRequests(count) {
+    const deadline = Date.now() + 5000;
+    while (received.length < count) {
+      assert.ok(Date.now() < deadline, `Expected ${count} requests, got ${received.length}`);
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+
+  it('renders body templates from the event, keeping the type of whole values', async () => {
+    const { id } = webhooks.create({
+      name: 'Templated',
+      url: receiverUrl,
+      events: ['*'],
+      body: {
+        text: 'Test from {{webhook}} at {{ at }}',
+        event: '{{type}}',
+        missing: '{{player.volume}}',
+        list: ['{{type}}', 42, true, null],
+        nested: { webhook: '{{webhook}}', missing: 'volume: {{player.volume}}' }
+      }
+    });
+
+    const delivery = await webhooks.test(id);
+    assert.equal(delivery.status, 'succeeded');
+
+    const body = JSON.parse(received[0].body);
+    assert.match(body.text, new RegExp(`^Test from ${id} at \\d{4}-`));
+    assert.equal(body.event, 'webhook.test');
+    assert.equal(body.missing, null);
+    assert.deepEqual(body.list, ['webhook.test', 42, true, null]);
+    assert.deepEqual(body.nested, { webhook: id, missing: 'volume: ' });
+  });
+
+  it('renders objects inside strings as JSON and keeps whole values as they are', async () => {
+    const { id } = webhooks.create({
+      name: 'Objects',
+      url: receiverUrl,
+      events: ['playback.started'],
+      headers: { 'X-Player': '{{player}}' },
+      body: { state: '{{state}}', summary: 'state={{state}}' }
+    });
+    webhooks.start();
+
+    publish('playback.started', { player: 'kitchen', state: { volume: 40 } });
+    await waitForRequests(1);
+
+    assert.equal(received[0].headers['x-player'], 'kitchen');
+    assert.deepEqual(JSON.parse(received[0].body), { state: { volume: 40 }, summary: 'state={"volume":40}' });
+    assert.equal(webhooks.getDeliveries(id)[0].event, 'playback.started');
+  });
+
+  it('sends the event itself without a template', async () => {
+    const { id } = webhooks.create({ name: 'Plain', url: receiverUrl, events: ['*'] });
+    await webhooks.test(id);
+
+    const { headers, body } = received[0];
+    assert.equal(headers['content-type'], 'application/json');
+    assert.equal(headers['x-webhook-event'], 'webhook.test');
+    assert.equal(JSON.parse(body).type, 'webhook.test');
+    assert.equal(headers['x-webhook-signature'], undefined);
+  });
+
+  it('signs the timestamp and body with HMAC-SHA256', async () => {
+    const { id, signed } = webhooks.create({ name: 'Signed', url: receiverUrl, events: ['*'], secret: SECRET });
+    assert.equal(signed, true);
+    assert.equal(webhooks.get(id).secret, undefined);
+
+    await webhooks.test(id);
+
+    const { headers, body } = received[0];
+    const timestamp = headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+  });
+
+  it('sends no body for GET subscriptions', async () => {
+    const { id } = webhooks.create({ name: 'Get', url: receiverUrl, method: 'get', events: ['*'], secret: SECRET });
+    await webhooks.test(id);
+
+    assert.equal(received[0].method, 'GET');
+    assert.equal(received[0].body, '');
+    assert.equal(received[0].headers['x-webhook-signature'], undefined);
+  });
+
+  it('only delivers the events and players a subscription asked for', async () => {
+    webhooks.create({ name: 'Kitchen playback', url: receiverUrl, events: ['playback.*'], players: ['kitchen'] });
+    webhooks.create({ name: 'Disabled', url: receiverUrl, events: ['*'], enabled: false });
+    webhooks.start();
+
+    publish('player.launched', { player: 'kitchen' });
+    publish('playback.started', { player: 'den' });
+    publish('playback.started', { player: 'kitchen' });
+    await waitForRequests(1);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(received.length, 1);
+    assert.equal(JSON.parse(received[0].body).player, 'kitchen');
+  });
+
+  it('retries server errors but tests a subscription only once', async () => {
+    responseStatus = 503;
+    const { id } = webhooks.create({ name: 'Down', url: receiverUrl, events: ['player.crashed'] });
+
+    const tested = await webhooks.test(id);
+    assert.equal(tested.status, 'failed');
+    assert.equal(tested.attempts, 1);
+    assert.equal(received.length, 1);
+
+    webhooks.start();
+    publish('player.crashed', { player: 'kitchen' });
+    await waitForRequests(4);
+    assert.equal(received.length, 4);
+  });
+
+  it('does not retry client errors', async () => {
+    responseStatus = 404;
+    webhooks.create({ name: 'Gone', url: receiverUrl, events: ['player.crashed'] });
+    webhooks.start();
+
+    publish('player.crashed', { player: 'kitchen' });
+    await waitForRequests(1);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(received.length, 1);
+  });
+
+  it('keeps subscriptions across restarts', () => {
+    const { id } = webhooks.create({ name: 'Kept', url: receiverUrl, events: ['*'], secret: SECRET });
+    const reloaded = createWebhooks(path.join(dir, 'webhooks.json'));
+    assert.equal(reloaded.get(id).name, 'Kept');
+    assert.equal(reloaded.get(id).signed, true);
+  });
+
+  it('refuses to load a corrupt file', () => {
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+    assert.throws(() => createWebhooks(path.join(dir, 'broken.json')), /is corrupt/);
+  });
+});
+
+describe('validateWebhook', () => {
+  const valid = { name: 'Hook', url: 'https://example.com/hook', events: ['playback.*'] };
+
+  it('accepts a valid subscription', () => {
+    assert.equal(validateWebhook(valid), null);
+    assert.equal(validateWebhook({ ...valid, events: ['*', 'player.crashed'], method: 'put', secret: SECRET }), null);
+  });
+
+  it('rejects invalid fields', () => {
+    assert.match(validateWebhook({ ...valid, url: 'ftp://example.com' }), /url must be/);
+    assert.match(validateWebhook({ ...valid, events: [] }), /events must be/);
+    assert.match(validateWebhook({ ...valid, events: ['player.exploded'] }), /Unknown event: player\.exploded/);
+    assert.match(validateWebhook({ ...valid, events: ['nothing.*'] }), /Unknown event/);
+    assert.match(validateWebhook({ ...valid, method: 'CONNECT' }), /Invalid method/);
+    assert.match(validateWebhook({ ...valid, secret: 'short' }), /at least 16 characters/);
+    assert.match(validateWebhook({ ...valid, headers: { 'X-Count': 1 } }), /header values must be strings/);
+    assert.match(validateWebhook([]), /Body must be an object/);
+  });
+
+  it('only checks the fields given for a partial update', () => {
+    assert.equal(validateWebhook({ enabled: false }, { partial: true }), null);
+    assert.match(validateWebhook({ enabled: 'no' }, { partial: true }), /enabled must be a boolean/);
+  });
+});
@@ -0,0 +1,171 @@
+// Fake Spotify Web Playback SDK for simulation mode (SIMULATION=true)
+// Implements the parts of Spotify.Player that player.html uses, backed by the simulated Spotify in
+// lib/simulation.js: connect() registers a device there, transport controls change its playback,
+// and state changes and scripted events (POST /simulation/devices/:name/events) are polled and emitted.
+(() => {
+  const BASE_URL = '/simulation/sdk';
+
+  // How often the player checks for state changes and scripted events
+  const POLL_INTERVAL = 500;
+
+  class Player {
+    constructor({ name, getOAuthToken, volume = 1 }) {
+      this._options = { name, getOAuthToken, volume };
+      this._listeners = new Map();
+      this._deviceId = null;
+      this._pollTimer = null;
+    }
+
+    addListener(event, callback) {
+      if (!this._listeners.has(event)) {
+        this._listeners.set(event, new Set());
+      }
+      this._listeners.get(event).add(callback);
+      return true;
+    }
+
+    on(event, callback) {
+      return this.addListener(event, callback);
+    }
+
+    removeListener(event, callback) {
+      if (!callback) {
+        this._listeners.delete(event);
+      } else if (this._listeners.has(event)) {
+        this._listeners.get(event).delete(callback);
+      }
+      return true;
+    }
+
+    // Resolves with whether the player connected; errors and 'ready' are emitted as events
+    async connect() {
+      const token = await new Promise(resolve => this._options.getOAuthToken(resolve));
+
+      const response = await fetch(`${BASE_URL}/devices`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ name: this._options.name, volume: this._options.volume })
+      });
+
+      if (response.status === 401) {
+        this._emit('authentication_error', { message: 'Invalid token scopes.' });
+        return true;
+      }
+      if (!response.ok) {
+        return false;
+      }
+
+      const { connected, deviceId, events } = await response.json();
+      this._deviceId = deviceId;
+      // Emitted after connect() resolves, like the real SDK
+      setTimeout(() => events.forEach(event => this._emit(event.type, event.data)), 0);
+
+      if (deviceId) {
+        this._pollTimer = setInterval(() => this._poll(), POLL_INTERVAL);
+      }
+      return connected;
+    }
+
+    disconnect() {
+      clearInterval(this._pollTimer);
+      if (this._deviceId) {
+        fetch(`${BASE_URL}/devices/${this._deviceId}`, { method: 'DELETE' }).catch(() => {});
+        this._deviceId = null;
+      }
+    }
+
+    async getCurrentState() {
+      const data = await this._request('GET', 'state');
+      return data ? data.state : null;
+    }
+
+    async getVolume() {
+      const data = await this._request('GET', 'state');
+      return data ? data.volume : this._options.volume;
+    }
+
+    async setVolume(volume) {
+      await this._control('setVolume', volume);
+    }
+
+    async pause() {
+      await this._control('pause');
+    }
+
+    async resume() {
+      await this._control('resume');
+    }
+
+    async togglePlay() {
+      await this._control('togglePlay');
+    }
+
+    async seek(positionMs) {
+      await this._control('seek', positionMs);
+    }
+
+    async previousTrack() {
+      await this._control('previousTrack');
+    }
+
+    async nextTrack() {
+      await this._control('nextTrack');
+    }
+
+    // Browsers need a user gesture before playing audio, which doesn't apply here
+    activateElement() {
+      return Promise.resolve();
+    }
+
+    _control(action, value) {
+      return this._request('POST', 'control', { action, value });
+    }
+
+    async _request(method, path, body) {
+      if (!this._deviceId) {
+        return null;
+      }
+
+      const response = await fetch(`${BASE_URL}/devices/${this._deviceId}/${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+      });
+      if (!response.ok) {
+        throw new Error(`Simulated SDK request failed: ${response.status}`);
+      }
+      return response.json();
+    }
+
+    async _poll() {
+      try {
+        const data = await this._request('GET', 'events');
+        if (data) {
+          data.events.forEach(event => this._emit(event.type, event.data));
+        }
+      } catch (error) {
+        // The device is gone (e.g. the simulation was restarted), like a dropped connection
+        clearInterval(this._pollTimer);
+        this._emit('not_ready', { device_id: this._deviceId });
+      }
+    }
+
+    _emit(event, data) {
+      for (const callback of this._listeners.get(event) || []) {
+        callback(data);
+      }
+    }
+  }
+
+  window.Spotify = { Player };
+
+  // The real SDK calls this once it has loaded
+  setTimeout(() => {
+    if (typeof window.onSpotifyWebPlaybackSDKReady === 'function') {
+      window.onSpotifyWebPlaybackSDKReady();
+    }
+  }, 0);
+})();
@@ -0,0 +1,244 @@
+// End-to-end tests: boot app.js in simulation mode and drive it over HTTP, from adding an
+// account through playback to the Home Assistant calls it makes.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const FAKE_SPOTIFYD = path.join(__dirname, 'fixtures', 'spotifyd');
+
+// Helper function to find a port nothing is listening on
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Helper function to poll until check() returns something truthy, resolves with it
+async function waitFor(check, { timeout = 15000, interval = 100 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check().catch(() => null);
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out after ${timeout}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+// Helper function to start the server with SIMULATION=true and a data directory of its own
+async function startServer(env = {}) {
+  const port = await getFreePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotify-house-player-test-'));
+  const url = `http://localhost:${port}`;
+
+  const child = spawn(process.execPath, ['app.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      SIMULATION: 'true',
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      HA_TURN_OFF_DELAY: '0',
+      // Empty values keep a developer's .env from pointing the server at real services
+      SPOTIFY_ACCOUNTS_URL: '',
+      SPOTIFY_API_URL: '',
+      SPOTIFY_SDK_URL: '',
+      HA_URL: '',
+      HA_TOKEN: '',
+      ADMIN_API_KEY: '',
+      TOKEN_STORE_KEY: '',
+      CONFIG_FILE: '',
+      MQTT_URL: '',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  // Shown when the server fails to start
+  let output = '';
+  child.stdout.on('data', (data) => { output += data; });
+  child.stderr.on('data', (data) => { output += data; });
+  const exited = new Promise(resolve => child.on('exit', resolve));
+
+  const server = {
+    url,
+    async request(method, urlPath, body) {
+      const response = await fetch(`${url}${urlPath}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const text = await response.text();
+      return { status: response.status, body: text ? JSON.parse(text) : null };
+    },
+    async stop() {
+      // SIGINT runs the server's shutdown, which stops its players too
+      if (child.exitCode === null) {
+        child.kill('SIGINT');
+      }
+      await exited;
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+
+  await waitFor(async () => {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited with code ${child.exitCode}:\n${output}`);
+    }
+    return (await fetch(`${url}/healthz`)).ok;
+  }).catch(async (error) => {
+    await server.stop();
+    throw error;
+  });
+
+  return server;
+}
+
+// Helper function to add an account and follow its authorization URL through /callback
+async function addAccount(server, name) {
+  const created = await server.request('POST', '/api/accounts', {
+    name,
+    clientId: `client-${name}`,
+    redirectUri: `${server.url}/callback`
+  });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+
+  // The simulated accounts service redirects straight back to /callback with a code
+  const callback = await fetch(created.body.authUrl);
+  assert.equal(callback.status, 200);
+  assert.match(await callback.text(), /Authentication Successful/);
+
+  const account = await server.request('GET', `/api/accounts/${name}`);
+  assert.equal(account.body.authenticated, true);
+}
+
+// Helper function to wait for a Home Assistant service call for the entity, resolves with the calls so far
+function waitForHaCall(server, service, entityId) {
+  return waitFor(async () => {
+    const { body } = await server.request('GET', '/simulation/ha/calls');
+    const found = body.calls.some(call => call.service === service && call.data.entity_id === entityId);
+    return found && body.calls;
+  });
+}
+
+describe('simulation with spotifyd players', () => {
+  let server;
+  let cacheDir;
+
+  before(async () => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spotify-house-player-spotifyd-'));
+    // spotifyd refuses to launch without credentials from `spotifyd authenticate`
+    fs.mkdirSync(path.join(cacheDir, 'den'));
+    fs.writeFileSync(path.join(cacheDir, 'den', 'credentials.json'), '{}');
+
+    server = await startServer({
+      PLAYER_BACKEND: 'spotifyd',
+      SPOTIFYD_EXECUTABLE_PATH: FAKE_SPOTIFYD,
+      SPOTIFYD_CACHE_DIR: cacheDir,
+      FAKE_SPOTIFYD_EVENTS: 'start stop'
+    });
+  });
+
+  after(async () => {
+    if (server) {
+      await server.stop();
+    }
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('turns the Home Assistant entity on and off as playback starts and stops', async () => {
+    await addAccount(server, 'den');
+
+    const launched = await server.request('POST', '/api/players/den/launch', {
+      accountName: 'den',
+      haEntityId: 'media_player.den'
+    });
+    assert.equal(launched.status, 200, JSON.stringify(launched.body));
+
+    // The fake spotifyd reports start, then stop, through the player event hook
+    const calls = await waitForHaCall(server, 'media_player.turn_off', 'media_player.den');
+    const services = calls.filter(call => call.data.entity_id === 'media_player.den').map(call => call.service);
+    assert.ok(services.indexOf('media_player.turn_on') !== -1, `turn_on missing from ${services}`);
+    assert.ok(services.indexOf('media_player.turn_on') < services.indexOf('media_player.turn_off'));
+
+    const stopped = await server.request('DELETE', '/api/players/den');
+    assert.equal(stopped.status, 200);
+  });
+
+  it('refuses to launch for an account that is not authenticated', async () => {
+    const created = await server.request('POST', '/api/accounts', { name: 'attic', clientId: 'client-attic' });
+    assert.equal(created.status, 200);
+
+    const launched = await server.request('POST', '/api/players/attic/launch', { accountName: 'attic' });
+    assert.equal(launched.status, 400);
+  });
+});
+
+// Chrome players load the fake Web Playback SDK, so these need a browser
+describe('simulation with Chrome players', { skip: !process.env.CHROME_EXECUTABLE_PATH && 'set CHROME_EXECUTABLE_PATH to run' }, () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ PLAYER_BACKEND: 'chrome' });
+  });
+
+  after(async () => {
+    if (server) {
+      await server.stop();
+    }
+  });
+
+  it('plays on the launched player and turns its Home Assistant entity on', async () => {
+    await addAccount(server, 'kitchen');
+
+    const launched = await server.request('POST', '/api/players/kitchen/launch', {
+      accountName: 'kitchen',
+      haEntityId: 'media_player.kitchen'
+    });
+    assert.equal(launched.status, 200, JSON.stringify(launched.body));
+    assert.ok(launched.body.deviceId);
+
+    const played = await server.request('POST', '/api/players/kitchen/play', { contextUri: 'spotify:playlist:morning' });
+    assert.equal(played.status, 200, JSON.stringify(played.body));
+
+    // player.html reports playback-started once the fake SDK's state says it is playing
+    await waitForHaCall(server, 'media_player.turn_on', 'media_player.kitchen');
+
+    const { body } = await server.request('GET', '/simulation/devices');
+    const device = body.devices.find(item => item.name === 'kitchen');
+    assert.ok(device, 'kitchen is not connected to the simulated Spotify');
+  });
+
+  it('reports the SDK error when a player fails to connect', async () => {
+    await addAccount(server, 'garage');
+
+    // Queued until the player with this display name connects
+    const scripted = await server.request('POST', '/simulation/devices/garage/events', {
+      type: 'authentication_error',
+      message: 'Invalid token scopes.'
+    });
+    assert.equal(scripted.status, 202);
+
+    const launched = await server.request('POST', '/api/players/garage/launch', { accountName: 'garage' });
+    assert.equal(launched.status, 502, JSON.stringify(launched.body));
+    assert.match(launched.body.error, /Invalid token scopes/);
+
+    // A player that failed to connect is not left running
+    const stopped = await server.request('DELETE', '/api/players/garage');
+    assert.equal(stopped.status, 404);
+  });
+});